@@ -0,0 +1,266 @@
+/**
+ * Admin Panel - Users, API keys, webhook deliveries and cache maintenance (admin role only)
+ */
+
+class AdminPanel {
+    constructor() {
+        this.containerId = null;
+        this.roles = ['viewer', 'requester', 'editor', 'admin'];
+    }
+
+    /**
+     * Render the panel into a container
+     */
+    async render(containerId) {
+        this.containerId = containerId;
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error('[Admin] Container not found:', containerId);
+            return;
+        }
+
+        try {
+            container.innerHTML = '<div class="loading-spinner"></div><p>Loading admin data...</p>';
+
+            const [users, keys, webhooks] = await Promise.all([
+                this.fetchJSON('/api/auth/users'),
+                this.fetchJSON('/api/auth/api-keys'),
+                this.fetchJSON('/api/webhooks/deliveries?limit=50')
+            ]);
+
+            container.innerHTML = this.generateHTML(users.users, keys.apiKeys, webhooks);
+            console.log('[Admin] Panel rendered');
+        } catch (error) {
+            console.error('[Admin] Failed to render panel:', error);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: #dc3545;">
+                    <h3>⚠️ Failed to Load Admin Data</h3>
+                    <p>${this.escape(error.message)}</p>
+                    <button onclick="window.adminPanel.render('${containerId}')">Retry</button>
+                </div>
+            `;
+        }
+    }
+
+    generateHTML(users, apiKeys, webhooks) {
+        return `
+            <div class="card">
+                <h3>👥 Users</h3>
+                <table style="width: 100%; border-collapse: collapse; margin: 1rem 0;">
+                    <thead>
+                        <tr style="text-align: left;"><th>Username</th><th>Name</th><th>Role</th><th>Created</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${users.map(user => `
+                            <tr>
+                                <td>${this.escape(user.username)}</td>
+                                <td>${this.escape(user.name || '')}</td>
+                                <td>
+                                    <select onchange="window.adminPanel.updateRole('${user.id}', this.value)">
+                                        ${this.roleOptions(user.role)}
+                                    </select>
+                                </td>
+                                <td>${new Date(user.createdAt).toLocaleDateString()}</td>
+                                <td>
+                                    <button class="btn btn-secondary" onclick="window.adminPanel.resetPassword('${user.id}', '${this.escape(user.username)}')">Reset Password</button>
+                                    <button class="btn btn-secondary" onclick="window.adminPanel.deleteUser('${user.id}', '${this.escape(user.username)}')">Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <form onsubmit="window.adminPanel.createUser(this); return false;" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <input name="username" placeholder="Username" required>
+                    <input name="name" placeholder="Display name">
+                    <input name="password" type="password" placeholder="Password (min 8 chars)" required>
+                    <select name="role">${this.roleOptions('viewer')}</select>
+                    <button type="submit" class="btn btn-primary">Add User</button>
+                </form>
+            </div>
+
+            <div class="card">
+                <h3>🔑 API Keys</h3>
+                <div id="adminNewKey"></div>
+                <table style="width: 100%; border-collapse: collapse; margin: 1rem 0;">
+                    <thead>
+                        <tr style="text-align: left;"><th>Name</th><th>Key</th><th>Role</th><th>Created by</th><th>Last used</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${apiKeys.length === 0 ? '<tr><td colspan="6">No API keys yet</td></tr>' : apiKeys.map(key => `
+                            <tr>
+                                <td>${this.escape(key.name)}</td>
+                                <td><code>${this.escape(key.prefix)}…</code></td>
+                                <td>${key.role}</td>
+                                <td>${this.escape(key.createdBy || '-')}</td>
+                                <td>${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}</td>
+                                <td><button class="btn btn-secondary" onclick="window.adminPanel.revokeKey('${key.id}')">Revoke</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <form onsubmit="window.adminPanel.createKey(this); return false;" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <input name="name" placeholder="Key name (e.g. Make.com scenario)" required>
+                    <select name="role">${this.roleOptions('viewer')}</select>
+                    <button type="submit" class="btn btn-primary">Create Key</button>
+                </form>
+            </div>
+
+            ${this.deliveriesHTML(webhooks)}
+
+            <div class="card">
+                <h3>🧹 Caches</h3>
+                <p>Clear cached records or table schemas after editing Airtable directly.</p>
+                <button class="btn btn-secondary" onclick="window.adminPanel.clearCache('/api/data/cache/clear', 'Record cache')">Clear Record Cache</button>
+                <button class="btn btn-secondary" onclick="window.adminPanel.clearCache('/api/meta/cache/clear', 'Schema cache')">Clear Schema Cache</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Make.com trigger deliveries: status, attempts and a redeliver button
+     */
+    deliveriesHTML({ stats, deliveries }) {
+        const colors = { pending: '#0ea5e9', delivering: '#3b82f6', delivered: '#10b981', dead: '#ef4444' };
+
+        return `
+            <div class="card">
+                <h3>📮 Webhook Deliveries</h3>
+                <p>${stats.pending} pending, ${stats.delivering} sending, ${stats.delivered} delivered, <strong>${stats.dead} dead</strong>. Failed deliveries are retried up to ${stats.maxAttempts} times with growing delays.</p>
+                <table style="width: 100%; border-collapse: collapse; margin: 1rem 0;">
+                    <thead>
+                        <tr style="text-align: left;"><th>Delivery</th><th>Request</th><th>Status</th><th>Attempts</th><th>Last attempt</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${deliveries.length === 0 ? '<tr><td colspan="6">No deliveries yet</td></tr>' : deliveries.map(delivery => {
+                            const last = delivery.attempts[delivery.attempts.length - 1];
+                            return `
+                                <tr>
+                                    <td><code>${this.escape(delivery.id)}</code><br><small>${new Date(delivery.created_at).toLocaleString()}</small></td>
+                                    <td><code>${this.escape(delivery.record_id || '-')}</code></td>
+                                    <td><span style="color: ${colors[delivery.status]}; font-weight: 600;">${delivery.status}</span>
+                                        ${delivery.status === 'pending' && delivery.attempts.length > 0 ? `<br><small>next ${new Date(delivery.next_attempt_at).toLocaleTimeString()}</small>` : ''}</td>
+                                    <td>
+                                        ${delivery.attempts.length === 0 ? '0' : `
+                                            <details>
+                                                <summary>${delivery.attempts.length}</summary>
+                                                ${delivery.attempts.map(attempt => `
+                                                    <div><small>${new Date(attempt.at).toLocaleString()} - ${attempt.status_code || 'no response'}${attempt.error ? `: ${this.escape(attempt.error)}` : ''} (${attempt.duration_ms}ms)</small></div>
+                                                `).join('')}
+                                            </details>
+                                        `}
+                                    </td>
+                                    <td>${last ? `${new Date(last.at).toLocaleString()}${last.error ? `<br><small>${this.escape(last.error)}</small>` : ''}` : '-'}</td>
+                                    <td>${delivery.status === 'dead' || delivery.status === 'delivered'
+                                        ? `<button class="btn btn-secondary" onclick="window.adminPanel.redeliver('${this.escape(delivery.id)}')">Redeliver</button>`
+                                        : ''}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    roleOptions(selected) {
+        return this.roles
+            .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`)
+            .join('');
+    }
+
+    async createUser(form) {
+        await this.action('/api/auth/users', 'POST', {
+            username: form.username.value,
+            name: form.name.value,
+            password: form.password.value,
+            role: form.role.value
+        });
+    }
+
+    async updateRole(id, role) {
+        await this.action(`/api/auth/users/${id}`, 'PATCH', { role });
+    }
+
+    async resetPassword(id, username) {
+        const password = prompt(`New password for ${username} (min 8 characters):`);
+        if (!password) return;
+        await this.action(`/api/auth/users/${id}`, 'PATCH', { password }, `Password for ${username} updated`);
+    }
+
+    async deleteUser(id, username) {
+        if (!confirm(`Delete user ${username}?`)) return;
+        await this.action(`/api/auth/users/${id}`, 'DELETE');
+    }
+
+    async createKey(form) {
+        try {
+            const data = await this.fetchJSON('/api/auth/api-keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: form.name.value, role: form.role.value })
+            });
+            await this.render(this.containerId);
+
+            // The plain key is only returned once
+            document.getElementById('adminNewKey').innerHTML = `
+                <div style="background: #fff3cd; padding: 1rem; border-radius: 8px; margin: 1rem 0;">
+                    <strong>Copy this key now - it won't be shown again:</strong><br>
+                    <code style="word-break: break-all;">${this.escape(data.apiKey.key)}</code>
+                </div>
+            `;
+        } catch (error) {
+            alert(`Failed to create API key: ${error.message}`);
+        }
+    }
+
+    async revokeKey(id) {
+        if (!confirm('Revoke this API key? Anything using it will stop working.')) return;
+        await this.action(`/api/auth/api-keys/${id}`, 'DELETE');
+    }
+
+    async redeliver(id) {
+        if (!confirm(`Send delivery ${id} to Make.com again?`)) return;
+        await this.action(`/api/webhooks/deliveries/${encodeURIComponent(id)}/redeliver`, 'POST');
+    }
+
+    async clearCache(url, label) {
+        await this.action(url, 'POST', undefined, `${label} cleared`);
+    }
+
+    /**
+     * Call an admin endpoint, then re-render (or show the message)
+     */
+    async action(url, method, body, message) {
+        try {
+            await this.fetchJSON(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (message) {
+                alert(message);
+            } else {
+                await this.render(this.containerId);
+            }
+        } catch (error) {
+            alert(`Failed: ${error.message}`);
+            await this.render(this.containerId);
+        }
+    }
+
+    async fetchJSON(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        return data;
+    }
+
+    escape(value) {
+        return window.inputSanitizer ? window.inputSanitizer.escapeHTML(String(value)) : String(value);
+    }
+}
+
+// Initialize global admin panel
+window.adminPanel = new AdminPanel();
@@ -7,6 +7,7 @@ class AnalyticsDashboard {
     constructor() {
         this.data = {
             requests: [],
+            entityNames: {},
             monitoring: null
         };
     }
@@ -16,11 +17,14 @@ class AnalyticsDashboard {
      */
     async fetchData() {
         try {
-            // Fetch requests from Tracker
-            const requestsResponse = await (window.errorRecovery?.fetchWithRetry || fetch)(
-                '/api/submitted-requests'
-            );
-            this.data.requests = await requestsResponse.json();
+            // Fetch every tracker request (statuses are derived server-side)
+            const [requests, entities] = await Promise.all([
+                this.fetchAllRequests(),
+                this.fetchJSON('/api/lookups/entities').catch(() => []),
+                window.requestStatuses.load()
+            ]);
+            this.data.requests = requests;
+            this.data.entityNames = Object.fromEntries(entities.map(e => [e.id, e.name]));
 
             // Get monitoring data
             if (window.monitor) {
@@ -39,6 +43,30 @@ class AnalyticsDashboard {
         }
     }
 
+    /**
+     * Follow /api/requests/submitted cursors until the last page
+     */
+    async fetchAllRequests() {
+        const requests = [];
+        let cursor = null;
+
+        do {
+            const params = new URLSearchParams({ pageSize: '100' });
+            if (cursor) params.set('cursor', cursor);
+            const page = await this.fetchJSON(`/api/requests/submitted?${params}`);
+            requests.push(...(page.items || []));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return requests;
+    }
+
+    async fetchJSON(url) {
+        const response = await (window.errorRecovery?.fetchWithRetry || fetch)(url);
+        if (!response.ok) throw new Error(`Request failed: ${url} (${response.status})`);
+        return response.json();
+    }
+
     /**
      * Calculate request trends (submissions over time)
      */
@@ -47,7 +75,7 @@ class AnalyticsDashboard {
         const now = new Date();
 
         this.data.requests.forEach(req => {
-            const createdDate = new Date(req.fields['Created At'] || req.createdTime);
+            const createdDate = new Date(req.createdTime);
             let key;
 
             if (period === 'daily') {
@@ -75,13 +103,14 @@ class AnalyticsDashboard {
         const distribution = {};
 
         this.data.requests.forEach(req => {
-            const status = req.fields['Derived Status'] || 'Unknown';
-            distribution[status] = (distribution[status] || 0) + 1;
+            distribution[req.status] = (distribution[req.status] || 0) + 1;
         });
 
         return Object.entries(distribution)
             .map(([status, count]) => ({
                 status,
+                label: window.requestStatuses.label(status),
+                color: window.requestStatuses.color(status),
                 count,
                 percentage: (count / this.data.requests.length * 100).toFixed(1)
             }))
@@ -95,7 +124,7 @@ class AnalyticsDashboard {
         const popularity = {};
 
         this.data.requests.forEach(req => {
-            const workflow = req.fields['Workflow'] || 'Unknown';
+            const workflow = req.workflow || 'Unknown';
             popularity[workflow] = (popularity[workflow] || 0) + 1;
         });
 
@@ -111,7 +140,7 @@ class AnalyticsDashboard {
     calculateCompletionRate() {
         const total = this.data.requests.length;
         const completed = this.data.requests.filter(req => 
-            req.fields['Derived Status'] === 'Complete'
+            window.requestStatuses.inGroup(req.status, 'done')
         ).length;
 
         return {
@@ -126,9 +155,9 @@ class AnalyticsDashboard {
      */
     calculateAverageProcessingTime() {
         const completedRequests = this.data.requests.filter(req => 
-            req.fields['Derived Status'] === 'Complete' &&
-            req.fields['Created At'] &&
-            req.fields['Last Modified']
+            window.requestStatuses.inGroup(req.status, 'done') &&
+            req.createdTime &&
+            req.lastModifiedTime
         );
 
         if (completedRequests.length === 0) {
@@ -136,8 +165,8 @@ class AnalyticsDashboard {
         }
 
         const totalTime = completedRequests.reduce((sum, req) => {
-            const created = new Date(req.fields['Created At']);
-            const modified = new Date(req.fields['Last Modified']);
+            const created = new Date(req.createdTime);
+            const modified = new Date(req.lastModifiedTime);
             return sum + (modified - created);
         }, 0);
 
@@ -157,7 +186,7 @@ class AnalyticsDashboard {
         const usage = {};
 
         this.data.requests.forEach(req => {
-            const entity = req.fields['Entity'] || 'Unknown';
+            const entity = this.data.entityNames[req.entityId] || req.entityId || 'Unknown';
             usage[entity] = (usage[entity] || 0) + 1;
         });
 
@@ -166,22 +195,6 @@ class AnalyticsDashboard {
             .sort((a, b) => b.count - a.count);
     }
 
-    /**
-     * Calculate persona usage
-     */
-    calculatePersonaUsage() {
-        const usage = {};
-
-        this.data.requests.forEach(req => {
-            const persona = req.fields['Persona'] || 'Unknown';
-            usage[persona] = (usage[persona] || 0) + 1;
-        });
-
-        return Object.entries(usage)
-            .map(([persona, count]) => ({ persona, count }))
-            .sort((a, b) => b.count - a.count);
-    }
-
     /**
      * Generate dashboard HTML
      */
@@ -210,9 +223,10 @@ class AnalyticsDashboard {
         html += '<div class="chart-section">';
         html += '<h3>Status Distribution</h3>';
         html += this.generateBarChart(statusDist.map(s => ({
-            label: s.status,
+            label: s.label,
             value: s.count,
-            percentage: s.percentage
+            percentage: s.percentage,
+            color: s.color
         })), 'status');
         html += '</div>';
 
@@ -270,7 +284,7 @@ class AnalyticsDashboard {
 
         data.forEach(item => {
             const percentage = (item.value / maxValue * 100).toFixed(1);
-            const color = this.getBarColor(type, item.label);
+            const color = item.color || '#007bff';
 
             html += `
                 <div class="bar-item">
@@ -288,22 +302,6 @@ class AnalyticsDashboard {
         return html;
     }
 
-    /**
-     * Get color for bar based on type and label
-     */
-    getBarColor(type, label) {
-        if (type === 'status') {
-            const colors = {
-                'Complete': '#28a745',
-                'In Progress': '#007bff',
-                'Queued': '#ffc107',
-                'Error': '#dc3545'
-            };
-            return colors[label] || '#6c757d';
-        }
-        return '#007bff';
-    }
-
     /**
      * Generate CSS for dashboard
      */
@@ -0,0 +1,114 @@
+/**
+ * Auth Client - current user, login redirects and role-based UI
+ *
+ * Elements marked with data-min-role="requester" (or editor/admin) are only
+ * shown to users with at least that role. Visibility is driven by classes
+ * on <body>, so content rendered later is covered too.
+ *
+ * Any /api call answering 401 sends the browser to the login page.
+ */
+
+const ROLE_ORDER = ['viewer', 'requester', 'editor', 'admin'];
+
+class AuthClient {
+    constructor() {
+        this.user = null;
+        this.installStyles();
+        this.watchUnauthorized();
+    }
+
+    /**
+     * Load the signed-in user (redirects to login when there is none)
+     */
+    async load() {
+        const response = await fetch('/api/auth/me');
+        if (response.status === 401) {
+            this.redirectToLogin();
+            return null;
+        }
+        if (!response.ok) throw new Error(`Failed to load user (HTTP ${response.status})`);
+
+        const data = await response.json();
+        this.user = data.user;
+        this.applyRole();
+        this.renderUserMenu();
+        return this.user;
+    }
+
+    /**
+     * Whether the current user has at least the given role
+     */
+    hasRole(role) {
+        if (!this.user) return false;
+        return ROLE_ORDER.indexOf(this.user.role) >= ROLE_ORDER.indexOf(role);
+    }
+
+    async logout() {
+        await fetch('/api/auth/logout', { method: 'POST' });
+        this.redirectToLogin();
+    }
+
+    redirectToLogin() {
+        const next = encodeURIComponent(window.location.pathname + window.location.hash);
+        window.location.href = `/login.html?next=${next}`;
+    }
+
+    /**
+     * Add role-<name> classes to <body> for every role the user has
+     */
+    applyRole() {
+        ROLE_ORDER.forEach(role => {
+            document.body.classList.toggle(`role-${role}`, this.hasRole(role));
+        });
+    }
+
+    /**
+     * Hide gated elements until the user's role allows them
+     */
+    installStyles() {
+        const style = document.createElement('style');
+        style.textContent = ROLE_ORDER
+            .map(role => `body:not(.role-${role}) [data-min-role="${role}"] { display: none !important; }`)
+            .join('\n');
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Show who is signed in with a logout link (in the navbar, if the page has one)
+     */
+    renderUserMenu() {
+        const menu = document.querySelector('.navbar-menu');
+        if (!menu || !this.user || this.user.via === 'disabled') return;
+
+        let item = document.getElementById('authUserMenu');
+        if (!item) {
+            item = document.createElement('li');
+            item.id = 'authUserMenu';
+            menu.appendChild(item);
+        }
+        item.innerHTML = `
+            <span style="color:rgba(255,255,255,0.8); font-size:0.85rem;"></span>
+            <a href="#" class="nav-link" onclick="auth.logout(); return false;">Log out</a>
+        `;
+        // Names are user-entered: set as text, never as HTML
+        item.querySelector('span').textContent = `${this.user.name || this.user.username} (${this.user.role})`;
+    }
+
+    /**
+     * Send the user to login when an API call says the session is gone
+     */
+    watchUnauthorized() {
+        const originalFetch = window.fetch.bind(window);
+        window.fetch = async (input, init) => {
+            const response = await originalFetch(input, init);
+            const url = typeof input === 'string' ? input : input.url;
+            if (response.status === 401 && url.startsWith('/api/') && !url.startsWith('/api/auth/')) {
+                this.redirectToLogin();
+            }
+            return response;
+        };
+    }
+}
+
+// Expose globally
+window.auth = new AuthClient();
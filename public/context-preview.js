@@ -0,0 +1,170 @@
+/**
+ * Context Preview - Live UnifiedContext preview for the New Request form
+ * Posts the form's Initiator fields to /api/context/preview (nothing is saved)
+ * and shows the token budget, schema check and the full context.
+ */
+
+class ContextPreview {
+    constructor() {
+        this.containerId = null;
+        this.collectFields = null;
+        this.delay = 600; // ms after the last edit before refreshing
+        this.timer = null;
+        this.controller = null;
+        this.sequence = 0;
+    }
+
+    /**
+     * Refresh the preview whenever the form changes.
+     * collectFields() returns the same Initiator fields the form submits.
+     */
+    attach(form, containerId, collectFields) {
+        if (!form || form.dataset.contextPreview) return;
+        form.dataset.contextPreview = 'on';
+
+        this.containerId = containerId;
+        this.collectFields = collectFields;
+
+        form.addEventListener('input', () => this.schedule());
+        form.addEventListener('change', () => this.schedule());
+        form.addEventListener('reset', () => this.schedule());
+        this.schedule();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.refresh(), this.delay);
+    }
+
+    async refresh() {
+        const container = document.getElementById(this.containerId);
+        if (!container || !this.collectFields) return;
+
+        if (this.controller) this.controller.abort();
+        this.controller = new AbortController();
+        const sequence = ++this.sequence;
+
+        const status = container.querySelector('.context-preview-status');
+        if (status) status.textContent = 'Updating...';
+
+        try {
+            const response = await fetch('/api/context/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fields: this.collectFields() }),
+                signal: this.controller.signal
+            });
+            const result = await response.json().catch(() => ({}));
+            if (sequence !== this.sequence) return; // a newer edit is already loading
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+            container.innerHTML = this.generateHTML(result.data, result.token_budget);
+        } catch (error) {
+            if (error.name === 'AbortError' || sequence !== this.sequence) return;
+            console.error('[ContextPreview] Preview failed:', error);
+            container.innerHTML = `
+                <p class="context-preview-status" style="color: #dc3545;">⚠️ Preview unavailable: ${this.escape(error.message)}</p>
+            `;
+        }
+    }
+
+    generateHTML(context, budget) {
+        const validation = context.meta.validation;
+        return `
+            <p class="context-preview-status" style="color: #666; font-size: 0.85rem;">
+                Updated ${new Date().toLocaleTimeString()} in ${context.meta.timing ? context.meta.timing.total_ms : '?'}ms - not saved
+            </p>
+            ${this.validationHTML(validation)}
+            ${this.kbValidationHTML(context.meta.kb_validation)}
+            ${budget ? this.budgetHTML(budget) : ''}
+            <table style="width: 100%; border-collapse: collapse; margin: 1rem 0; font-size: 0.9rem;">
+                <tbody>
+                    ${this.row('Model', `${context.routing.provider} / ${context.routing.model}`)}
+                    ${this.row('Entity', context.entity_context ? context.entity_context.name : 'None')}
+                    ${this.row('Content type', context.content_type.name)}
+                    ${this.row('Lanes', context.lane_plan.map(step => step.lane).join(', ') || 'None')}
+                    ${this.row('Research', `${context.research.reports.length} report(s)`)}
+                    ${this.row('References', `${(context.references || []).length}`)}
+                    ${this.row('Tools', `${context.tools.length}`)}
+                    ${this.row('Rules', `${context.rules.length}`)}
+                </tbody>
+            </table>
+            <details>
+                <summary style="cursor: pointer;">Full context (UnifiedContext v${this.escape(context.meta.version)})</summary>
+                <pre style="max-height: 400px; overflow: auto; font-size: 0.75rem; background: #f8f9fa; padding: 0.75rem; border-radius: 4px;">${this.escape(JSON.stringify(context, null, 2))}</pre>
+            </details>
+        `;
+    }
+
+    validationHTML(validation) {
+        if (!validation) return '';
+        if (validation.valid) {
+            return `<p style="color: #10b981;">✅ Matches ${this.escape(validation.schema)}</p>`;
+        }
+        return `
+            <div style="color: #991b1b; background: #fee2e2; padding: 0.75rem; border-radius: 4px;">
+                ⚠️ ${validation.errors.length} schema violation(s) against ${this.escape(validation.schema)}
+                <ul style="margin: 0.5rem 0 0 1rem;">
+                    ${validation.errors.map(error => `<li><code>${this.escape(error.path)}</code> ${this.escape(error.message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    kbValidationHTML(kbValidation) {
+        if (!kbValidation || kbValidation.valid) return '';
+        return `
+            <div style="color: #92400e; background: #fef3c7; padding: 0.75rem; border-radius: 4px; margin-top: 0.5rem;">
+                ⚠️ ${kbValidation.errors.length} KB XML problem(s) - sent as escaped text
+                <ul style="margin: 0.5rem 0 0 1rem;">
+                    ${kbValidation.errors.map(error => `<li><code>${this.escape(error.bundle)}</code> ${this.escape(error.section || '')} ${error.line}:${error.column} ${this.escape(error.message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    budgetHTML(budget) {
+        const pct = Math.min(100, Math.round((budget.total_tokens / budget.available_tokens) * 100));
+        const color = budget.within_budget ? (pct > 85 ? '#f59e0b' : '#10b981') : '#ef4444';
+        const sections = Object.entries(budget.sections);
+
+        return `
+            <div style="margin: 1rem 0;">
+                <div style="display: flex; justify-content: space-between; font-size: 0.9rem;">
+                    <strong>Tokens</strong>
+                    <span>${budget.total_tokens.toLocaleString()} / ${budget.available_tokens.toLocaleString()} (${this.escape(budget.budget_model)}, ${this.escape(budget.encoding)})</span>
+                </div>
+                <div style="background: #e5e7eb; border-radius: 4px; height: 8px; margin-top: 0.25rem;">
+                    <div style="background: ${color}; width: ${pct}%; height: 100%; border-radius: 4px;"></div>
+                </div>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem; font-size: 0.8rem;">
+                    <thead>
+                        <tr style="text-align: left; color: #666;"><th>Section</th><th>Tokens</th><th>Dropped</th></tr>
+                    </thead>
+                    <tbody>
+                        ${sections.map(([name, section]) => `
+                            <tr>
+                                <td>${this.escape(name)}</td>
+                                <td>${section.tokens.toLocaleString()}</td>
+                                <td style="color: ${section.truncated ? '#ef4444' : '#666'};">
+                                    ${section.truncated ? `${section.dropped_pct}%${section.dropped_items ? ` (${section.dropped_items} items)` : ''}` : '-'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    row(label, value) {
+        return `<tr><td style="color: #666; padding: 0.25rem 0;">${label}</td><td>${this.escape(value)}</td></tr>`;
+    }
+
+    escape(value) {
+        return window.inputSanitizer ? window.inputSanitizer.escapeHTML(String(value)) : String(value);
+    }
+}
+
+// Initialize global context preview
+window.contextPreview = new ContextPreview();
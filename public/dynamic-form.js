@@ -286,6 +286,45 @@ class DynamicFormBuilder {
         return data;
     }
 
+    /**
+     * Advanced field values the user filled in, keyed by Airtable field name
+     * (types are coerced on the server, so values are sent as entered)
+     */
+    collectAdvancedFields(formElement) {
+        const data = {};
+        const section = formElement.querySelector('#advanced-fields');
+        if (!this.schema || !section) return data;
+
+        this.getEditableFields().forEach(field => {
+            const input = section.querySelector(`[data-field-id="${this.sanitizeFieldName(field.name)}"] [name]`);
+            if (!input || input.type === 'file') return;
+
+            if (input.type === 'checkbox') {
+                if (input.checked) data[field.name] = true;
+            } else if (input.multiple) {
+                const values = Array.from(input.selectedOptions).map(option => option.value);
+                if (values.length > 0) data[field.name] = values;
+            } else if (input.value.trim()) {
+                data[field.name] = input.value;
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * The form group of an advanced field (null if it isn't on the form).
+     * Opens the advanced section so an error there can be seen.
+     */
+    revealField(formElement, fieldName) {
+        const group = formElement.querySelector(`#advanced-fields [data-field-id="${this.sanitizeFieldName(fieldName)}"]`);
+        if (group && !this.advancedMode) {
+            const toggle = document.getElementById('toggle-advanced-fields');
+            if (toggle) toggle.click();
+        }
+        return group;
+    }
+
     /**
      * Map form data to Airtable field names
      */
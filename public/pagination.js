@@ -1,6 +1,12 @@
 /**
  * Pagination Manager - Handle large datasets smoothly
  * Supports both traditional pagination and "Load More" pattern
+ *
+ * Two modes:
+ * - Local: new Pagination(items) pages through an array already in memory
+ * - Server: Pagination.fromEndpoint(fetchPage) pages through a cursor API;
+ *   fetchPage(cursor, pageSize) resolves to { items, nextCursor } and
+ *   load() must be awaited after each page change
  */
 
 class Pagination {
@@ -9,12 +15,58 @@ class Pagination {
         this.itemsPerPage = itemsPerPage;
         this.currentPage = 1;
         this.totalPages = Math.ceil(items.length / itemsPerPage);
+
+        // Server mode state
+        this.fetchPage = null;
+        this.cursors = [null]; // cursors[n] loads page n + 1
+        this.nextCursor = null;
+    }
+
+    /**
+     * Create a server-backed paginator for a cursor API
+     */
+    static fromEndpoint(fetchPage, itemsPerPage = 50) {
+        const pagination = new Pagination([], itemsPerPage);
+        pagination.fetchPage = fetchPage;
+        pagination.totalPages = null; // unknown until the last page
+        return pagination;
+    }
+
+    /**
+     * Whether pages come from the server
+     */
+    isRemote() {
+        return typeof this.fetchPage === 'function';
+    }
+
+    /**
+     * Load the current page from the server (server mode only)
+     */
+    async load() {
+        if (!this.isRemote()) return this.getCurrentPageItems();
+
+        const page = await this.fetchPage(this.cursors[this.currentPage - 1], this.itemsPerPage);
+        this.allItems = page.items || [];
+        this.nextCursor = page.nextCursor || null;
+
+        if (this.nextCursor) {
+            this.cursors[this.currentPage] = this.nextCursor;
+            if (this.totalPages !== null && this.totalPages <= this.currentPage) {
+                this.totalPages = null; // new records arrived since we saw the end
+            }
+        } else {
+            this.cursors.length = this.currentPage;
+            this.totalPages = this.currentPage;
+        }
+
+        return this.allItems;
     }
 
     /**
      * Get items for current page
      */
     getCurrentPageItems() {
+        if (this.isRemote()) return this.allItems;
         const start = (this.currentPage - 1) * this.itemsPerPage;
         const end = start + this.itemsPerPage;
         return this.allItems.slice(start, end);
@@ -32,6 +84,11 @@ class Pagination {
      * Go to next page
      */
     nextPage() {
+        if (this.isRemote()) {
+            if (!this.nextCursor) return false;
+            this.currentPage++;
+            return true;
+        }
         if (this.currentPage < this.totalPages) {
             this.currentPage++;
             return true;
@@ -54,6 +111,14 @@ class Pagination {
      * Go to specific page
      */
     goToPage(page) {
+        if (this.isRemote()) {
+            // Only pages we already have a cursor for are reachable
+            if (page >= 1 && page <= this.cursors.length) {
+                this.currentPage = page;
+                return true;
+            }
+            return false;
+        }
         if (page >= 1 && page <= this.totalPages) {
             this.currentPage = page;
             return true;
@@ -65,6 +130,7 @@ class Pagination {
      * Check if there are more pages
      */
     hasMore() {
+        if (this.isRemote()) return Boolean(this.nextCursor);
         return this.currentPage < this.totalPages;
     }
 
@@ -72,6 +138,20 @@ class Pagination {
      * Get pagination info
      */
     getInfo() {
+        if (this.isRemote()) {
+            const offset = (this.currentPage - 1) * this.itemsPerPage;
+            return {
+                currentPage: this.currentPage,
+                totalPages: this.totalPages, // null while more pages remain
+                itemsPerPage: this.itemsPerPage,
+                totalItems: null,
+                start: this.allItems.length > 0 ? offset + 1 : 0,
+                end: offset + this.allItems.length,
+                hasNext: Boolean(this.nextCursor),
+                hasPrev: this.currentPage > 1
+            };
+        }
+
         const start = (this.currentPage - 1) * this.itemsPerPage + 1;
         const end = Math.min(this.currentPage * this.itemsPerPage, this.allItems.length);
         
@@ -92,6 +172,11 @@ class Pagination {
      */
     reset() {
         this.currentPage = 1;
+        if (this.isRemote()) {
+            this.cursors = [null];
+            this.nextCursor = null;
+            this.totalPages = null;
+        }
     }
 
     /**
@@ -110,7 +195,7 @@ class Pagination {
 function createPaginationControls(pagination, onPageChange) {
     const info = pagination.getInfo();
     
-    if (info.totalPages <= 1) {
+    if (info.totalPages !== null && info.totalPages <= 1) {
         return ''; // No pagination needed
     }
     
@@ -129,7 +214,9 @@ function createPaginationControls(pagination, onPageChange) {
     // Info text
     const infoText = document.createElement('div');
     infoText.className = 'pagination-info';
-    infoText.textContent = `Showing ${info.start}-${info.end} of ${info.totalItems}`;
+    infoText.textContent = info.totalItems === null
+        ? `Showing ${info.start}-${info.end}${info.hasNext ? ' (more available)' : ''}`
+        : `Showing ${info.start}-${info.end} of ${info.totalItems}`;
     infoText.style.cssText = 'color: #666; font-size: 14px;';
     
     // Buttons container
@@ -158,7 +245,9 @@ function createPaginationControls(pagination, onPageChange) {
     // Page indicator
     const pageIndicator = document.createElement('div');
     pageIndicator.className = 'page-indicator';
-    pageIndicator.textContent = `Page ${info.currentPage} of ${info.totalPages}`;
+    pageIndicator.textContent = info.totalPages === null
+        ? `Page ${info.currentPage}`
+        : `Page ${info.currentPage} of ${info.totalPages}`;
     pageIndicator.style.cssText = 'padding: 8px 16px; color: #333; font-weight: 500;';
     
     // Next button
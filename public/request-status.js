@@ -0,0 +1,70 @@
+/**
+ * Request Statuses - labels, colors and groups for derived request statuses
+ * Loaded once from /api/requests/statuses so the dashboard, tracker and
+ * analytics all follow the server's status rules
+ */
+
+class RequestStatuses {
+    constructor() {
+        this.states = [];
+        this.loading = null;
+    }
+
+    /**
+     * Load the status definitions (cached after the first successful call)
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch('/api/requests/statuses')
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.states = data.states || [];
+                    return this.states;
+                })
+                .catch(error => {
+                    console.error('[RequestStatuses] Failed to load statuses:', error);
+                    this.loading = null; // try again next time
+                    return this.states;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Get a state definition by ID
+     */
+    get(id) {
+        return this.states.find(state => state.id === id) || null;
+    }
+
+    label(id) {
+        const state = this.get(id);
+        return state ? state.label : (id || 'Unknown');
+    }
+
+    color(id) {
+        const state = this.get(id);
+        return (state && state.color) || '#6b7280';
+    }
+
+    /**
+     * Whether a status belongs to a group (active, done, problem)
+     */
+    inGroup(id, group) {
+        const state = this.get(id);
+        return Boolean(state && state.group === group);
+    }
+
+    /**
+     * Colored badge HTML for a status
+     */
+    badge(id) {
+        return `<span class="status-badge" style="background:${this.color(id)}; color:white;">${this.label(id)}</span>`;
+    }
+}
+
+// Expose globally
+window.requestStatuses = new RequestStatuses();
@@ -139,7 +139,7 @@ function handleSSEEvent(event) {
             stats.lanesErrors++;
             eventHTML += `
                 <div class="lane-event-details">
-                    <strong>Lane:</strong> ${event.lane}<br>
+                    <strong>Lane:</strong> ${event.lane || 'none (the workflow did not start)'}<br>
                     <strong>Error:</strong> ${event.error}
                 </div>
             `;
@@ -169,6 +169,16 @@ function handleSSEEvent(event) {
             }, 10000);
             break;
             
+        case 'dispatched':
+        case 'cancelled':
+            eventHTML += `
+                <div class="lane-event-details">
+                    ${event.by ? `<strong>By:</strong> ${escapeHTML(event.by)}<br>` : ''}
+                    ${event.reason ? `<strong>Reason:</strong> ${escapeHTML(event.reason)}` : ''}
+                </div>
+            `;
+            break;
+            
         case 'progress':
             eventHTML += `
                 <div class="lane-event-details">
@@ -230,40 +240,169 @@ function closeLiveMonitor() {
     document.getElementById('monitorConnectionStatus').style.color = '#999';
 }
 
+// Statuses each action applies to (the server checks too)
+const RETRYABLE_STATUSES = ['failed', 'stalled', 'cancelled'];
+const FINISHED_STATUSES = ['complete', 'cancelled'];
+
 /**
- * View request details (called from table)
+ * View request details, with retry / cancel / clone and the action history (called from table)
  */
 async function viewRequest(recordId) {
+    closeRequestDetails();
+    
+    const modal = document.createElement('div');
+    modal.id = 'requestDetailsModal';
+    modal.className = 'sse-modal';
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeRequestDetails();
+    });
+    document.body.appendChild(modal);
+    
+    await renderRequestDetails(recordId);
+}
+
+/**
+ * Fill the details modal for a record (notice: { type: 'success' | 'error', text })
+ */
+async function renderRequestDetails(recordId, notice = null) {
+    const modal = document.getElementById('requestDetailsModal');
+    if (!modal) return;
+    
+    let body;
     try {
         const response = await fetch(`/api/requests/status/${recordId}`);
         const data = await response.json();
+        if (!response.ok) throw new Error(data.details || data.error || `HTTP ${response.status}`);
         
-        let output = 'Not available yet.';
-        if (data.outputLink) {
-            output = `<a href="${data.outputLink}" target="_blank">View Final Output</a>`;
-        }
-
-        const details = `
---- Request Details ---
-Record ID: ${data.recordId}
-Status: ${data.status}
-Current Step: ${data.currentStep || 'N/A'}
-Progress: ${data.progress || 'N/A'}
-Output: ${output}
+        const output = data.outputLink
+            ? `<a href="${escapeHTML(data.outputLink)}" target="_blank">View Final Output</a>`
+            : 'Not available yet.';
+        const canRetry = RETRYABLE_STATUSES.includes(data.status);
+        const canCancel = !FINISHED_STATUSES.includes(data.status);
+        
+        body = `
+            <dl>
+                <dt>Record ID</dt><dd>${escapeHTML(data.recordId)}</dd>
+                <dt>Status</dt><dd>${window.requestStatuses ? requestStatuses.badge(data.status) : escapeHTML(data.statusLabel || data.status)}</dd>
+                <dt>Current Step</dt><dd>${escapeHTML(data.currentStep || 'N/A')}</dd>
+                <dt>Progress</dt><dd>${escapeHTML(data.progress || 'N/A')}</dd>
+                <dt>Output</dt><dd>${output}</dd>
+            </dl>
+            <div class="request-actions">
+                <button class="button" onclick="closeRequestDetails(); startLiveTracking('${data.recordId}')">🔴 Live Tracking</button>
+                ${canRetry ? `<button class="button" data-min-role="requester" style="background: #0ea5e9;" onclick="runRequestAction('${data.recordId}', 'retry')">🔁 Retry</button>` : ''}
+                ${canCancel ? `<button class="button" data-min-role="requester" style="background: #6c757d;" onclick="runRequestAction('${data.recordId}', 'cancel')">🚫 Cancel</button>` : ''}
+                <button class="button" data-min-role="requester" style="background: #10b981;" onclick="runRequestAction('${data.recordId}', 'clone')">📄 Clone</button>
+            </div>
+            <h3 style="margin: 0 0 8px; font-size: 16px;">Action History</h3>
+            ${historyHTML(data.actions || [])}
+        `;
+    } catch (error) {
+        body = `<div class="request-notice error">Could not fetch details for request ${escapeHTML(recordId)}: ${escapeHTML(error.message)}</div>`;
+    }
+    
+    modal.innerHTML = `
+        <div class="sse-modal-content">
+            <div class="sse-header">
+                <h2>Request Details</h2>
+                <button onclick="closeRequestDetails()" class="close-btn">✕</button>
+            </div>
+            <div class="request-details">
+                ${notice ? `<div class="request-notice ${notice.type}">${escapeHTML(notice.text)}</div>` : ''}
+                ${body}
+            </div>
+        </div>
+    `;
+}
 
-Would you like to start live tracking for this request?
+/**
+ * Actions taken on a request, newest first
+ */
+function historyHTML(actions) {
+    if (actions.length === 0) {
+        return '<p style="color: #999;">No actions yet.</p>';
+    }
+    
+    const labels = { retry: 'Retried', cancel: 'Cancelled', clone: 'Cloned', cloned: 'Created as a clone' };
+    const items = actions.slice().reverse().map(action => {
+        const details = [
+            action.from_status ? `was ${action.from_status}` : null,
+            action.reason ? `reason: ${action.reason}` : null,
+            action.clone_id ? `copy ${action.clone_id}` : null,
+            action.source_id ? `of ${action.source_id}` : null,
+            action.delivery_id ? `trigger ${action.delivery_id}` : null,
+            action.run_id ? `local run ${action.run_id}` : null,
+            action.dispatch_error ? `not dispatched: ${action.dispatch_error}` : null
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <li>
+                <strong>${escapeHTML(labels[action.action] || action.action)}</strong>
+                ${action.by ? ` by ${escapeHTML(action.by)}` : ''}
+                <span style="color: #718096;"> - ${new Date(action.at).toLocaleString()}</span>
+                ${details ? `<br><small>${escapeHTML(details)}</small>` : ''}
+            </li>
         `;
+    });
+    
+    return `<ul class="request-history">${items.join('')}</ul>`;
+}
+
+/**
+ * Retry, cancel or clone a request, then refresh the modal and the tracker
+ */
+async function runRequestAction(recordId, action) {
+    let payload = {};
+    if (action === 'cancel') {
+        const reason = prompt('Cancel this request? The workflow will be told to stop.\n\nReason (optional):');
+        if (reason === null) return;
+        payload = { reason: reason.trim() || undefined };
+    }
+    
+    document.querySelectorAll('#requestDetailsModal .request-actions button').forEach(button => {
+        button.disabled = true;
+    });
+    
+    try {
+        const response = await fetch(`/api/requests/${recordId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        if (typeof loadTracker === 'function') loadTracker();
         
-        if (confirm(details)) {
-            startLiveTracking(recordId);
+        if (action === 'clone') {
+            // Show the copy; its history links back to the original
+            await renderRequestDetails(result.data.recordId, { type: 'success', text: `Cloned from ${recordId}. This is the new request.` });
+        } else {
+            const done = action === 'retry' ? 'Request dispatched again.' : 'Request cancelled.';
+            await renderRequestDetails(recordId, { type: 'success', text: done });
         }
     } catch (error) {
-        alert(`Could not fetch details for request ${recordId}. Error: ${error.message}`);
+        await renderRequestDetails(recordId, { type: 'error', text: `Could not ${action} the request: ${error.message}` });
     }
 }
 
+function closeRequestDetails() {
+    const modal = document.getElementById('requestDetailsModal');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+function escapeHTML(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+}
+
 // Export functions for use in main script
 window.startLiveTracking = startLiveTracking;
 window.closeLiveMonitor = closeLiveMonitor;
 window.viewRequest = viewRequest;
+window.runRequestAction = runRequestAction;
+window.closeRequestDetails = closeRequestDetails;
 
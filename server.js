@@ -1,24 +1,79 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const axios = require('axios');
 require('dotenv').config();
 
 // Import Context Assembly Service
-const { initialize: initializeContextAssembly, assembleUnifiedContext } = require('./services/context-assembly');
+const { initialize: initializeContextAssembly, assembleUnifiedContext, previewUnifiedContext } = require('./services/context-assembly');
+
+// Import Field Alias Map (tolerant Airtable field names)
+const fieldAliases = require('./utils/field-alias-map.json');
+
+// Import Field Validator (new requests checked against the live Initiator schema)
+const { READ_ONLY_TYPES, validateFields } = require('./utils/field-validator');
+
+// Import KB XML builder (escaped, namespaced brand/marketing/audience KB bundles)
+const { buildKbBundles } = require('./services/kb-xml');
+
+// Import Prompt Renderer (Prompt Text templates rendered against a request's context)
+const { renderPrompt } = require('./services/prompt-renderer');
+
+// Import Context Budget (per-model token limits and section truncation)
+const ContextBudget = require('./services/context-budget');
+
+// Import Context Schema Registry (published UnifiedContext JSON Schemas)
+const ContextSchemaRegistry = require('./services/context-schema');
+
+// Import Context Snapshot Store (every assembled context, content-hashed)
+const ContextSnapshotStore = require('./services/context-snapshots');
 
 // Import SSE Events Service
 const sseEvents = require('./services/sse-events');
 
+// Import Lane Event Log (persisted SSE history)
+const LaneEventLog = require('./services/lane-event-log');
+
+// Import Webhook Signature Verifier (HMAC auth for the lane event webhook)
+const WebhookVerifier = require('./services/webhook-signature');
+
+// Import Auth Service (users, sessions, API keys, roles)
+const AuthService = require('./services/auth-service');
+
 // Import Schema Service
 const SchemaService = require('./services/schema-service');
 
 // Import Health Service
 const HealthService = require('./services/health-service');
 
-// Initialize Airtable Client
-const Airtable = require('airtable');
-const airtable = process.env.AIRTABLE_API_KEY ? new Airtable({ apiKey: process.env.AIRTABLE_API_KEY }) : null;
+// Import Data Source Factory (Airtable or local JSON store)
+const { createDataSource, resolveDataSourceKind, DATA_SOURCE_KINDS } = require('./services/data-source');
+
+// Import Record Cache
+const RecordCache = require('./services/record-cache');
+
+// Import Request Query helpers (tracker listing filters and cursors)
+const { parseListQuery, buildListOptions, toRequestItem, encodeCursor, decodeCursor } = require('./services/request-query');
+
+// Import Record Query DSL (generic /api/records endpoint)
+const recordQuery = require('./services/record-query');
+
+// Import Table Registry (single source of base/table IDs)
+const TableRegistry = require('./services/table-registry');
+
+// Import Request Status Engine (configurable status rules)
+const RequestStatusEngine = require('./services/request-status');
+
+// Import Webhook Outbox (durable Make.com trigger deliveries with retries)
+const WebhookOutbox = require('./services/webhook-outbox');
+
+// Import Idempotency Store (Idempotency-Key handling for request submission)
+const IdempotencyStore = require('./services/idempotency-store');
+
+// Import Workflow Runner (in-process alternative to the Make.com scenario)
+const WorkflowRunner = require('./services/workflow-runner');
+
+// Import Request Actions (retry / cancel / clone from the tracker)
+const RequestActions = require('./services/request-actions');
 
 // ============================================================
 // ENVIRONMENT-DRIVEN CONFIGURATION
@@ -26,58 +81,40 @@ const airtable = process.env.AIRTABLE_API_KEY ? new Airtable({ apiKey: process.e
 // All IDs loaded from environment variables (see .env.example)
 // Server will fail fast on startup if required vars are missing
 
+// Base and table IDs come from the table registry: utils/table-registry.json
+// (or TABLE_REGISTRY_FILE), with each ID overridable by the env var named there
+// (AIRTABLE_BASE_ID_AUTOMATION, AIRTABLE_TABLE_INITIATOR, ...)
+const tableRegistry = loadTableRegistry();
+
 // Base IDs
-const BASE_AUTOMATION_MASTERY = process.env.AIRTABLE_BASE_ID_AUTOMATION || process.env.AIRTABLE_BASE_ID || 'appe6CB5XnPgGVQHw';
-const BASE_CONTENT_HUB = process.env.AIRTABLE_BASE_ID_CONTENT || process.env.AIRTABLE_TERTIARY_BASE_ID || 'appQ4aluTCMQbVpaQ';
-const BASE_REFERENCE_LIBRARY = process.env.AIRTABLE_BASE_ID_REFERENCE || process.env.AIRTABLE_SECONDARY_BASE_ID || 'apppcjitC32W0rAMb';
-
-// Table IDs - All loaded from environment variables
-const TABLES = {
-    // Automation Mastery Base - Core orchestration tables
-    INITIATOR: process.env.AIRTABLE_TABLE_INITIATOR || 'tblBCiyCEEFJCJ1nO',
-    OUTPUTS: process.env.AIRTABLE_TABLE_OUTPUTS || 'tblYhaVCh9DMO9Mt8',
-    WORKFLOWS: process.env.AIRTABLE_TABLE_WORKFLOWS || 'tblwCDWd0pm7f3OK2',
-    
-    // Configuration tables
-    ENTITIES: process.env.AIRTABLE_TABLE_ENTITIES || 'tbl9q3pHR5qtALyzm',
-    PROMPTS: process.env.AIRTABLE_TABLE_PROMPTS || 'tblvgWQST4Z0P88np',
-    PERSONA: process.env.AIRTABLE_TABLE_PERSONA || 'tblbtN4oFHF4Q8e30',
-    CONTENT_TYPES: process.env.AIRTABLE_TABLE_CONTENT_TYPES || 'tbl1ywo3FVRw8skix',
-    SEO_DATA: process.env.AIRTABLE_TABLE_SEO_DATA || 'tblaGirYbZB1Uj1iO',
-    
-    // Synced tables from other bases
-    REFERENCES: process.env.AIRTABLE_TABLE_REFERENCES_SYNC || 'tblXfxCDOO4AGabsA',
-    IDEAS_PLANS: process.env.AIRTABLE_TABLE_IDEAS_PLANS_SYNC || 'tblM5dc4nOO7A354P',
-    CONTENT_HUB_SYNC: process.env.AIRTABLE_TABLE_CONTENT_HUB_SYNC || 'tblA0i05AefC1aPAh',
-    DOCUMENTATION: process.env.AIRTABLE_TABLE_DOCUMENTATION_SYNC || 'tbl6ye6CD9O2edO2t',
-    ARTICLES_SYNC: process.env.AIRTABLE_TABLE_ARTICLES_SYNC || 'tblldKWyq3kppzUoP',
-    
-    // Content Hub Base - Final published content
-    CONTENT_MASTER_INDEX: process.env.AIRTABLE_TABLE_CONTENT_MASTER_INDEX || 'tblDtUblOw04ftTEC',
-    ARTICLES: process.env.AIRTABLE_TABLE_ARTICLES || 'tbl5rmBlJtZPXTaqK',
-    SOCIAL_MEDIA: process.env.AIRTABLE_TABLE_SOCIAL_MEDIA || 'tblBy3FDefmckuaho',
-    NEWSLETTERS: process.env.AIRTABLE_TABLE_NEWSLETTERS || 'tbljQnDqtUThZ3jXv',
-    RESEARCH_REPORTS: process.env.AIRTABLE_TABLE_RESEARCH_REPORTS || 'tblyTku0TChhhyE2n',
-    
-    // Educational content tables
-    QBANK: process.env.AIRTABLE_TABLE_QBANK || 'tblPcbkyxX6NRIu8O',
-    QBANK_ITEMS: process.env.AIRTABLE_TABLE_QBANK_ITEMS || 'tbl02eKB6iO4jBL8I',
-    CONCEPTS: process.env.AIRTABLE_TABLE_CONCEPTS || 'tblGbQEvYqjqHKm3K',
-    MNEMONICS: process.env.AIRTABLE_TABLE_MNEMONICS || 'tblrQZlfLgYR9P5PU',
-    FLIPCARDS: process.env.AIRTABLE_TABLE_FLIPCARDS || 'tblyef7zmNuy7cWMe',
-    
-    // Media & interactive tables
-    MULTIMEDIA: process.env.AIRTABLE_TABLE_MULTIMEDIA || 'tblbAFtmJKOiDWRfY',
-    INTERACTIVE: process.env.AIRTABLE_TABLE_INTERACTIVE || 'tblfuPMhd4u6xA0eH',
-    DISCUSSIONS: process.env.AIRTABLE_TABLE_DISCUSSIONS || 'tblHxJYXgVbBgkbBZ',
-    SOCIAL_MEDIA_POST_ITEMS: process.env.AIRTABLE_TABLE_SOCIAL_MEDIA_POST_ITEMS || 'tbln6jVWWGuRMb3z5',
-    
-    // Reference Library Base
-    REFERENCE_INDEX: process.env.AIRTABLE_TABLE_REFERENCE_INDEX || 'tblvlkIrIDHZRYfCe',
-};
+const BASE_AUTOMATION_MASTERY = tableRegistry.bases.automation;
+const BASE_CONTENT_HUB = tableRegistry.bases.contentHub;
+const BASE_REFERENCE_LIBRARY = tableRegistry.bases.referenceLibrary;
 
-// Make.com webhook URL
-const MAKE_WEBHOOK_URL = process.env.MAKE_WEBHOOK_URL || process.env.N8N_WEBHOOK_URL || 'https://hook.us1.make.com/s5hmufrf4lrbapk8qcqrmd6oio8cnmgf';
+// Table IDs by key ({ INITIATOR: 'tbl...', ... })
+const TABLES = tableRegistry.tables;
+
+// Interchangeable Initiator field names (utils/field-alias-map.json); a new request
+// may use any of them and is written with the name the table actually has
+const INITIATOR_FIELD_ALIASES = ['workflow_link', 'content_type_link', 'entity_link', 'references_link', 'tools_link', 'research_link', 'goal', 'audience']
+    .map(key => fieldAliases[key]);
+
+function loadTableRegistry() {
+    try {
+        return new TableRegistry();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Data source: 'airtable' (live bases) or 'local' (JSON file, no API key needed)
+const DATA_SOURCE_KIND = resolveDataSourceKind();
+
+// Make.com webhook URL (the production hook is only a default for live Airtable data -
+// local records must never trigger production scenarios)
+const MAKE_WEBHOOK_URL = process.env.MAKE_WEBHOOK_URL || process.env.N8N_WEBHOOK_URL ||
+    (DATA_SOURCE_KIND === 'airtable' ? 'https://hook.us1.make.com/s5hmufrf4lrbapk8qcqrmd6oio8cnmgf' : null);
 
 // Advanced configuration
 const CONFIG = {
@@ -88,13 +125,69 @@ const CONFIG = {
     SCHEMA_CACHE_TTL: parseInt(process.env.SCHEMA_CACHE_TTL) || 3600,
     ENABLE_REQUEST_LOGGING: process.env.ENABLE_REQUEST_LOGGING !== 'false',
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    TABLE_REGISTRY_STRICT: process.env.TABLE_REGISTRY_STRICT !== 'false',
+    AIRTABLE_REQUESTS_PER_SECOND: parseInt(process.env.AIRTABLE_REQUESTS_PER_SECOND) || 5,
+    AIRTABLE_MAX_RETRIES: parseInt(process.env.AIRTABLE_MAX_RETRIES) || 5,
+    // Lane webhook HMAC secrets: current + previous (both accepted while rotating)
+    MAKE_WEBHOOK_SECRETS: [process.env.MAKE_WEBHOOK_SECRET, process.env.MAKE_WEBHOOK_SECRET_PREVIOUS].filter(Boolean),
+    WEBHOOK_TOLERANCE_SECONDS: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+    // Who runs a new request's workflow: 'make' (the Make.com webhook) or 'local' (services/workflow-runner.js)
+    WORKFLOW_RUNNER: (process.env.WORKFLOW_RUNNER || 'make').trim().toLowerCase(),
+    WORKFLOW_RUN_MODE: process.env.WORKFLOW_RUN_MODE || 'parallel',
+    // LLM provider for every local run instead of the workflow's AI Platform; local data never calls a real model by default
+    WORKFLOW_LLM_PROVIDER: process.env.WORKFLOW_LLM_PROVIDER || (DATA_SOURCE_KIND === 'local' ? 'mock' : null),
+    AUTH_ENABLED: process.env.AUTH_ENABLED !== 'false',
+    AUTH_STORE_FILE: process.env.AUTH_STORE_FILE || path.join(__dirname, 'data', 'auth.json'),
+    SESSION_TTL_HOURS: parseInt(process.env.SESSION_TTL_HOURS) || 12,
+    LANE_EVENT_LOG_FILE: process.env.LANE_EVENT_LOG_FILE || path.join(__dirname, 'data', 'lane-events.jsonl'),
+    LANE_EVENT_LOG_MAX: parseInt(process.env.LANE_EVENT_LOG_MAX) || 10000,
+    // Outbound Make.com trigger deliveries: attempts before dead-lettering, first retry delay (doubles each time)
+    WEBHOOK_OUTBOX_FILE: process.env.WEBHOOK_OUTBOX_FILE || path.join(__dirname, 'data', 'webhook-outbox.json'),
+    WEBHOOK_OUTBOX_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_OUTBOX_MAX_ATTEMPTS) || 6,
+    WEBHOOK_OUTBOX_BASE_DELAY_SECONDS: parseInt(process.env.WEBHOOK_OUTBOX_BASE_DELAY_SECONDS) || 5,
+    // Idempotency-Key responses for /api/requests/new are replayed for this long
+    IDEMPOTENCY_STORE_FILE: process.env.IDEMPOTENCY_STORE_FILE || path.join(__dirname, 'data', 'idempotency-keys.json'),
+    IDEMPOTENCY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    CONTEXT_SNAPSHOT_FILE: process.env.CONTEXT_SNAPSHOT_FILE || path.join(__dirname, 'data', 'context-snapshots.jsonl'),
+    CONTEXT_SNAPSHOT_MAX: parseInt(process.env.CONTEXT_SNAPSHOT_MAX) || 500,
+    // Fail context assembly (422) on schema violations instead of only reporting them in meta.validation
+    CONTEXT_SCHEMA_STRICT: process.env.CONTEXT_SCHEMA_STRICT === 'true',
+    // Research Reports added to the UnifiedContext (see services/research-context.js)
+    RESEARCH_MAX_REPORTS: parseInt(process.env.RESEARCH_MAX_REPORTS) || 5,
+    RESEARCH_BUDGET_CHARS: parseInt(process.env.RESEARCH_BUDGET_CHARS) || 8000,
+    RESEARCH_HALF_LIFE_DAYS: parseInt(process.env.RESEARCH_HALF_LIFE_DAYS) || 90,
+    ENABLE_RECORD_CACHE: process.env.ENABLE_RECORD_CACHE !== 'false',
+    RECORD_CACHE_TTL: parseInt(process.env.RECORD_CACHE_TTL) || 60,
+    RECORD_CACHE_STALE_TTL: parseInt(process.env.RECORD_CACHE_STALE_TTL) || 300,
+    // Per-table TTLs in seconds, keyed by TABLES name (e.g. {"PROMPTS": 600})
+    RECORD_CACHE_TABLE_TTLS: {
+        INITIATOR: 15,
+        OUTPUTS: 15,
+        ...parseJSONEnv('RECORD_CACHE_TABLE_TTLS')
+    },
 };
 
+// Parse a JSON object from an environment variable (empty object if unset or invalid)
+function parseJSONEnv(key) {
+    if (!process.env[key]) return {};
+    try {
+        return JSON.parse(process.env[key]);
+    } catch (error) {
+        console.warn(`⚠️  Ignoring invalid JSON in ${key}: ${error.message}`);
+        return {};
+    }
+}
+
 // Validate required environment variables on startup
 function validateEnvironment() {
-    const required = [
+    if (!DATA_SOURCE_KINDS.includes(DATA_SOURCE_KIND)) {
+        console.error(`❌ Unknown DATA_SOURCE "${DATA_SOURCE_KIND}" (expected one of: ${DATA_SOURCE_KINDS.join(', ')})`);
+        process.exit(1);
+    }
+    
+    const required = DATA_SOURCE_KIND === 'airtable' ? [
         'AIRTABLE_API_KEY',
-    ];
+    ] : [];
     
     const missing = required.filter(key => !process.env[key]);
     
@@ -102,53 +195,240 @@ function validateEnvironment() {
         console.error('❌ Missing required environment variables:');
         missing.forEach(key => console.error(`   - ${key}`));
         console.error('\nPlease check your .env file against .env.example');
+        console.error('To run without Airtable, set DATA_SOURCE=local');
         process.exit(1);
     }
     
-    console.log('✅ Environment variables validated');
+    console.log(`✅ Environment variables validated (data source: ${DATA_SOURCE_KIND})`);
 }
 
 validateEnvironment();
 
-// Initialize Context Assembly Service with Airtable base
-if (airtable) {
-  const automationMasteryBase = airtable.base(BASE_AUTOMATION_MASTERY);
-  initializeContextAssembly(automationMasteryBase);
+// Initialize Data Source
+const dataSource = createDataSource({
+  kind: DATA_SOURCE_KIND,
+  apiKey: process.env.AIRTABLE_API_KEY,
+  filePath: process.env.LOCAL_DATA_FILE,
+  seedPath: process.env.LOCAL_DATA_SEED,
+  scheduler: {
+    requestsPerSecond: CONFIG.AIRTABLE_REQUESTS_PER_SECOND,
+    maxRetries: CONFIG.AIRTABLE_MAX_RETRIES
+  }
+});
+
+// Initialize Record Cache (table listings; TTLs converted from seconds to milliseconds)
+const recordCache = new RecordCache({
+  enabled: CONFIG.ENABLE_RECORD_CACHE,
+  defaultTTL: CONFIG.RECORD_CACHE_TTL * 1000,
+  staleTTL: CONFIG.RECORD_CACHE_STALE_TTL * 1000,
+  tableTTLs: Object.fromEntries(
+    Object.entries(CONFIG.RECORD_CACHE_TABLE_TTLS)
+      .filter(([key]) => TABLES[key])
+      .map(([key, seconds]) => [TABLES[key], seconds * 1000])
+  )
+});
+
+// Initialize Request Status Engine (rules in utils/request-status-rules.json;
+// STATUS_TIMEOUT_MINUTES sets how long a request may go without any sign of life)
+const statusEngine = loadStatusEngine();
+
+function loadStatusEngine() {
+  try {
+    return new RequestStatusEngine({ timeouts: { dispatch: CONFIG.STATUS_TIMEOUT_MINUTES } });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Initialize Lane Event Log - every lane event is persisted so SSE clients can replay it
+const laneEventLog = new LaneEventLog({
+  filePath: CONFIG.LANE_EVENT_LOG_FILE,
+  maxEvents: CONFIG.LANE_EVENT_LOG_MAX
+});
+sseEvents.initialize(laneEventLog);
+
+// Initialize Webhook Outbox - new requests are queued for Make.com and retried until delivered
+const webhookOutbox = new WebhookOutbox({
+  filePath: CONFIG.WEBHOOK_OUTBOX_FILE,
+  maxAttempts: CONFIG.WEBHOOK_OUTBOX_MAX_ATTEMPTS,
+  baseDelay: CONFIG.WEBHOOK_OUTBOX_BASE_DELAY_SECONDS * 1000
+});
+
+// Initialize Idempotency Store - a repeated submission (same Idempotency-Key) gets the original response
+const idempotencyStore = new IdempotencyStore({
+  filePath: CONFIG.IDEMPOTENCY_STORE_FILE,
+  ttl: CONFIG.IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000
+});
+
+// Initialize lane webhook verification - unsigned or badly signed events are rejected
+const laneWebhookVerifier = new WebhookVerifier({
+  name: 'lane event webhook',
+  secrets: CONFIG.MAKE_WEBHOOK_SECRETS,
+  toleranceSeconds: CONFIG.WEBHOOK_TOLERANCE_SECONDS
+});
+if (!laneWebhookVerifier.isConfigured()) {
+  console.warn('⚠️  MAKE_WEBHOOK_SECRET is not set (or is the .env.example placeholder) - lane events will be rejected until it is');
+}
+
+// Initialize Auth Service - the first start creates an admin user
+// (ADMIN_USERNAME / ADMIN_PASSWORD, or a generated password printed once)
+const authService = new AuthService({
+  filePath: CONFIG.AUTH_STORE_FILE,
+  sessionTTL: CONFIG.SESSION_TTL_HOURS * 60 * 60 * 1000,
+  enabled: CONFIG.AUTH_ENABLED,
+  secureCookies: process.env.NODE_ENV === 'production'
+});
+if (!CONFIG.AUTH_ENABLED) {
+  console.warn('⚠️  AUTH_ENABLED=false - every request is treated as an admin');
 }
+authService.ensureAdmin({
+  username: process.env.ADMIN_USERNAME || 'admin',
+  password: process.env.ADMIN_PASSWORD || null
+}).then(generatedPassword => {
+  if (generatedPassword) {
+    console.warn(`⚠️  Initial admin password (shown once, change it after logging in): ${generatedPassword}`);
+  }
+}).catch(err => {
+  console.error('❌ Could not create the initial admin user:', err.message);
+});
 
 // Initialize Schema Service
 const schemaService = new SchemaService(process.env.AIRTABLE_API_KEY, {
   cacheTTL: CONFIG.SCHEMA_CACHE_TTL * 1000, // Convert seconds to milliseconds
-  enableCache: CONFIG.ENABLE_SCHEMA_CACHE
-});
-
-// Pre-fetch schemas for all bases on startup (async, non-blocking)
-if (process.env.AIRTABLE_API_KEY) {
-  schemaService.fetchMultipleSchemas([
-    BASE_AUTOMATION_MASTERY,
-    BASE_CONTENT_HUB,
-    BASE_REFERENCE_LIBRARY
-  ]).then(() => {
-    console.log('✅ Schema cache warmed up');
-  }).catch(err => {
-    console.warn('⚠️  Schema pre-fetch failed (will fetch on demand):', err.message);
-  });
+  enableCache: CONFIG.ENABLE_SCHEMA_CACHE,
+  dataSource
+});
+
+// Initialize Context Budget (per-model token windows and section truncation rules
+// in utils/context-budget.json)
+const contextBudget = loadContextBudget();
+
+function loadContextBudget() {
+  try {
+    return new ContextBudget();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Initialize Context Schema Registry (schemas/unified-context/<version>.json)
+const contextSchemas = loadContextSchemas();
+
+function loadContextSchemas() {
+  try {
+    return new ContextSchemaRegistry();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 }
 
+// Initialize Context Snapshot Store - every assembled context is kept for debugging lanes
+const contextSnapshots = new ContextSnapshotStore({
+  filePath: CONFIG.CONTEXT_SNAPSHOT_FILE,
+  maxSnapshots: CONFIG.CONTEXT_SNAPSHOT_MAX
+});
+
+// Initialize Context Assembly Service with the data source
+initializeContextAssembly(dataSource, {
+  tables: tableRegistry,
+  schemaService,
+  contextBudget,
+  snapshots: contextSnapshots,
+  contextSchemas,
+  schemaStrict: CONFIG.CONTEXT_SCHEMA_STRICT,
+  research: {
+    maxReports: CONFIG.RESEARCH_MAX_REPORTS,
+    budgetChars: CONFIG.RESEARCH_BUDGET_CHARS,
+    halfLifeDays: CONFIG.RESEARCH_HALF_LIFE_DAYS
+  }
+});
+
+// Initialize Workflow Runner - runs lanes in-process when WORKFLOW_RUNNER=local
+// (or on demand through POST /api/requests/:recordId/run)
+const workflowRunner = new WorkflowRunner({
+  dataSource,
+  tables: tableRegistry,
+  assemble: (recordId, lane) => assembleUnifiedContext(recordId, lane),
+  events: sseEvents,
+  schemaService,
+  provider: CONFIG.WORKFLOW_LLM_PROVIDER,
+  apiKeys: { openai: process.env.OPENAI_API_KEY, anthropic: process.env.ANTHROPIC_API_KEY },
+  mode: CONFIG.WORKFLOW_RUN_MODE,
+  onRecordsChanged: (tableKey) => recordCache.invalidate(BASE_AUTOMATION_MASTERY, TABLES[tableKey])
+});
+
+// Initialize Request Actions - retry, cancel and clone, recorded in each request's Action History
+const requestActions = new RequestActions({
+  dataSource,
+  tables: tableRegistry,
+  schemaService,
+  statusEngine,
+  laneEventLog,
+  events: sseEvents,
+  dispatch: dispatchRequest,
+  workflowRunner,
+  onRecordsChanged: (tableKey) => recordCache.invalidate(BASE_AUTOMATION_MASTERY, TABLES[tableKey])
+});
+
+/**
+ * Send an existing request to the workflow: a local run, or a queued Make.com trigger.
+ * Resolves to what was started, or null when neither is configured.
+ */
+async function dispatchRequest(recordId) {
+  if (CONFIG.WORKFLOW_RUNNER === 'local') {
+    const run = await workflowRunner.start(recordId);
+    return { run_id: run.id };
+  }
+  if (MAKE_WEBHOOK_URL) {
+    const delivery = webhookOutbox.enqueue({ recordId, url: MAKE_WEBHOOK_URL, payload: { recordId } });
+    return { delivery_id: delivery.id };
+  }
+  return null;
+}
+
+// Validate every registry table against the live base schemas on startup
+// (async, also warms the schema cache). Missing required tables stop the server
+// unless TABLE_REGISTRY_STRICT=false.
+tableRegistry.validate(schemaService).then(report => {
+  const missingOptional = report.tables.filter(t => !t.required && t.status === 'missing').map(t => t.key);
+  if (missingOptional.length > 0) {
+    console.warn(`⚠️  Table registry: optional tables not found: ${missingOptional.join(', ')} (see /api/meta/tables)`);
+  }
+  const unverifiedBases = [...new Set(report.tables.filter(t => t.status === 'unverified').map(t => t.baseId))];
+  if (unverifiedBases.length > 0) {
+    console.warn(`⚠️  Table registry: could not verify tables in ${unverifiedBases.join(', ')} (schema unavailable)`);
+  }
+  
+  if (!report.ok) {
+    console.error('❌ Table registry does not match the Airtable bases:');
+    report.errors.forEach(error => console.error(`   - ${error}`));
+    if (CONFIG.TABLE_REGISTRY_STRICT) {
+      console.error('\nFix the table IDs (or set TABLE_REGISTRY_STRICT=false to start anyway)');
+      process.exit(1);
+    }
+    return;
+  }
+  
+  console.log(`✅ Table registry validated (${report.counts.ok || 0} tables verified)`);
+}).catch(err => {
+  console.warn('⚠️  Table registry validation failed:', err.message);
+});
+
 // Initialize Health Service
 const healthService = new HealthService({
-  airtable,
+  dataSource,
+  scheduler: dataSource.scheduler || null, // Airtable only
   schemaService,
   contextAssembly: true, // Will be replaced with actual service instance
   sseEvents,
   makeWebhookUrl: MAKE_WEBHOOK_URL,
   config: CONFIG,
-  bases: {
-    automation: BASE_AUTOMATION_MASTERY,
-    contentHub: BASE_CONTENT_HUB,
-    referenceLibrary: BASE_REFERENCE_LIBRARY
-  },
-  tables: TABLES
+  bases: tableRegistry.bases,
+  tables: TABLES,
+  tableRegistry
 });
 
 console.log('✅ Health Service initialized');
@@ -158,52 +438,135 @@ const port = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors()); // Enable CORS for all routes
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw bytes for webhook signature checks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// --- Helper function to fetch all records from a table ---
-async function fetchAllRecords(baseId, tableId, viewName = null) {
-    if (!airtable) return [];
-    
-    return new Promise((resolve, reject) => {
-        const records = [];
-        const selectOptions = viewName ? { view: viewName } : {};
-        airtable.base(baseId)(tableId).select(selectOptions).eachPage(function page(pageRecords, fetchNextPage) {
-            pageRecords.forEach(record => {
-                records.push(record._rawJson);
-            });
-            fetchNextPage();
-        }, function done(err) {
-            if (err) {
-                console.error(`Airtable fetch error for table ${tableId}:`, err);
-                return reject(err);
-            }
-            resolve(records);
-        });
-    });
+// Every /api route needs a signed-in user (session cookie or API key) except these
+const PUBLIC_API_ROUTES = [
+    { method: 'POST', path: /^\/auth\/(login|logout)$/ },
+    { method: 'GET', path: /^\/health$/ },               // uptime monitors
+    { method: 'POST', path: /^\/events\/[^/]+\/lane$/ }  // HMAC-signed Make.com webhook
+];
+app.use('/api', authService.authenticate({
+    isPublic: (req) => PUBLIC_API_ROUTES.some(route => route.method === req.method && route.path.test(req.path))
+}));
+
+// Routes needing more than read access add requireRole('requester' | 'editor' | 'admin')
+const requireRole = (role) => authService.requireRole(role);
+
+// Send an auth service error (statusCode set by the service) or a 500
+function sendAuthError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error(`[Auth] Error ${action}:`, error);
+    res.status(500).json({ success: false, error: `Failed ${action}`, details: error.message });
 }
 
-// --- Helper function to fetch table schema from Meta API ---
-async function fetchTableSchema(baseId, tableId) {
-    if (!airtable) return null;
-    
+// ============================================================
+// AUTHENTICATION - Login, sessions, users and API keys
+// ============================================================
+
+// POST /api/auth/login - { username, password } -> session cookie
+app.post('/api/auth/login', async (req, res) => {
     try {
-        const response = await axios.get(
-            `https://api.airtable.com/v0/meta/bases/${baseId}/tables`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.AIRTABLE_API_KEY}`
-                }
-            }
-        );
-        
-        const tables = response.data.tables || [];
-        const table = tables.find(t => t.id === tableId);
-        return table || null;
+        const { username, password } = req.body || {};
+        const session = await authService.login(username, password, req.ip);
+        res.setHeader('Set-Cookie', authService.sessionCookie(session.token, session.expiresAt));
+        res.json({ success: true, user: session.user, expiresAt: session.expiresAt });
     } catch (error) {
-        console.error(`Error fetching schema for table ${tableId}:`, error.message);
-        return null;
+        sendAuthError(res, error, 'logging in');
     }
+});
+
+// POST /api/auth/logout - End the current session
+app.post('/api/auth/logout', (req, res) => {
+    authService.logout(authService.sessionToken(req));
+    res.setHeader('Set-Cookie', authService.sessionCookie(null));
+    res.json({ success: true });
+});
+
+// GET /api/auth/me - Current user and the role ladder (for showing/hiding UI)
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user, roles: AuthService.ROLES });
+});
+
+// GET /api/auth/users - List users (admin)
+app.get('/api/auth/users', requireRole('admin'), (req, res) => {
+    res.json({ success: true, users: authService.listUsers() });
+});
+
+// POST /api/auth/users - { username, password, role, name } (admin)
+app.post('/api/auth/users', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await authService.createUser(req.body || {});
+        console.log(`[Auth] ${req.user.username} created user ${user.username} (${user.role})`);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        sendAuthError(res, error, 'creating user');
+    }
+});
+
+// PATCH /api/auth/users/:id - { name, role, password } (admin)
+app.patch('/api/auth/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, role, password } = req.body || {};
+        const user = await authService.updateUser(req.params.id, { name, role, password });
+        console.log(`[Auth] ${req.user.username} updated user ${user.username}`);
+        res.json({ success: true, user });
+    } catch (error) {
+        sendAuthError(res, error, 'updating user');
+    }
+});
+
+// DELETE /api/auth/users/:id (admin)
+app.delete('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(409).json({ success: false, error: 'You cannot delete your own account' });
+        }
+        authService.deleteUser(req.params.id);
+        console.log(`[Auth] ${req.user.username} deleted user ${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error, 'deleting user');
+    }
+});
+
+// GET /api/auth/api-keys - List API keys (admin; secrets are never returned)
+app.get('/api/auth/api-keys', requireRole('admin'), (req, res) => {
+    res.json({ success: true, apiKeys: authService.listApiKeys() });
+});
+
+// POST /api/auth/api-keys - { name, role } -> key (shown once) (admin)
+app.post('/api/auth/api-keys', requireRole('admin'), (req, res) => {
+    try {
+        const apiKey = authService.createApiKey(req.body || {}, req.user.username);
+        console.log(`[Auth] ${req.user.username} created API key "${apiKey.name}" (${apiKey.role})`);
+        res.status(201).json({ success: true, apiKey });
+    } catch (error) {
+        sendAuthError(res, error, 'creating API key');
+    }
+});
+
+// DELETE /api/auth/api-keys/:id - Revoke an API key (admin)
+app.delete('/api/auth/api-keys/:id', requireRole('admin'), (req, res) => {
+    try {
+        authService.revokeApiKey(req.params.id);
+        console.log(`[Auth] ${req.user.username} revoked API key ${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error, 'revoking API key');
+    }
+});
+
+// --- Helper function to fetch all records from a table (served from the record cache) ---
+async function fetchAllRecords(baseId, tableId, viewName = null) {
+    const selectOptions = viewName ? { view: viewName } : {};
+    return recordCache.get(baseId, tableId, selectOptions, () => dataSource.listRecords(baseId, tableId, selectOptions));
 }
 
 // --- Context Assembly Endpoints ---
@@ -211,24 +574,32 @@ async function fetchTableSchema(baseId, tableId) {
 /**
  * GET /api/context/assemble
  * Assembles the UnifiedContext object for a given Initiator record
- * Query params: recordId (required)
+ * Query params: recordId (required), lane (optional, e.g. "A2.1" - narrows the
+ * context to that lane's prompt, prior step outputs and rules)
  */
 app.get('/api/context/assemble', async (req, res) => {
     try {
-        const { recordId } = req.query;
+        const { recordId, lane } = req.query;
         
         if (!recordId) {
             return res.status(400).json({ error: 'recordId query parameter is required' });
         }
         
-        console.log(`[API] Assembling context for record: ${recordId}`);
-        const unifiedContext = await assembleUnifiedContext(recordId);
+        console.log(`[API] Assembling context for record: ${recordId}${lane ? ` (lane ${lane})` : ''}`);
+        const unifiedContext = await assembleUnifiedContext(recordId, lane || null);
         
         res.json({
             success: true,
             data: unifiedContext
         });
     } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                ...(error.violations ? { violations: error.violations } : {})
+            });
+        }
         console.error('[API] Error assembling context:', error);
         res.status(500).json({
             success: false,
@@ -238,100 +609,225 @@ app.get('/api/context/assemble', async (req, res) => {
 });
 
 /**
- * GET /api/context/preview
- * Preview the context that will be assembled for a new request
- * Query params: workflowId, entityId, contentTypeId, goal, audience, brief
+ * GET /api/context/schema
+ * Published UnifiedContext schema versions
  */
-app.get('/api/context/preview', async (req, res) => {
+app.get('/api/context/schema', (req, res) => {
+    const versions = contextSchemas.versions();
+    res.json({
+        success: true,
+        latest: versions[versions.length - 1],
+        versions: versions.map(version => ({ version, url: `/api/context/schema/${version}` }))
+    });
+});
+
+/**
+ * GET /api/context/schema/:version
+ * The JSON Schema for one UnifiedContext version
+ */
+app.get('/api/context/schema/:version', (req, res) => {
+    const schema = contextSchemas.get(req.params.version);
+    
+    if (!schema) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown context schema version ${req.params.version}`,
+            versions: contextSchemas.versions()
+        });
+    }
+    
+    res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
+/**
+ * GET /api/context/schema/:from/compatibility/:to
+ * Breaking and non-breaking changes for scenarios built against :from
+ */
+app.get('/api/context/schema/:from/compatibility/:to', (req, res) => {
     try {
-        const { workflowId, entityId, contentTypeId, goal, audience, brief } = req.query;
-        
-        if (!workflowId || !entityId || !contentTypeId) {
-            return res.status(400).json({ 
-                error: 'workflowId, entityId, and contentTypeId query parameters are required' 
-            });
+        res.json({ success: true, data: contextSchemas.compatibility(req.params.from, req.params.to) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
         }
+        console.error('[API] Error comparing context schemas:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/context/snapshots
+ * Snapshots of the contexts assembled for a request, newest first (no context bodies)
+ * Query params: recordId (required), idempotencyKey (optional, e.g. "rec...:A1.1")
+ */
+app.get('/api/context/snapshots', (req, res) => {
+    const { recordId, idempotencyKey } = req.query;
+    
+    if (!recordId) {
+        return res.status(400).json({ error: 'recordId query parameter is required' });
+    }
+    
+    const snapshots = contextSnapshots.list(recordId, idempotencyKey || null);
+    res.json({ success: true, recordId, count: snapshots.length, snapshots });
+});
+
+/**
+ * GET /api/context/snapshots/diff
+ * Structural JSON diff between two snapshots (JSON Pointer paths)
+ * Query params: from, to (snapshot IDs)
+ */
+app.get('/api/context/snapshots/diff', (req, res) => {
+    try {
+        const { from, to } = req.query;
         
-        // Create a temporary Initiator record structure for preview
-        const tempInitiator = {
-            id: 'preview',
-            fields: {
-                'Workflow': [workflowId],
-                'Entity': [entityId],
-                'Content Type': [contentTypeId],
-                'Goal': goal || '',
-                'Audience': audience || '',
-                'Brief': brief || ''
-            }
-        };
-        
-        // Fetch the related records to build preview
-        const [workflow, entity, contentType] = await Promise.all([
-            airtable.base(BASE_AUTOMATION_MASTERY)(TABLES.WORKFLOWS).find(workflowId).catch(() => null),
-            airtable.base(BASE_AUTOMATION_MASTERY)(TABLES.ENTITIES).find(entityId).catch(() => null),
-            airtable.base(BASE_AUTOMATION_MASTERY)(TABLES.CONTENT_TYPES).find(contentTypeId).catch(() => null)
-        ]);
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to query parameters are required' });
+        }
         
-        const preview = {
-            workflow: workflow ? {
-                name: workflow.fields['Name'],
-                description: workflow.fields['Description']
-            } : null,
-            entity: entity ? {
-                name: entity.fields['Name'],
-                brand_kb_preview: entity.fields['Brand Knowledge Base']?.substring(0, 500) + '...',
-                audience_kb_preview: entity.fields['Audience Knowledge Base']?.substring(0, 500) + '...'
-            } : null,
-            content_type: contentType ? {
-                name: contentType.fields['Name'],
-                destination_table: contentType.fields['Destination Table']
-            } : null,
-            user_input: {
-                goal: goal || '',
-                audience: audience || '',
-                brief: brief || ''
-            },
-            estimated_tokens: estimateTokenCount(entity, goal, audience, brief)
-        };
+        res.json({ success: true, data: contextSnapshots.diff(from, to) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error('[API] Error diffing context snapshots:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/context/snapshots/:snapshotId
+ * One snapshot with the full context
+ */
+app.get('/api/context/snapshots/:snapshotId', (req, res) => {
+    const snapshot = contextSnapshots.get(req.params.snapshotId);
+    
+    if (!snapshot) {
+        return res.status(404).json({ success: false, error: `Snapshot ${req.params.snapshotId} not found` });
+    }
+    
+    res.json({ success: true, data: snapshot });
+});
+
+/**
+ * POST /api/context/preview
+ * Assemble the exact UnifiedContext a new request would get, from the New Request
+ * form's Initiator fields. Nothing is written to Airtable and no snapshot is kept.
+ * Body: { fields: { "<Initiator field>": value, ... }, lane (optional, e.g. "A1.1") }
+ */
+app.post('/api/context/preview', async (req, res) => {
+    const { fields, lane } = req.body || {};
+    
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        return res.status(400).json({ error: 'fields must be an object of Initiator field values' });
+    }
+    
+    await sendContextPreview(res, fields, lane);
+});
+
+/**
+ * GET /api/context/preview
+ * Same preview from query params: workflowId, entityId, contentTypeId, goal, audience, brief
+ */
+app.get('/api/context/preview', async (req, res) => {
+    const { workflowId, entityId, contentTypeId, goal, audience, brief, lane } = req.query;
+    const fields = {};
+    
+    if (workflowId) fields[fieldAliases.workflow_link[0]] = [workflowId];
+    if (entityId) fields[fieldAliases.entity_link[0]] = [entityId];
+    if (contentTypeId) fields[fieldAliases.content_type_link[0]] = [contentTypeId];
+    if (goal) fields[fieldAliases.goal[0]] = goal;
+    if (audience) fields[fieldAliases.audience[0]] = audience;
+    if (brief) fields['Raw User Input'] = brief;
+    
+    await sendContextPreview(res, fields, lane);
+});
+
+// Assemble a draft context and send it with its token budget report
+async function sendContextPreview(res, fields, lane) {
+    try {
+        const unifiedContext = await previewUnifiedContext(fields, lane || null);
         
         res.json({
             success: true,
-            data: preview
+            data: unifiedContext,
+            token_budget: unifiedContext.meta.token_budget || null
         });
     } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                ...(error.violations ? { violations: error.violations } : {})
+            });
+        }
         console.error('[API] Error previewing context:', error);
         res.status(500).json({
             success: false,
             error: error.message
         });
     }
-});
+}
+
+// --- Prompt Endpoints ---
 
 /**
- * Helper function to estimate token count
+ * POST /api/prompts/:id/render
+ * Render a prompt's Prompt Text against the UnifiedContext assembled for a request,
+ * with diagnostics for template syntax errors and variables that have no value.
+ * Body: { recordId (required), lane (optional, e.g. "A1.1"), strict (optional -
+ * respond 422 when any variable is missing, not only on syntax errors) }
  */
-function estimateTokenCount(entity, goal, audience, brief) {
-    let count = 0;
-    
-    if (entity) {
-        count += (entity.fields['Brand Knowledge Base']?.length || 0) / 4;
-        count += (entity.fields['Audience Knowledge Base']?.length || 0) / 4;
+app.post('/api/prompts/:id/render', async (req, res) => {
+    try {
+        const { recordId, lane, strict } = req.body || {};
+        
+        if (!recordId) {
+            return res.status(400).json({ error: 'recordId is required' });
+        }
+        
+        const prompt = await dataSource.findRecord(BASE_AUTOMATION_MASTERY, TABLES.PROMPTS, req.params.id);
+        const unifiedContext = await assembleUnifiedContext(recordId, lane || null);
+        const rendered = renderPrompt(prompt, unifiedContext);
+        const { errors, missing } = rendered.diagnostics;
+        
+        console.log(`[API] Rendered prompt ${rendered.prompt.id} for ${recordId}: ${errors.length} syntax error(s), ${missing.length} missing variable(s)`);
+        
+        const failed = errors.length > 0 || (Boolean(strict) && missing.length > 0);
+        res.status(failed ? 422 : 200).json({
+            success: !failed,
+            ...(failed ? { error: errors.length > 0 ? 'Prompt template has syntax errors' : 'Prompt template has missing variables' } : {}),
+            data: {
+                prompt_id: rendered.prompt.id,
+                prompt_name: rendered.prompt.name,
+                record_id: recordId,
+                lane: unifiedContext.lane ? unifiedContext.lane.id : null,
+                text: rendered.text,
+                diagnostics: rendered.diagnostics,
+                context: {
+                    content_hash: unifiedContext.meta.content_hash || null,
+                    snapshot_id: unifiedContext.meta.snapshot_id || null
+                }
+            }
+        });
+    } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                ...(error.violations ? { violations: error.violations } : {})
+            });
+        }
+        console.error('[API] Error rendering prompt:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
-    
-    count += (goal?.length || 0) / 4;
-    count += (audience?.length || 0) / 4;
-    count += (brief?.length || 0) / 4;
-    
-    return Math.round(count);
-}
+});
 
 // --- API Endpoint to fetch ALL live data ---
 app.get('/api/data/live', async (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(500).json({ error: "Airtable API not configured." });
-        }
-
         console.log('Fetching all live data from Airtable...');
 
         // Fetch all tables, but don't fail if individual tables error
@@ -380,10 +876,6 @@ app.get('/api/data/live', async (req, res) => {
 // --- API Endpoint to fetch Content Hub outputs ---
 app.get('/api/content-hub/outputs', async (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(500).json({ error: "Airtable API not configured." });
-        }
-
         console.log('Fetching Content Hub outputs...');
 
         const [
@@ -423,23 +915,16 @@ app.get('/api/content-hub/outputs', async (req, res) => {
 // --- API Endpoint to fetch Initiator table schema for dynamic form generation ---
 app.get('/api/schema/initiator', async (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(500).json({ error: "Airtable API not configured." });
-        }
-
         console.log('Fetching Initiator table schema...');
 
-        const schema = await fetchTableSchema(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR);
+        const schema = await schemaService.getTableSchemaById(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR);
 
         if (!schema) {
             return res.status(404).json({ error: 'Initiator table schema not found.' });
         }
 
-        // Filter out read-only fields and system fields
-        const editableFields = schema.fields.filter(field => {
-            const readOnlyTypes = ['formula', 'rollup', 'count', 'lookup', 'button', 'lastModifiedTime', 'createdTime', 'lastModifiedBy', 'createdBy'];
-            return !readOnlyTypes.includes(field.type);
-        });
+        // Filter out read-only fields and system fields (the same ones /api/requests/new rejects)
+        const editableFields = schema.fields.filter(field => !READ_ONLY_TYPES.includes(field.type));
 
         res.json({
             tableId: schema.id,
@@ -455,18 +940,28 @@ app.get('/api/schema/initiator', async (req, res) => {
 });
 
 // --- API Endpoint to submit new request (Create record + Trigger Make) ---
-app.post('/api/requests/new', async (req, res) => {
+// Send an Idempotency-Key header to make retries safe (see services/idempotency-store.js)
+app.post('/api/requests/new', requireRole('requester'), idempotencyStore.middleware('requests/new'), async (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(500).json({ error: "Airtable API not configured." });
+        // 1. Check and coerce the fields against the live Initiator schema (utils/field-validator.js)
+        const schema = await schemaService.getTableSchemaById(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR).catch(error => {
+            console.warn(`Could not load the Initiator schema, fields not validated: ${error.message}`);
+            return null;
+        });
+        let formData = req.body;
+        if (schema) {
+            const { fields, errors } = validateFields(req.body, schema, { aliases: INITIATOR_FIELD_ALIASES });
+            if (errors.length > 0) {
+                console.warn(`Rejected new request: ${errors.map(error => `${error.field} (${error.code})`).join(', ')}`);
+                return res.status(422).json({ success: false, error: 'Some fields are invalid', errors });
+            }
+            formData = fields;
         }
 
-        const formData = req.body;
-
         console.log('Creating new Initiator record with data:', JSON.stringify(formData, null, 2));
 
-        // 1. Create record in AI Automation Initiator table
-        const newRecord = await airtable.base(BASE_AUTOMATION_MASTERY)(TABLES.INITIATOR).create([
+        // 2. Create record in AI Automation Initiator table
+        const newRecord = await dataSource.createRecords(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR, [
             { fields: formData }
         ]);
 
@@ -474,14 +969,21 @@ app.post('/api/requests/new', async (req, res) => {
 
         console.log(`Created Initiator record: ${recordId}`);
 
-        // 2. Trigger Make.com webhook with the new record ID
-        if (MAKE_WEBHOOK_URL) {
-            console.log(`Triggering Make.com webhook: ${MAKE_WEBHOOK_URL}`);
-            await axios.post(MAKE_WEBHOOK_URL, { recordId }, { timeout: 5000 });
-            console.log('Make.com webhook triggered successfully');
+        // Cached Initiator listings are now out of date
+        recordCache.invalidate(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR);
+
+        // 3. Run the workflow locally, or queue the Make.com trigger (see dispatchRequest).
+        // The record exists either way, so a dispatch problem is reported, not thrown;
+        // the runner also logs it and sends a lane_error.
+        let dispatched = null;
+        try {
+            dispatched = await dispatchRequest(recordId);
+        } catch (error) {
+            console.error(`New request ${recordId} could not be dispatched: ${error.message}`);
+            dispatched = { dispatch_error: error.message };
         }
 
-        res.json({ success: true, recordId });
+        res.json({ success: true, recordId, ...(dispatched || {}) });
 
     } catch (error) {
         console.error('Error submitting new request:', error.response ? error.response.data : error.message);
@@ -492,33 +994,70 @@ app.post('/api/requests/new', async (req, res) => {
     }
 });
 
-// --- API Endpoint to check status of a request (for Tracker) ---
-app.get('/api/requests/status/:recordId', async (req, res) => {
+// --- Outbound webhook deliveries (admin) ---
+
+/**
+ * GET /api/webhooks/deliveries
+ * Make.com trigger deliveries, newest first, with every attempt
+ * Query params: status (pending | delivering | delivered | dead), recordId, limit (default 100)
+ */
+app.get('/api/webhooks/deliveries', requireRole('admin'), (req, res) => {
+    const { status, recordId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    
+    res.json({
+        success: true,
+        stats: webhookOutbox.getStats(),
+        deliveries: webhookOutbox.list({ status, recordId, limit })
+    });
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Send a dead (or delivered) delivery again with a fresh round of retries
+ */
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(500).json({ error: "Airtable API not configured." });
+        res.json({ success: true, delivery: webhookOutbox.redeliver(req.params.id) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
         }
+        console.error('[API] Error redelivering webhook:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
+// --- API Endpoint to check status of a request (for Tracker) ---
+app.get('/api/requests/status/:recordId', async (req, res) => {
+    try {
         const recordId = req.params.recordId;
         
         console.log(`Fetching status for record: ${recordId}`);
 
         // Fetch the record from the AI Automation Initiator table
-        const record = await airtable.base(BASE_AUTOMATION_MASTERY)(TABLES.INITIATOR).find(recordId);
+        const record = await dataSource.findRecord(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR, recordId);
 
-        // Extract status fields (field names confirmed from deep analysis)
-        const status = record.fields['Status'] || record.fields['Workflow Status'] || 'Queued';
+        // Derived status (services/request-status.js) plus display fields
+        const status = statusEngine.derive(record, { events: laneEventLog.forRecord(recordId) });
         const outputLink = record.fields['Final Output Link'] || record.fields['Output URL'] || null;
         const currentStep = record.fields['Current Step'] || null;
         const progress = record.fields['Progress'] || null;
 
         res.json({
             recordId,
-            status,
+            status: status.status,
+            statusLabel: status.label,
+            terminal: status.terminal,
+            rawStatus: status.rawStatus,
+            lastEvent: status.lastEvent,
+            lastActivityAt: status.lastActivityAt,
             outputLink,
             currentStep,
             progress,
-            fields: record.fields // Return all fields for debugging
+            actions: requestActions.history(record),
+            // Raw fields are for debugging only
+            ...(authService.hasRole(req.user, 'editor') ? { fields: record.fields } : {})
         });
 
     } catch (error) {
@@ -527,34 +1066,102 @@ app.get('/api/requests/status/:recordId', async (req, res) => {
     }
 });
 
-// --- API Endpoint to fetch recent Initiator records for Dashboard ---
-app.get('/api/requests/recent', async (req, res) => {
+// --- Request actions (services/request-actions.js) ---
+
+/**
+ * Send an action's result, mapping 4xx/503 action errors to their status
+ */
+async function sendRequestAction(res, action, label) {
+    try {
+        res.json({ success: true, data: await action() });
+    } catch (error) {
+        if (error.statusCode && (error.statusCode < 500 || error.statusCode === 503)) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error(`[API] Error trying to ${label} request:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+/**
+ * POST /api/requests/:recordId/retry
+ * Dispatch a failed, stalled or cancelled request again (409 otherwise)
+ */
+app.post('/api/requests/:recordId/retry', requireRole('requester'), (req, res) => {
+    sendRequestAction(res, () => requestActions.retry(req.params.recordId, req.user), 'retry');
+});
+
+/**
+ * POST /api/requests/:recordId/cancel
+ * Mark a request Cancelled and send a `cancelled` lane event (409 if it's complete or already cancelled)
+ * Body: { reason (optional) }
+ */
+app.post('/api/requests/:recordId/cancel', requireRole('requester'), (req, res) => {
+    const { reason } = req.body || {};
+    sendRequestAction(res, () => requestActions.cancel(req.params.recordId, req.user, { reason }), 'cancel');
+});
+
+/**
+ * POST /api/requests/:recordId/clone
+ * Create a new Initiator with the same input fields and dispatch it; data.recordId is the copy
+ */
+app.post('/api/requests/:recordId/clone', requireRole('requester'), (req, res) => {
+    sendRequestAction(res, () => requestActions.clone(req.params.recordId, req.user), 'clone');
+});
+
+// --- Local workflow runs (services/workflow-runner.js) ---
+
+/**
+ * POST /api/requests/:recordId/run
+ * Run a request's workflow in-process. Responds once the lanes are planned;
+ * progress follows as lane events on /api/events/:recordId.
+ * Body: { mode (optional): 'parallel' | 'sequential' }
+ */
+app.post('/api/requests/:recordId/run', requireRole('requester'), async (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(500).json({ error: "Airtable API not configured." });
+        const { mode } = req.body || {};
+        const run = await workflowRunner.start(req.params.recordId, { mode });
+        
+        res.status(202).json({ success: true, data: run });
+    } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
         }
+        console.error('[API] Error starting workflow run:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/requests/:recordId/run
+ * The latest local run for a request: each lane's status, prompt, token usage and error
+ */
+app.get('/api/requests/:recordId/run', (req, res) => {
+    const run = workflowRunner.getRun(req.params.recordId);
+    
+    if (!run) {
+        return res.status(404).json({ success: false, error: `No local run for ${req.params.recordId}` });
+    }
+    
+    res.json({ success: true, data: run });
+});
 
+// --- API Endpoint to describe request statuses (labels, colors, filter values) ---
+app.get('/api/requests/statuses', (req, res) => {
+    res.json(statusEngine.describe());
+});
+
+// --- API Endpoint to fetch recent Initiator records for Dashboard ---
+// Raw Initiator fields are for editors, as on /api/requests/status/:recordId
+app.get('/api/requests/recent', requireRole('editor'), async (req, res) => {
+    try {
         const limit = parseInt(req.query.limit) || 10;
 
         console.log(`Fetching ${limit} recent Initiator records...`);
 
-        const records = await new Promise((resolve, reject) => {
-            const results = [];
-            airtable.base(BASE_AUTOMATION_MASTERY)(TABLES.INITIATOR)
-                .select({
-                    maxRecords: limit,
-                    sort: [{ field: 'Created', direction: 'desc' }]
-                })
-                .eachPage(
-                    function page(pageRecords, fetchNextPage) {
-                        pageRecords.forEach(record => results.push(record._rawJson));
-                        fetchNextPage();
-                    },
-                    function done(err) {
-                        if (err) return reject(err);
-                        resolve(results);
-                    }
-                );
+        const records = await dataSource.listRecords(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR, {
+            maxRecords: limit,
+            sort: [{ field: 'Created', direction: 'desc' }]
         });
 
         res.json({ records });
@@ -578,7 +1185,10 @@ app.get('/api/events/:recordId', (req, res) => {
     
     const { recordId } = req.params;
     
-    console.log(`[SSE] Client connecting for record: ${recordId}`);
+    // Browsers send Last-Event-ID when they reconnect; ?lastEventId= lets a new page resume too
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    
+    console.log(`[SSE] Client connecting for record: ${recordId}${lastEventId ? ` (resuming after event ${lastEventId})` : ''}`);
     
     // Set headers for SSE
     res.setHeader('Content-Type', 'text/event-stream');
@@ -587,7 +1197,7 @@ app.get('/api/events/:recordId', (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
     
     // Register this connection
-    sseEvents.registerConnection(recordId, res);
+    sseEvents.registerConnection(recordId, res, lastEventId);
     
     // Keep connection alive with periodic heartbeat
     const heartbeat = setInterval(() => {
@@ -602,7 +1212,8 @@ app.get('/api/events/:recordId', (req, res) => {
 });
 
 // --- Webhook endpoint for Make.com to send lane progress events ---
-app.post('/api/events/:recordId/lane', async (req, res) => {
+// Requests must be HMAC-signed (see services/webhook-signature.js)
+app.post('/api/events/:recordId/lane', laneWebhookVerifier.middleware(), async (req, res) => {
     // On Vercel, accept events but don't try to emit via SSE
     if (process.env.VERCEL) {
         return res.json({ 
@@ -648,76 +1259,54 @@ app.post('/api/events/:recordId/lane', async (req, res) => {
     }
 });
 
-// --- API Endpoint to list all submitted requests (for Tracker) ---
+// --- API Endpoint to list submitted requests (for Tracker) ---
+// Cursor-paginated; filters are pushed down into filterByFormula (see services/request-query.js)
 app.get('/api/requests/submitted', async (req, res) => {
     try {
-        if (!airtable) {
-            return res.json({ items: [] });
+        const query = parseListQuery(req.query, statusEngine);
+        const offset = decodeCursor(query.cursor, query);
+
+        const schema = await schemaService.getTableSchemaById(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR);
+        if (!schema) {
+            return res.status(500).json({ error: 'Failed to fetch requests', details: 'Initiator table schema not found.' });
         }
 
-        const base = airtable.base(BASE_AUTOMATION_MASTERY);
-        const initiatorTable = base(TABLES.INITIATOR);
-        
-        console.log('Fetching all submitted requests...');
-        
-        // Fetch records, sorted by creation time (newest first)
-        const records = await initiatorTable.select({
-            pageSize: 50,
-            sort: [{ field: 'Created', direction: 'desc' }]
-        }).all().catch(() => {
-            // Fallback if 'Created' field doesn't exist
-            return initiatorTable.select({ pageSize: 50 }).all();
-        });
+        // Linked records show up by name in Airtable formulas, so resolve entity IDs to names
+        let entityName = null;
+        if (query.filters.entity && /^rec[A-Za-z0-9]{14,}$/.test(query.filters.entity)) {
+            const entity = await dataSource.findRecord(BASE_AUTOMATION_MASTERY, TABLES.ENTITIES, query.filters.entity)
+                .catch(() => null);
+            entityName = entity ? (entity.fields['App'] || entity.fields['Name'] || null) : null;
+        }
 
-        const items = records.map(record => {
-            const fields = record.fields;
-            
-            // Derive status from progress markers with 5-minute timeout rule
-            const hasFinalOutput = fields['Final Output In Content Hub Record Id'] || 
-                                  fields['Final Output Record Id'] ||
-                                  fields['Final Output (ID)'];
-            const hasOutputs = fields['Outputs Record ID'] || 
-                              fields['Output Record ID'] ||
-                              fields['Multimedia Record Id'];
-            
-            // Calculate time elapsed since creation
-            const createdTime = new Date(record.createdTime || record._rawJson?.createdTime);
-            const now = new Date();
-            const minutesElapsed = (now - createdTime) / 1000 / 60;
-            
-            let status = 'pending';
-            if (hasFinalOutput) {
-                status = 'complete';
-            } else if (hasOutputs) {
-                status = 'processing';
-            } else if (minutesElapsed > 5) {
-                // No outputs after 5 minutes = failed
-                status = 'failed';
-            }
-            
-            // Get workflow name
-            const workflowName = fields['Workflow (WF) Name'] || 
-                                fields['Premade AI Workflow'] ||
-                                'Unknown Workflow';
-            
-            return {
-                id: record.id,
-                name: fields['Descriptive title'] || 
-                      fields['Article Title Once We Have It'] ||
-                      fields['Initiator id'] ||
-                      `Request ${record.id.substring(0, 8)}`,
-                workflow: Array.isArray(workflowName) ? workflowName[0] : workflowName,
-                status: status,
-                createdTime: record.createdTime || record._rawJson?.createdTime,
-                goal: fields['Whats Your Goal?'] || fields['Goal'] || '',
-                outputRecordId: hasFinalOutput || null
-            };
-        });
+        const now = new Date();
+        const options = buildListOptions(query, schema.fields.map(field => field.name), { entityName, now, statusEngine });
 
-        console.log(`Found ${items.length} submitted requests`);
-        res.json({ items });
+        console.log(`Fetching submitted requests (pageSize ${query.pageSize}${options.filterByFormula ? `, filter ${options.filterByFormula}` : ''})`);
+
+        const page = await dataSource.listPage(BASE_AUTOMATION_MASTERY, TABLES.INITIATOR, { ...options, offset });
+        // The status formula can over-match (lane events and idle time are checked here),
+        // so a filtered page may hold fewer than pageSize items
+        const items = page.records
+            .map(record => toRequestItem(record, statusEngine, now, laneEventLog.forRecord(record.id)))
+            .filter(item => !query.filters.status || query.filters.status.includes(item.status));
+
+        console.log(`Found ${items.length} submitted requests${page.offset ? ' (more available)' : ''}`);
+        res.json({
+            items,
+            nextCursor: encodeCursor(page.offset, query),
+            pageSize: query.pageSize,
+            sort: options.sort[0],
+            filters: query.filters
+        });
         
     } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: 'Invalid request query', details: error.message });
+        }
+        if (error.statusCode === 422 && /OFFSET|ITERATOR/.test(error.error || '')) {
+            return res.status(400).json({ error: 'Invalid request query', details: 'Cursor expired - start again without a cursor' });
+        }
         console.error('Error fetching submitted requests:', error);
         res.status(500).json({ 
             error: 'Failed to fetch requests',
@@ -729,24 +1318,18 @@ app.get('/api/requests/submitted', async (req, res) => {
 // --- API Endpoint to fetch published articles from Content Hub base ---
 app.get('/api/content-hub/articles', async (req, res) => {
     try {
-        if (!airtable) {
-            return res.json({ items: [] });
-        }
-
         const contentHubBaseId = BASE_CONTENT_HUB || 'appQ4aluTCMQbVpaQ';
-        const base = airtable.base(contentHubBaseId);
-        const articlesTable = base(TABLES.ARTICLES);
         
         console.log('Fetching published articles from Content Hub...');
         
         // Fetch published articles
-        const records = await articlesTable.select({
+        const records = await dataSource.listRecords(contentHubBaseId, TABLES.ARTICLES, {
             pageSize: 50,
             filterByFormula: "OR({Status} = 'Published', {Status} = 'New AI Draft')",
             sort: [{ field: 'Created Date', direction: 'desc' }]
-        }).all().catch(() => {
+        }).catch(() => {
             // Fallback without filter
-            return articlesTable.select({ pageSize: 50 }).all();
+            return dataSource.listRecords(contentHubBaseId, TABLES.ARTICLES, { pageSize: 50 });
         });
 
         const items = records.map(record => {
@@ -784,17 +1367,11 @@ app.get('/api/content-hub/articles', async (req, res) => {
 // --- API Endpoint to fetch single article details ---
 app.get('/api/content-hub/article/:id', async (req, res) => {
     try {
-        if (!airtable) {
-            return res.status(404).json({ error: 'Article not found' });
-        }
-
         const contentHubBaseId = BASE_CONTENT_HUB || 'appQ4aluTCMQbVpaQ';
-        const base = airtable.base(contentHubBaseId);
-        const articlesTable = base(TABLES.ARTICLES);
         
         console.log(`Fetching article: ${req.params.id}`);
         
-        const record = await articlesTable.find(req.params.id);
+        const record = await dataSource.findRecord(contentHubBaseId, TABLES.ARTICLES, req.params.id);
         const fields = record.fields;
         
         const article = {
@@ -936,7 +1513,7 @@ app.get('/api/meta/fieldmap/:baseId/:tableName', async (req, res) => {
 });
 
 // Clear schema cache
-app.post('/api/meta/cache/clear', (req, res) => {
+app.post('/api/meta/cache/clear', requireRole('editor'), (req, res) => {
     const { baseId } = req.body;
     schemaService.clearCache(baseId);
     
@@ -956,6 +1533,39 @@ app.get('/api/meta/cache/stats', (req, res) => {
     });
 });
 
+// Clear record cache (all tables, a base, or a single table)
+// Body: { baseId, tableId } or { table: 'PROMPTS' } (TABLES key)
+app.post('/api/data/cache/clear', requireRole('editor'), (req, res) => {
+    const { table } = req.body;
+    let { baseId, tableId } = req.body;
+    
+    if (table) {
+        if (!TABLES[table]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown table "${table}"`
+            });
+        }
+        tableId = TABLES[table];
+    }
+    
+    const removed = recordCache.invalidate(baseId || null, tableId || null);
+    
+    res.json({
+        success: true,
+        removed,
+        message: tableId ? `Record cache cleared for ${tableId}` : baseId ? `Record cache cleared for ${baseId}` : 'All record caches cleared'
+    });
+});
+
+// Get record cache statistics
+app.get('/api/data/cache/stats', (req, res) => {
+    res.json({
+        success: true,
+        stats: recordCache.getStats()
+    });
+});
+
 // Get system configuration (non-sensitive values only)
 app.get('/api/meta/config', (req, res) => {
     res.json({
@@ -966,17 +1576,44 @@ app.get('/api/meta/config', (req, res) => {
             pollingIntervalSeconds: CONFIG.POLLING_INTERVAL_SECONDS,
             enableSchemaCache: CONFIG.ENABLE_SCHEMA_CACHE,
             schemaCacheTTL: CONFIG.SCHEMA_CACHE_TTL,
-            logLevel: CONFIG.LOG_LEVEL
-        },
-        bases: {
-            automation: BASE_AUTOMATION_MASTERY,
-            contentHub: BASE_CONTENT_HUB,
-            referenceLibrary: BASE_REFERENCE_LIBRARY
+            airtableRequestsPerSecond: CONFIG.AIRTABLE_REQUESTS_PER_SECOND,
+            enableRecordCache: CONFIG.ENABLE_RECORD_CACHE,
+            recordCacheTTL: CONFIG.RECORD_CACHE_TTL,
+            recordCacheStaleTTL: CONFIG.RECORD_CACHE_STALE_TTL,
+            laneWebhook: laneWebhookVerifier.getStats(),
+            webhookOutbox: webhookOutbox.getStats(),
+            idempotency: idempotencyStore.getStats(),
+            workflowRunner: CONFIG.WORKFLOW_RUNNER,
+            workflowLLMProvider: CONFIG.WORKFLOW_LLM_PROVIDER,
+            logLevel: CONFIG.LOG_LEVEL,
+            dataSource: dataSource.kind
         },
+        bases: tableRegistry.bases,
         tables: Object.keys(TABLES).length
     });
 });
 
+// Get the table registry and its last validation report
+// ?validate=true re-checks every table against the live schemas
+app.get('/api/meta/tables', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.query.validate === 'true') {
+            await tableRegistry.validate(schemaService);
+        }
+        
+        res.json({
+            success: true,
+            ...tableRegistry.getReport()
+        });
+    } catch (error) {
+        console.error('Error validating table registry:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // ============================================================
 // LOOKUP ENDPOINTS - Dynamic Form Dropdowns
 // ============================================================
@@ -1009,6 +1646,29 @@ app.get('/api/lookups/entities', async (req, res) => {
     }
 });
 
+// GET /api/entities/kb - Each entity's KB XML as the lanes get it, with any validation problems
+app.get('/api/entities/kb', async (req, res) => {
+    try {
+        const entities = await fetchAllRecords(BASE_AUTOMATION_MASTERY, TABLES.ENTITIES);
+        res.json({
+            success: true,
+            data: entities.map(entity => {
+                const kb = buildKbBundles([entity]);
+                return {
+                    id: entity.id,
+                    name: entity.fields['App'] || entity.fields['Name'] || entity.fields['Entity Name'] || entity.id,
+                    kb_xml: kb.entity,
+                    audience_kb_xml: kb.audience,
+                    validation: kb.validation
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error building entity KBs:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // GET /api/lookups/personas - Fetch all personas for dropdown
 app.get('/api/lookups/personas', async (req, res) => {
     try {
@@ -1023,6 +1683,75 @@ app.get('/api/lookups/personas', async (req, res) => {
     }
 });
 
+// ============================================================
+// GENERIC RECORD QUERIES - Any table in the TABLES registry
+// ============================================================
+// Filters use the JSON query DSL documented in services/record-query.js
+
+/**
+ * Run a DSL query against a table and send one page of records
+ */
+async function sendRecordQuery(req, res, readQuery) {
+    try {
+        const table = tableRegistry.resolve(req.params.tableKey);
+        if (!table) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown table "${req.params.tableKey}"`,
+                availableTables: Object.keys(TABLES).map(key => key.toLowerCase())
+            });
+        }
+
+        // Raw Initiator fields are for editors, as on /api/requests/status/:recordId
+        if (table.key === 'INITIATOR' && !authService.hasRole(req.user, 'editor')) {
+            return res.status(403).json({ success: false, error: 'Initiator records require the editor role' });
+        }
+
+        const query = readQuery();
+
+        const schema = await schemaService.getTableSchemaById(table.baseId, table.id);
+        if (!schema) {
+            return res.status(404).json({
+                success: false,
+                error: `Table "${table.key}" (${table.id}) not found in base ${table.baseId}`
+            });
+        }
+
+        const options = recordQuery.compileQuery(query, schema.fields);
+        const offset = recordQuery.decodeCursor(query.cursor, table.id, options);
+
+        const page = await dataSource.listPage(table.baseId, table.id, { ...options, offset });
+
+        res.json({
+            success: true,
+            table: table.key.toLowerCase(),
+            records: page.records,
+            nextCursor: recordQuery.encodeCursor(page.offset, table.id, options),
+            pageSize: options.pageSize
+        });
+
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ success: false, error: 'Invalid query', details: error.message });
+        }
+        if (error.statusCode === 422 && /OFFSET|ITERATOR/.test(error.error || '')) {
+            return res.status(400).json({ success: false, error: 'Invalid query', details: 'Cursor expired - start again without a cursor' });
+        }
+        console.error(`[Records] Query failed for ${req.params.tableKey}:`, error.message);
+        res.status(500).json({ success: false, error: 'Failed to query records', details: error.message });
+    }
+}
+
+// GET /api/records/:tableKey?where=<JSON>&fields=A,B&sort=Field:desc&pageSize=50&cursor=...
+app.get('/api/records/:tableKey', (req, res) => {
+    sendRecordQuery(req, res, () => recordQuery.fromQueryString(req.query));
+});
+
+// POST /api/records/:tableKey/query - same query as a JSON body ({ where, fields, sort, pageSize, cursor })
+app.post('/api/records/:tableKey/query', (req, res) => {
+    sendRecordQuery(req, res, () => req.body || {});
+});
+
 // ============================================================
 // HEALTH CHECK ENDPOINTS - Two-Tier Diagnostic System
 // ============================================================
@@ -1061,7 +1790,7 @@ app.get('/api/health/detailed', async (req, res) => {
 });
 
 // Clear health cache (for testing/debugging)
-app.post('/api/health/cache/clear', (req, res) => {
+app.post('/api/health/cache/clear', requireRole('editor'), (req, res) => {
     healthService.clearCache();
     res.json({
         success: true,
@@ -1084,7 +1813,7 @@ if (process.env.VERCEL) {
     console.log(`📚 Knowledge Base Web Server`);
     console.log(`${'='.repeat(60)}`);
     console.log(`🌐 Running at: http://localhost:${serverPort}`);
-    console.log(`📊 Airtable configured: ${!!airtable}`);
+    console.log(`📊 Data source: ${dataSource.kind}`);
     console.log(`🔗 Make.com configured: ${!!MAKE_WEBHOOK_URL}`);
     console.log(`${'='.repeat(60)}\n`);
   });
@@ -0,0 +1,167 @@
+/**
+ * Airtable Data Source
+ *
+ * Data source implementation backed by the live Airtable bases.
+ * Talks to the Airtable REST and Meta APIs directly so every individual HTTP
+ * call (including each page of a listing) goes through the request scheduler,
+ * and the rest of the app only ever sees plain records ({ id, createdTime, fields }).
+ */
+
+const axios = require('axios');
+const AirtableScheduler = require('./airtable-scheduler');
+
+// Options Airtable's listRecords accepts; anything else is dropped
+const SELECT_OPTIONS = ['view', 'filterByFormula', 'sort', 'maxRecords', 'pageSize', 'fields'];
+
+// Airtable caps create/update at 10 records per request
+const WRITE_BATCH_SIZE = 10;
+
+class AirtableDataSource {
+  constructor(options = {}) {
+    this.kind = 'airtable';
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || 'https://api.airtable.com/v0';
+    this.metaUrl = `${this.apiUrl}/meta/bases`;
+    this.scheduler = options.scheduler || new AirtableScheduler();
+    this.timeout = options.timeout || 30000;
+
+    console.log('[Airtable Data Source] Initialized');
+  }
+
+  /**
+   * Send one request to Airtable through the scheduler
+   */
+  async request(baseId, config) {
+    try {
+      const response = await this.scheduler.schedule(baseId, () => axios({
+        timeout: this.timeout,
+        ...config,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }));
+      return response.data;
+    } catch (error) {
+      throw toAirtableError(error);
+    }
+  }
+
+  /**
+   * URL for a table's records endpoint
+   */
+  tableUrl(baseId, tableId) {
+    return `${this.apiUrl}/${baseId}/${encodeURIComponent(tableId)}`;
+  }
+
+  /**
+   * List records (all pages) matching the select options
+   */
+  async listRecords(baseId, tableId, options = {}) {
+    const records = [];
+    let offset;
+
+    do {
+      const page = await this.listPage(baseId, tableId, { ...options, offset });
+      records.push(...page.records);
+      offset = page.offset;
+    } while (offset && !(options.maxRecords && records.length >= options.maxRecords));
+
+    return records;
+  }
+
+  /**
+   * Fetch a single page of records. Returns { records, offset }.
+   */
+  async listPage(baseId, tableId, options = {}) {
+    const body = {};
+    SELECT_OPTIONS.forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        body[key] = options[key];
+      }
+    });
+    if (options.offset) body.offset = options.offset;
+
+    try {
+      // POST variant of list records: no URL length limit for long formulas
+      const data = await this.request(baseId, {
+        method: 'post',
+        url: `${this.tableUrl(baseId, tableId)}/listRecords`,
+        data: body
+      });
+      return { records: data.records || [], offset: data.offset || null };
+    } catch (error) {
+      console.error(`Airtable fetch error for table ${tableId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single record by ID
+   */
+  async findRecord(baseId, tableId, recordId) {
+    return this.request(baseId, {
+      method: 'get',
+      url: `${this.tableUrl(baseId, tableId)}/${encodeURIComponent(recordId)}`
+    });
+  }
+
+  /**
+   * Create records ([{ fields }])
+   */
+  async createRecords(baseId, tableId, records) {
+    return this.writeInBatches(baseId, tableId, 'post', records);
+  }
+
+  /**
+   * Update records ([{ id, fields }]) - only the given fields change
+   */
+  async updateRecords(baseId, tableId, records) {
+    return this.writeInBatches(baseId, tableId, 'patch', records);
+  }
+
+  /**
+   * Create/update in batches of 10 (Airtable's per-request limit)
+   */
+  async writeInBatches(baseId, tableId, method, records) {
+    const results = [];
+
+    for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+      const data = await this.request(baseId, {
+        method,
+        url: this.tableUrl(baseId, tableId),
+        data: { records: records.slice(i, i + WRITE_BATCH_SIZE) }
+      });
+      results.push(...data.records);
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch the raw base schema from the Meta API
+   */
+  async fetchBaseSchema(baseId) {
+    return this.request(baseId, {
+      method: 'get',
+      url: `${this.metaUrl}/${baseId}/tables`
+    });
+  }
+}
+
+/**
+ * Normalize an axios error into the shape the Airtable client used to throw
+ * ({ error, message, statusCode }) so callers can keep checking statusCode
+ */
+function toAirtableError(error) {
+  if (!error.response) return error;
+
+  const body = error.response.data || {};
+  const details = typeof body.error === 'object' ? body.error : { type: body.error };
+  const airtableError = new Error(details.message || details.type || error.message);
+  airtableError.error = details.type || 'UNKNOWN_ERROR';
+  airtableError.statusCode = error.response.status;
+  return airtableError;
+}
+
+module.exports = AirtableDataSource;
@@ -0,0 +1,182 @@
+/**
+ * Airtable Request Scheduler
+ *
+ * Central queue for every Airtable API call. Airtable allows 5 requests per
+ * second per base and answers bursts with 429 (plus a 30 second penalty), so
+ * requests are queued per base and released at a steady rate.
+ *
+ * Features:
+ * - Per-base sliding window rate limit (default 5 req/s)
+ * - 429 handling: honors Retry-After, otherwise exponential backoff with jitter
+ * - While a base is backing off, its whole queue pauses (not just the failed call)
+ * - Queue depth and throttling stats for /api/health/detailed
+ *
+ * Usage:
+ *   scheduler.schedule(baseId, () => axios.get(url)); // resolves with the response
+ */
+
+class AirtableScheduler {
+  constructor(config = {}) {
+    this.requestsPerSecond = config.requestsPerSecond || 5;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 5;
+    this.baseDelay = config.baseDelay || 1000; // first backoff: 1s
+    this.maxDelay = config.maxDelay || 30000; // Airtable's own penalty is 30s
+    this.windowMs = 1000;
+
+    this.bases = new Map(); // baseId -> queue state
+
+    console.log(`[Airtable Scheduler] Initialized (${this.requestsPerSecond} req/s per base)`);
+  }
+
+  /**
+   * Queue a request for a base. `task` performs exactly one HTTP call.
+   */
+  schedule(baseId, task) {
+    return new Promise((resolve, reject) => {
+      const state = this.getBaseState(baseId);
+      state.queue.push({ task, resolve, reject, attempts: 0 });
+      this.drain(baseId);
+    });
+  }
+
+  /**
+   * Get (or create) the queue state for a base
+   */
+  getBaseState(baseId) {
+    if (!this.bases.has(baseId)) {
+      this.bases.set(baseId, {
+        queue: [],
+        active: 0,
+        recentStarts: [], // timestamps within the current window
+        pausedUntil: 0,
+        timer: null,
+        sent: 0,
+        throttled: 0,
+        failed: 0
+      });
+    }
+    return this.bases.get(baseId);
+  }
+
+  /**
+   * Release as many queued requests as the rate limit allows
+   */
+  drain(baseId) {
+    const state = this.getBaseState(baseId);
+    if (state.timer) return; // a wake-up is already scheduled
+
+    while (state.queue.length > 0) {
+      const now = Date.now();
+
+      if (now < state.pausedUntil) {
+        return this.wakeUpLater(baseId, state.pausedUntil - now);
+      }
+
+      state.recentStarts = state.recentStarts.filter(t => now - t < this.windowMs);
+      if (state.recentStarts.length >= this.requestsPerSecond) {
+        return this.wakeUpLater(baseId, this.windowMs - (now - state.recentStarts[0]));
+      }
+
+      const job = state.queue.shift();
+      state.recentStarts.push(now);
+      this.run(baseId, job);
+    }
+  }
+
+  /**
+   * Schedule the next drain for a base
+   */
+  wakeUpLater(baseId, delay) {
+    const state = this.getBaseState(baseId);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.drain(baseId);
+    }, Math.max(delay, 1));
+  }
+
+  /**
+   * Run one job, requeueing it at the front on 429
+   */
+  async run(baseId, job) {
+    const state = this.getBaseState(baseId);
+    state.active++;
+    state.sent++;
+    job.attempts++;
+
+    try {
+      const result = await job.task();
+      job.resolve(result);
+    } catch (error) {
+      const status = error.response ? error.response.status : error.statusCode;
+
+      if (status === 429 && job.attempts <= this.maxRetries) {
+        const delay = this.getBackoffDelay(error, job.attempts);
+        state.throttled++;
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        state.queue.unshift(job);
+        console.warn(`[Airtable Scheduler] 429 from ${baseId}, pausing ${delay}ms (attempt ${job.attempts}/${this.maxRetries})`);
+      } else {
+        state.failed++;
+        job.reject(error);
+      }
+    } finally {
+      state.active--;
+      this.drain(baseId);
+    }
+  }
+
+  /**
+   * Delay before retrying: Retry-After if the server sent one, else exponential backoff
+   */
+  getBackoffDelay(error, attempt) {
+    const headers = error.response && error.response.headers;
+    const retryAfter = headers && (headers['retry-after'] || headers['Retry-After']);
+
+    if (retryAfter) {
+      const seconds = parseFloat(retryAfter);
+      if (!isNaN(seconds)) return Math.min(seconds * 1000, this.maxDelay);
+
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return Math.min(Math.max(date - Date.now(), 0), this.maxDelay);
+    }
+
+    const exponential = this.baseDelay * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * this.baseDelay * 0.25;
+    return Math.min(exponential + jitter, this.maxDelay);
+  }
+
+  /**
+   * Get queue statistics (for health checks)
+   */
+  getStats() {
+    const now = Date.now();
+    const bases = [];
+    let queued = 0;
+    let active = 0;
+
+    this.bases.forEach((state, baseId) => {
+      queued += state.queue.length;
+      active += state.active;
+      bases.push({
+        baseId,
+        queued: state.queue.length,
+        active: state.active,
+        paused: now < state.pausedUntil,
+        pausedForMs: Math.max(state.pausedUntil - now, 0),
+        sent: state.sent,
+        throttled: state.throttled,
+        failed: state.failed
+      });
+    });
+
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      maxRetries: this.maxRetries,
+      queued,
+      active,
+      bases
+    };
+  }
+}
+
+module.exports = AirtableScheduler;
@@ -0,0 +1,71 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Runs a lane prompt through the Messages API: the lane's context as the
+ * system prompt and the rendered prompt as the user message.
+ */
+
+const axios = require('axios');
+
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096; // the Messages API requires max_tokens
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.kind = 'anthropic';
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || 'https://api.anthropic.com/v1';
+    this.timeout = options.timeout || 120000;
+
+    console.log('[Anthropic Provider] Initialized');
+  }
+
+  /**
+   * Reply to one prompt
+   */
+  async complete({ model, system = '', prompt = '', maxTokens }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set (or set WORKFLOW_LLM_PROVIDER=mock to run offline)');
+    }
+
+    try {
+      const response = await axios.post(`${this.apiUrl}/messages`, {
+        model,
+        max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+        system,
+        messages: [{ role: 'user', content: prompt }]
+      }, {
+        timeout: this.timeout,
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': API_VERSION,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const { content = [], usage = {} } = response.data;
+      return {
+        text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        model: response.data.model || model,
+        usage: {
+          input_tokens: usage.input_tokens || 0,
+          output_tokens: usage.output_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+}
+
+// Surface the API's own error message rather than axios' generic one
+function toProviderError(error) {
+  if (!error.response) return error;
+  const data = error.response.data || {};
+  const message = (data.error && data.error.message) || error.message;
+  const providerError = new Error(`Anthropic API error (${error.response.status}): ${message}`);
+  providerError.status = error.response.status;
+  return providerError;
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,408 @@
+/**
+ * Auth Service
+ *
+ * Local users, login sessions and API keys, with four roles in increasing
+ * order of access:
+ *
+ *   viewer     read the knowledge base, tracker and content
+ *   requester  + submit new requests
+ *   editor     + operational actions (cache clears, raw record fields)
+ *   admin      + user / API key management and diagnostics
+ *
+ * Passwords are hashed with scrypt; session tokens and API keys are random
+ * and only their SHA-256 hashes are stored. Everything lives in one JSON
+ * document (data/auth.json by default):
+ *
+ *   { users: [...], apiKeys: [...], sessions: [...] }
+ *
+ * Browsers authenticate with the session cookie set by login(); automation
+ * sends an API key as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const JsonFileStore = require('../utils/json-file-store');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'requester', 'editor', 'admin'];
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'auth.json');
+const SESSION_COOKIE = 'kbw_session';
+const API_KEY_PREFIX = 'kbw_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed logins allowed per username + IP before a cool-down
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// lastUsedAt on API keys is written at most this often
+const KEY_USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Error with an HTTP status for routes to pass through
+ */
+function authError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class AuthService {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Auth store location
+   * @param {number} options.sessionTTL - Session lifetime in milliseconds (default 12 hours)
+   * @param {boolean} options.enabled - false turns auth off (every request acts as admin)
+   * @param {boolean} options.secureCookies - Add the Secure flag to the session cookie
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || DEFAULT_STORE_FILE, () => ({ users: [], apiKeys: [], sessions: [] }));
+    this.sessionTTL = options.sessionTTL || 12 * 60 * 60 * 1000;
+    this.enabled = options.enabled !== false;
+    this.secureCookies = options.secureCookies === true;
+
+    this.failedLogins = new Map(); // "username|ip" -> { count, firstAt }
+
+    const data = this.store.read();
+    console.log(`[Auth] Initialized (${this.enabled ? `${data.users.length} users, ${data.apiKeys.length} API keys` : 'DISABLED'})`);
+  }
+
+  // ============================================================
+  // Roles
+  // ============================================================
+
+  /**
+   * Whether a user has at least the given role
+   */
+  hasRole(user, role) {
+    if (!user) return false;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  checkRole(role) {
+    if (!ROLES.includes(role)) {
+      throw authError(400, `Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+    }
+  }
+
+  // ============================================================
+  // Users
+  // ============================================================
+
+  /**
+   * Create the first admin when the store has no users.
+   * Returns the generated password when one had to be made up, otherwise null.
+   */
+  async ensureAdmin({ username = 'admin', password = null } = {}) {
+    if (!this.enabled || this.store.read().users.length > 0) return null;
+
+    const generated = password ? null : crypto.randomBytes(12).toString('base64url');
+    await this.createUser({ username, password: password || generated, role: 'admin', name: 'Administrator' });
+    console.log(`[Auth] Created initial admin user "${username}"`);
+    return generated;
+  }
+
+  listUsers() {
+    return this.store.read().users.map(toPublicUser);
+  }
+
+  async createUser({ username, password, role = 'viewer', name = '' }) {
+    username = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._@-]{2,64}$/.test(username)) {
+      throw authError(400, 'Username must be 2-64 characters: letters, numbers, . _ @ -');
+    }
+    this.checkRole(role);
+    checkPassword(password);
+
+    if (this.store.read().users.some(user => user.username === username)) {
+      throw authError(409, `User "${username}" already exists`);
+    }
+
+    const user = {
+      id: `usr_${crypto.randomBytes(8).toString('hex')}`,
+      username,
+      name: String(name || '').trim(),
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+
+    this.store.update(data => { data.users.push(user); });
+    return toPublicUser(user);
+  }
+
+  /**
+   * Change a user's name, role or password (role/password changes end their sessions)
+   */
+  async updateUser(id, { name, role, password } = {}) {
+    const existing = this.store.read().users.find(user => user.id === id);
+    if (!existing) throw authError(404, 'User not found');
+
+    if (role !== undefined) {
+      this.checkRole(role);
+      if (existing.role === 'admin' && role !== 'admin' && this.countAdmins() === 1) {
+        throw authError(409, 'Cannot demote the last admin');
+      }
+    }
+    if (password !== undefined) checkPassword(password);
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+    return this.store.update(data => {
+      const user = data.users.find(candidate => candidate.id === id);
+      if (name !== undefined) user.name = String(name).trim();
+      if (role !== undefined) user.role = role;
+      if (passwordHash) user.passwordHash = passwordHash;
+      if (role !== undefined || passwordHash) {
+        data.sessions = data.sessions.filter(session => session.userId !== id);
+      }
+      return toPublicUser(user);
+    });
+  }
+
+  deleteUser(id) {
+    const existing = this.store.read().users.find(user => user.id === id);
+    if (!existing) throw authError(404, 'User not found');
+    if (existing.role === 'admin' && this.countAdmins() === 1) {
+      throw authError(409, 'Cannot delete the last admin');
+    }
+
+    this.store.update(data => {
+      data.users = data.users.filter(user => user.id !== id);
+      data.sessions = data.sessions.filter(session => session.userId !== id);
+    });
+  }
+
+  countAdmins() {
+    return this.store.read().users.filter(user => user.role === 'admin').length;
+  }
+
+  // ============================================================
+  // Sessions
+  // ============================================================
+
+  /**
+   * Check credentials and open a session. Returns { user, token, expiresAt }.
+   */
+  async login(username, password, ip = '') {
+    username = String(username || '').trim().toLowerCase();
+    const attemptKey = `${username}|${ip}`;
+
+    const attempts = this.failedLogins.get(attemptKey);
+    if (attempts && Date.now() - attempts.firstAt < FAILED_LOGIN_WINDOW_MS && attempts.count >= MAX_FAILED_LOGINS) {
+      throw authError(429, 'Too many failed logins - try again later');
+    }
+
+    const user = this.store.read().users.find(candidate => candidate.username === username);
+    // Hash even for unknown users so response time doesn't reveal which usernames exist
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : null);
+
+    if (!user || !valid) {
+      const fresh = !attempts || Date.now() - attempts.firstAt >= FAILED_LOGIN_WINDOW_MS;
+      this.failedLogins.set(attemptKey, fresh ? { count: 1, firstAt: Date.now() } : { ...attempts, count: attempts.count + 1 });
+      console.warn(`[Auth] Failed login for "${username}" from ${ip}`);
+      throw authError(401, 'Invalid username or password');
+    }
+
+    this.failedLogins.delete(attemptKey);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expiresAt = new Date(now + this.sessionTTL).toISOString();
+
+    this.store.update(data => {
+      data.sessions = data.sessions.filter(session => new Date(session.expiresAt).getTime() > now);
+      data.sessions.push({ tokenHash: sha256(token), userId: user.id, createdAt: new Date(now).toISOString(), expiresAt });
+    });
+
+    console.log(`[Auth] ${user.username} logged in`);
+    return { user: toPublicUser(user), token, expiresAt };
+  }
+
+  logout(token) {
+    if (!token) return;
+    const tokenHash = sha256(token);
+    this.store.update(data => {
+      data.sessions = data.sessions.filter(session => session.tokenHash !== tokenHash);
+    });
+  }
+
+  userForSession(token) {
+    if (!token) return null;
+    const data = this.store.read();
+    const tokenHash = sha256(token);
+    const session = data.sessions.find(candidate => candidate.tokenHash === tokenHash);
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+
+    const user = data.users.find(candidate => candidate.id === session.userId);
+    return user ? { ...toPublicUser(user), via: 'session' } : null;
+  }
+
+  sessionCookie(token, expiresAt) {
+    const maxAge = token ? Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000) : 0;
+    return [
+      `${SESSION_COOKIE}=${token || ''}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${maxAge}`,
+      ...(this.secureCookies ? ['Secure'] : [])
+    ].join('; ');
+  }
+
+  // ============================================================
+  // API keys
+  // ============================================================
+
+  listApiKeys() {
+    return this.store.read().apiKeys.map(toPublicKey);
+  }
+
+  /**
+   * Create an API key. The plain key is only returned here - it isn't stored.
+   */
+  createApiKey({ name, role = 'viewer' }, createdBy = null) {
+    name = String(name || '').trim();
+    if (!name) throw authError(400, 'API key name is required');
+    this.checkRole(role);
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(8).toString('hex')}`,
+      name,
+      role,
+      keyHash: sha256(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.store.update(data => { data.apiKeys.push(record); });
+    return { ...toPublicKey(record), key };
+  }
+
+  revokeApiKey(id) {
+    if (!this.store.read().apiKeys.some(key => key.id === id)) throw authError(404, 'API key not found');
+    this.store.update(data => {
+      data.apiKeys = data.apiKeys.filter(key => key.id !== id);
+    });
+  }
+
+  userForApiKey(key) {
+    if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+    const keyHash = sha256(key);
+    const record = this.store.read().apiKeys.find(candidate => candidate.keyHash === keyHash);
+    if (!record) return null;
+
+    const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed > KEY_USAGE_WRITE_INTERVAL_MS) {
+      this.store.update(data => {
+        const stored = data.apiKeys.find(candidate => candidate.id === record.id);
+        if (stored) stored.lastUsedAt = new Date().toISOString();
+      });
+    }
+
+    return { id: record.id, username: `api-key:${record.name}`, name: record.name, role: record.role, via: 'api-key' };
+  }
+
+  // ============================================================
+  // Middleware
+  // ============================================================
+
+  /**
+   * Resolve req.user from the session cookie or an API key. Requests with no
+   * valid credentials get 401 unless `isPublic(req)` says the route is open.
+   */
+  authenticate({ isPublic = () => false } = {}) {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        req.user = { id: 'anonymous', username: 'anonymous', name: 'Auth disabled', role: 'admin', via: 'disabled' };
+        return next();
+      }
+
+      req.user = this.userForApiKey(readApiKey(req)) || this.userForSession(readCookie(req, SESSION_COOKIE));
+
+      if (!req.user && !isPublic(req)) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Only let users with at least `role` through
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      if (!this.hasRole(req.user, role)) {
+        console.warn(`[Auth] ${req.user.username} (${req.user.role}) denied ${req.method} ${req.originalUrl} - needs ${role}`);
+        return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Session token from a request's cookie (for logout)
+   */
+  sessionToken(req) {
+    return readCookie(req, SESSION_COOKIE);
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltText, hashText] = String(stored || 'scrypt$$').split('$');
+  const expected = Buffer.from(hashText || '', 'base64');
+  const hash = await scrypt(password, Buffer.from(saltText || '', 'base64'), 64);
+  return scheme === 'scrypt' && expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw authError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match.slice(name.length + 1)) || null;
+  } catch (error) {
+    return null; // a malformed cookie is no session, not a server error
+  }
+}
+
+function readApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  return req.get('X-API-Key') || null;
+}
+
+function toPublicUser({ id, username, name, role, createdAt }) {
+  return { id, username, name, role, createdAt };
+}
+
+function toPublicKey({ id, name, role, prefix, createdBy, createdAt, lastUsedAt }) {
+  return { id, name, role, prefix, createdBy, createdAt, lastUsedAt };
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
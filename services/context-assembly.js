@@ -10,65 +10,116 @@
  * - Idempotency key for lane execution
  */
 
-const Airtable = require('airtable');
 const { getField } = require('../utils/getField');
 const fieldAliases = require('../utils/field-alias-map.json');
+const researchContext = require('./research-context');
+const referenceContext = require('./reference-context');
+const kbXml = require('./kb-xml');
+const laneContext = require('./lane-context');
+const RecordLoader = require('./record-loader');
 
-// Base will be injected by the server
-let base = null;
-
-// Table IDs (from deep analysis)
-const TABLES = {
-  INITIATOR: 'tblBCiyCEEFJCJ1nO',
-  WORKFLOWS: 'tblwCDWd0pm7f3OK2',
-  PROMPTS: 'tblvgWQST4Z0P88np',
-  ENTITIES: 'tbl9q3pHR5qtALyzm',
-  CONTENT_TYPES: 'tbl1ywo3FVRw8skix',
-  REFERENCES: 'tblXfxCDOO4AGabsA',
-  TOOLS: 'tblO5ZEgmxJVI3FIR',
-  RESEARCH_REPORTS: 'tblAMKqhZqLwHqKZU', // Existing
-  AUDIENCE: 'tblEb8YJxwVBC6Vp6' // Existing (in Audience KB base)
-};
+// Data source and table registry will be injected by the server
+let dataSource = null;
+let tables = null; // services/table-registry.js
+let schemaService = null;
+let researchOptions = {}; // budget and ranking overrides (see services/research-context.js)
+let contextBudget = null; // services/context-budget.js (no token limit when unset)
+let snapshots = null; // services/context-snapshots.js (contexts aren't kept when unset)
+let contextSchemas = null; // services/context-schema.js (contexts aren't validated when unset)
+let schemaStrict = false; // fail assembly on schema violations instead of only reporting them
 
 /**
- * Initialize the Context Assembly Service with an Airtable base instance
+ * Initialize the Context Assembly Service with a data source
+ * (see services/data-source.js), the table registry and the schema service
  */
-function initialize(airtableBase) {
-  base = airtableBase;
-  console.log('[Context Assembly v0.4] Initialized');
+function initialize(source, options = {}) {
+  dataSource = source;
+  tables = options.tables;
+  schemaService = options.schemaService || null;
+  researchOptions = options.research || {};
+  contextBudget = options.contextBudget || null;
+  snapshots = options.snapshots || null;
+  contextSchemas = options.contextSchemas || null;
+  schemaStrict = Boolean(options.schemaStrict);
+  console.log(`[Context Assembly v0.4] Initialized (${source.kind})`);
 }
 
+// Initiator ID used for contexts assembled from a draft (see previewUnifiedContext)
+const PREVIEW_ID = 'preview';
+
 /**
- * Assemble the UnifiedContext object (v0.4) for a given Initiator record
+ * Assemble the UnifiedContext object (v0.4) for a given Initiator record.
+ * With a lane ID (e.g. "A2.1") the context is narrowed to that lane: its
+ * prompt, the outputs of the lanes it depends on and its rules.
+ *
+ * `options.draft` (Initiator fields) assembles from an in-memory record
+ * instead of fetching `recordId`; nothing is written and no snapshot is kept.
+ *
+ * Records are fetched through a RecordLoader created for this call, so
+ * lookups are batched per table and independent steps run in parallel;
+ * meta.timing reports how long each step took and the queries made.
  */
-async function assembleUnifiedContext(recordId, laneId = null) {
+async function assembleUnifiedContext(recordId, laneId = null, options = {}) {
+  const startedAt = Date.now();
+  const steps = {};
+  const loader = new RecordLoader({ dataSource, tables });
+  
   try {
-    console.log(`[Context Assembly] Starting assembly for record: ${recordId}`);
+    const lane = laneId ? laneContext.parseLane(laneId) : null;
+    if (laneId && !lane) {
+      throw requestError(400, `Invalid lane "${laneId}" (expected e.g. A1.1, branches A-J, steps 1-5)`);
+    }
     
-    // Step 1: Fetch Initiator record
-    const initiator = await fetchInitiatorRecord(recordId);
-    console.log(`[Context Assembly] ✅ Fetched Initiator`);
+    console.log(`[Context Assembly] Starting assembly for record: ${recordId}${lane ? ` (lane ${lane.id})` : ''}`);
     
-    // Step 2: Fetch Workflow using tolerant field mapping
-    const workflowIds = getField(initiator.fields, fieldAliases.workflow_link);
-    const workflow = await fetchWorkflow(workflowIds);
-    console.log(`[Context Assembly] Workflow: ${workflow ? (workflow.fields['Name'] || 'Found') : 'None'}`);
+    // Step 1: Fetch Initiator record (or build the draft one)
+    const initiator = await timed(steps, 'initiator', () => (options.draft
+      ? buildDraftInitiator(loader, recordId, options.draft)
+      : loader.load('INITIATOR', recordId)));
+    console.log(`[Context Assembly] ✅ ${options.draft ? 'Built draft' : 'Fetched'} Initiator`);
     
-    // Step 3: Fetch Entity
+    // Step 2: Fetch Workflow, Entity and Content Type together (tolerant field mapping)
+    const workflowIds = getField(initiator.fields, fieldAliases.workflow_link);
     const entityIds = getField(initiator.fields, fieldAliases.entity_link);
-    const entity = await fetchEntity(entityIds);
-    console.log(`[Context Assembly] Entity: ${entity ? entity.fields['Name'] : 'None'}`);
-    
-    // Step 4: Fetch Content Type
     const contentTypeIds = getField(initiator.fields, fieldAliases.content_type_link);
-    const contentType = await fetchContentType(contentTypeIds);
+    const [workflow, entity, contentType] = await timed(steps, 'linked_records', () => Promise.all([
+      fetchWorkflow(loader, workflowIds),
+      fetchEntity(loader, entityIds),
+      fetchContentType(loader, contentTypeIds)
+    ]));
+    console.log(`[Context Assembly] Workflow: ${workflow ? (workflow.fields['Name'] || 'Found') : 'None'}`);
+    console.log(`[Context Assembly] Entity: ${entity ? entity.fields['Name'] : 'None'}`);
     console.log(`[Context Assembly] Content Type: ${contentType ? contentType.fields['Name'] : 'None'}`);
     
-    // Step 5: Extract active lanes
+    // Step 3: Extract active lanes
     const activeLanes = extractActiveLanes(workflow, initiator);
     console.log(`[Context Assembly] Active lanes: ${activeLanes.join(', ')}`);
+    if (lane && !activeLanes.includes(lane.id)) {
+      throw requestError(400, `Lane ${lane.id} is not active for this request (active lanes: ${activeLanes.join(', ') || 'none'})`);
+    }
+    
+    // Step 4: Build the KB XML bundles, then fetch what the other sections need in parallel
+    const kb = await timed(steps, 'kb_xml', () => kbXml.buildKbBundles([initiator, entity]));
+    if (!kb.validation.valid) {
+      console.warn(`[Context Assembly] ⚠️ ${kb.validation.errors.length} KB XML problem(s), sent escaped:\n  - ${kb.validation.errors.map(error => `${error.bundle} ${error.section} ${error.line}:${error.column} ${error.message}`).join('\n  - ')}`);
+    }
+    const rules = extractRules(workflow, contentType);
+    const [audienceContext, research, references, tools, narrowed] = await Promise.all([
+      timed(steps, 'audience', () => buildAudienceContext(initiator, kb)),
+      timed(steps, 'research', () => buildResearchContext(initiator, entity, loader)),
+      timed(steps, 'references', () => buildReferencesContext(initiator, workflow, entity, loader)),
+      timed(steps, 'tools', () => buildToolsContext(loader, initiator)),
+      lane ? timed(steps, 'lane', () => laneContext.buildLaneContext({
+        laneId: lane.id,
+        initiator,
+        workflow,
+        activeLanes,
+        rules,
+        findRecord: (tableKey, id) => loader.load(tableKey, id)
+      })) : null
+    ]);
     
-    // Step 6: Build UnifiedContext v0.4
+    // Step 5: Build UnifiedContext v0.4
     const unifiedContext = {
       meta: {
         schema: 'unified-context',
@@ -76,57 +127,191 @@ async function assembleUnifiedContext(recordId, laneId = null) {
         initiator_id: recordId,
         workflow_id: workflow ? workflow.id : null,
         content_type_id: contentType ? contentType.id : null,
-        idempotency_key: laneId ? `${recordId}:${laneId}` : recordId,
-        timestamp: new Date().toISOString()
+        idempotency_key: lane ? `${recordId}:${lane.id}` : recordId,
+        timestamp: new Date().toISOString(),
+        kb_validation: kb.validation,
+        ...(options.draft ? { preview: true } : {})
       },
       routing: {
         provider: workflow?.fields['AI Platform'] || 'openai',
         model: workflow?.fields['Model'] || 'gpt-4',
-        webhook: getField(initiator.fields, ['Make Webhook URL']) || process.env.MAKE_WEBHOOK_URL,
+        webhook: getField(initiator.fields, ['Make Webhook URL']) || process.env.MAKE_WEBHOOK_URL || null,
         callbacks: {
           sse_channel: `/api/events/${recordId}`
         }
       },
-      app_context: buildAppContext(entity, initiator),
-      entity_context: buildEntityContext(entity, initiator),
-      audience_context: await buildAudienceContext(initiator, entityIds),
-      research: await buildResearchContext(initiator),
-      tools: await buildToolsContext(initiator),
+      app_context: buildAppContext(entity, kb),
+      entity_context: buildEntityContext(entity, kb),
+      audience_context: audienceContext,
+      research,
+      references,
+      tools,
       content_type: buildContentTypeContract(contentType),
       lane_plan: activeLanes.map(lane => ({ lane, enabled: true })),
       prior_steps: [], // Will be populated during execution
-      rules: extractRules(workflow, contentType),
+      rules,
       user_input: {
-        goal: getField(initiator.fields, fieldAliases.goal),
-        audience: getField(initiator.fields, fieldAliases.audience),
+        goal: getField(initiator.fields, fieldAliases.goal) ?? null,
+        audience: getField(initiator.fields, fieldAliases.audience) ?? null,
         tags: initiator.fields['Tags'] || []
       }
     };
     
+    // Step 6: Narrow to one lane (prompt, dependency outputs, lane rules)
+    if (narrowed) {
+      unifiedContext.lane = narrowed.lane;
+      unifiedContext.lane_plan = [{ lane: lane.id, enabled: true }];
+      unifiedContext.prior_steps = narrowed.prior_steps;
+      unifiedContext.rules = narrowed.rules;
+      const missing = narrowed.prior_steps.filter(step => step.status === 'missing').map(step => step.lane);
+      console.log(`[Context Assembly] Lane ${lane.id}: prompt ${narrowed.lane.prompt ? narrowed.lane.prompt.name : 'none'}, depends on ${narrowed.lane.depends_on.join(', ') || 'nothing'}${missing.length > 0 ? ` (no output yet: ${missing.join(', ')})` : ''}`);
+    }
+    
+    // Step 7: Fit the sections into the model's context window
+    if (contextBudget) {
+      const budget = await timed(steps, 'token_budget', () => contextBudget.apply(unifiedContext));
+      unifiedContext.meta.token_budget = budget;
+      console.log(`[Context Assembly] Tokens: ${budget.total_tokens}/${budget.available_tokens} for ${budget.model} (${budget.encoding})`);
+      
+      // kb_validation has to describe the bundles as sent, not as built
+      const cutErrors = kbXml.validateContextBundles(unifiedContext);
+      if (cutErrors.length > 0) {
+        unifiedContext.meta.kb_validation = { ...kb.validation, valid: false, errors: [...kb.validation.errors, ...cutErrors] };
+        console.warn(`[Context Assembly] ⚠️ ${cutErrors.length} KB XML problem(s) after the token budget:\n  - ${cutErrors.map(error => `${error.bundle} ${error.line}:${error.column} ${error.message}`).join('\n  - ')}`);
+      }
+    }
+    
+    // Step 8: Validate against the published schema for this version
+    let validation = null;
+    if (contextSchemas) {
+      validation = await timed(steps, 'validation', () => contextSchemas.validate(unifiedContext));
+      unifiedContext.meta.validation = validation;
+      if (!validation.valid) {
+        console.warn(`[Context Assembly] ⚠️ ${validation.errors.length} schema violation(s) against ${validation.schema}:\n  - ${formatViolations(validation.errors).join('\n  - ')}`);
+      }
+    }
+    
+    // Step 9: Keep a snapshot of exactly what was assembled (invalid contexts too, for debugging)
+    if (snapshots && !options.draft) {
+      try {
+        const snapshot = await timed(steps, 'snapshot', () => snapshots.save(unifiedContext));
+        console.log(`[Context Assembly] Snapshot #${snapshot.id} (${snapshot.hash.slice(0, 19)}, assembled ${snapshot.assembled_count}x)`);
+      } catch (error) {
+        console.warn(`[Context Assembly] Could not save context snapshot: ${error.message}`);
+      }
+    }
+    
+    // Step 10: Report timings (added last, so not part of the snapshot or its hash)
+    const loads = loader.getStats();
+    unifiedContext.meta.timing = { total_ms: Date.now() - startedAt, steps, loader: loads };
+    console.log(`[Context Assembly] ${unifiedContext.meta.timing.total_ms}ms, ${loads.query_count} record queries (${loads.requested} lookups, ${loads.deduped} deduped)`);
+    
+    if (schemaStrict && validation && !validation.valid) {
+      const error = requestError(422, `Context does not match ${validation.schema}: ${formatViolations(validation.errors).join('; ')}`);
+      error.violations = validation.errors;
+      throw error;
+    }
+    
     console.log(`[Context Assembly] ✅ Assembly complete (v0.4)`);
     return unifiedContext;
     
   } catch (error) {
     console.error(`[Context Assembly] ❌ Error:`, error);
-    throw new Error(`Failed to assemble context: ${error.message}`);
+    const wrapped = new Error(`Failed to assemble context: ${error.message}`);
+    wrapped.statusCode = error.statusCode;
+    wrapped.violations = error.violations;
+    throw wrapped;
   }
 }
 
 /**
- * Fetch Initiator record
+ * Assemble the context a new request would get, from the form's Initiator
+ * fields, without creating the record
  */
-async function fetchInitiatorRecord(recordId) {
-  return await base(TABLES.INITIATOR).find(recordId);
+function previewUnifiedContext(fields, laneId = null) {
+  return assembleUnifiedContext(PREVIEW_ID, laneId, { draft: fields || {} });
+}
+
+/**
+ * In-memory Initiator for a preview: the draft fields plus the lookup fields
+ * Airtable would fill in from the linked records (formulas and rollups stay empty)
+ */
+async function buildDraftInitiator(loader, recordId, draftFields) {
+  const fields = { ...draftFields };
+  const initiatorTable = tables.resolve('INITIATOR');
+  
+  let schema = null;
+  try {
+    schema = schemaService ? await schemaService.getTableSchemaById(initiatorTable.baseId, initiatorTable.id) : null;
+  } catch (error) {
+    console.warn(`[Context Assembly] Could not load Initiator schema for draft lookups: ${error.message}`);
+  }
+  
+  const lookups = schema
+    ? schema.fields.filter(field => field.type === 'multipleLookupValues' && field.options && field.options.recordLinkFieldId && fields[field.name] === undefined)
+    : [];
+  
+  await Promise.all(lookups.map(async lookup => {
+    try {
+      const linkField = schema.fields.find(field => field.id === lookup.options.recordLinkFieldId);
+      const linkedTable = linkField && linkField.options ? tables.findById(linkField.options.linkedTableId) : null;
+      if (!linkedTable || !linkedTable.baseId) return;
+      
+      // The form may use another name for the link field (see field-alias-map.json)
+      const aliases = Object.values(fieldAliases).find(group => Array.isArray(group) && group.includes(linkField.name)) || [linkField.name];
+      const linkedIds = toList(getField(fields, aliases));
+      if (linkedIds.length === 0) return;
+      
+      const linkedSchema = await schemaService.getTableSchemaById(linkedTable.baseId, linkedTable.id);
+      const source = linkedSchema && linkedSchema.fields.find(field => field.id === lookup.options.fieldIdInLinkedTable);
+      if (!source) return;
+      
+      const records = await loader.loadMany(linkedTable.key, linkedIds);
+      fields[lookup.name] = records.filter(Boolean).flatMap(record => toList(record.fields[source.name]));
+    } catch (error) {
+      console.warn(`[Context Assembly] Could not fill draft lookup "${lookup.name}": ${error.message}`);
+    }
+  }));
+  
+  return { id: recordId, createdTime: new Date().toISOString(), fields };
+}
+
+/**
+ * Run a step and record how long it took (ms) under `name`
+ */
+async function timed(steps, name, fn) {
+  const started = Date.now();
+  try {
+    return await fn();
+  } finally {
+    steps[name] = Date.now() - started;
+  }
+}
+
+/**
+ * Error for a bad request (kept by the wrapper below so the API can return its status)
+ */
+function requestError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Schema violations as "path: message" lines
+ */
+function formatViolations(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
 }
 
 /**
  * Fetch Workflow record
  */
-async function fetchWorkflow(workflowIds) {
+async function fetchWorkflow(loader, workflowIds) {
   if (!workflowIds || workflowIds.length === 0) return null;
   const workflowId = Array.isArray(workflowIds) ? workflowIds[0] : workflowIds;
   try {
-    return await base(TABLES.WORKFLOWS).find(workflowId);
+    return await loader.load('WORKFLOWS', workflowId);
   } catch (error) {
     console.warn(`[Context Assembly] Could not fetch Workflow: ${error.message}`);
     return null;
@@ -136,11 +321,11 @@ async function fetchWorkflow(workflowIds) {
 /**
  * Fetch Entity record
  */
-async function fetchEntity(entityIds) {
+async function fetchEntity(loader, entityIds) {
   if (!entityIds || entityIds.length === 0) return null;
   const entityId = Array.isArray(entityIds) ? entityIds[0] : entityIds;
   try {
-    return await base(TABLES.ENTITIES).find(entityId);
+    return await loader.load('ENTITIES', entityId);
   } catch (error) {
     console.warn(`[Context Assembly] Could not fetch Entity: ${error.message}`);
     return null;
@@ -150,11 +335,11 @@ async function fetchEntity(entityIds) {
 /**
  * Fetch Content Type record
  */
-async function fetchContentType(contentTypeIds) {
+async function fetchContentType(loader, contentTypeIds) {
   if (!contentTypeIds || contentTypeIds.length === 0) return null;
   const contentTypeId = Array.isArray(contentTypeIds) ? contentTypeIds[0] : contentTypeIds;
   try {
-    return await base(TABLES.CONTENT_TYPES).find(contentTypeId);
+    return await loader.load('CONTENT_TYPES', contentTypeId);
   } catch (error) {
     console.warn(`[Context Assembly] Could not fetch Content Type: ${error.message}`);
     return null;
@@ -195,7 +380,7 @@ function extractActiveLanes(workflow, initiator) {
 /**
  * Build App Context (auto-loaded when app/entity is selected)
  */
-function buildAppContext(entity, initiator) {
+function buildAppContext(entity, kb) {
   if (!entity) return null;
   
   return {
@@ -203,26 +388,20 @@ function buildAppContext(entity, initiator) {
     name: entity.fields['Name'] || 'Unknown',
     capabilities: parseJSON(entity.fields['Capabilities (JSON)']) || [],
     docs: parseJSON(entity.fields['Links (JSON)']) || [],
-    kb_xml_bundle: getField(initiator.fields, fieldAliases.brand_kb) || ''
+    kb_xml_bundle: kb.app
   };
 }
 
 /**
- * Build Entity Context
+ * Build Entity Context (brand and marketing KBs, see services/kb-xml.js)
  */
-function buildEntityContext(entity, initiator) {
+function buildEntityContext(entity, kb) {
   if (!entity) return null;
   
-  const brandKB = getField(initiator.fields, fieldAliases.brand_kb);
-  const marketingKB = getField(initiator.fields, fieldAliases.marketing_kb);
-  
   return {
     entity_id: entity.id,
     name: entity.fields['Name'] || 'Unknown',
-    kb_xml: `<kb xmlns:brand="urn:brand" xmlns:marketing="urn:marketing">
-  ${brandKB || ''}
-  ${marketingKB || ''}
-</kb>`,
+    kb_xml: kb.entity,
     tags: entity.fields['Tags'] || []
   };
 }
@@ -230,49 +409,71 @@ function buildEntityContext(entity, initiator) {
 /**
  * Build Audience Context (using existing Audience XML from Airtable)
  */
-async function buildAudienceContext(initiator, entityIds) {
-  const audienceKB = getField(initiator.fields, fieldAliases.audience_kb);
-  
+async function buildAudienceContext(initiator, kb) {
   return {
-    kb_xml: audienceKB || '',
+    kb_xml: kb.audience,
     personas: initiator.fields['Personas'] || [],
     priority: initiator.fields['Audience Priority'] || 5
   };
 }
 
 /**
- * Build Research Context (using existing Research_Reports table)
+ * Build Research Context from Research Reports linked to the Initiator,
+ * its entity or its tags (ranked and trimmed to the research budget)
  */
-async function buildResearchContext(initiator) {
-  // TODO: Query Research_Reports table for related research
-  // For now, return empty structure
-  return {
-    cache_refs: [],
-    xml_kb: '',
-    reports: []
-  };
+async function buildResearchContext(initiator, entity, loader) {
+  const research = await researchContext.buildResearchContext({
+    initiator,
+    entity,
+    dataSource,
+    loader,
+    tables,
+    schemaService,
+    options: researchOptions
+  });
+  console.log(`[Context Assembly] Research: ${research.reports.length} report(s), ${research.budget.dropped.length} dropped`);
+  return research;
+}
+
+/**
+ * Build References Context from the references linked to the Initiator, its
+ * workflow or its entity (resolved across the automation and Reference Library bases)
+ */
+async function buildReferencesContext(initiator, workflow, entity, loader) {
+  const references = await referenceContext.buildReferenceContext({ initiator, workflow, entity, loader, tables });
+  if (references.length > 0) {
+    console.log(`[Context Assembly] References: ${references.length} linked`);
+  }
+  return references;
 }
 
 /**
- * Build Tools Context
+ * Build Tools Context (all linked tools in one query)
  */
-async function buildToolsContext(initiator) {
+async function buildToolsContext(loader, initiator) {
   const toolIds = getField(initiator.fields, fieldAliases.tools_link) || [];
   if (toolIds.length === 0) return [];
   
+  let records;
+  try {
+    records = await loader.loadMany('TOOLS', toolIds);
+  } catch (error) {
+    console.warn(`[Context Assembly] Could not fetch Tools: ${error.message}`);
+    return [];
+  }
+  
   const tools = [];
-  for (const toolId of toolIds) {
-    try {
-      const tool = await base(TABLES.TOOLS).find(toolId);
-      tools.push({
-        name: tool.fields['Name'] || 'Unknown',
-        cred: `kb:cred-ref:${tool.fields['Name']?.toLowerCase().replace(/\s+/g, '_')}_v1`,
-        endpoint: tool.fields['API Endpoint'] || ''
-      });
-    } catch (error) {
-      console.warn(`[Context Assembly] Could not fetch Tool ${toolId}: ${error.message}`);
+  records.forEach((tool, index) => {
+    if (!tool) {
+      console.warn(`[Context Assembly] Could not fetch Tool ${toolIds[index]}: not found`);
+      return;
     }
-  }
+    tools.push({
+      name: tool.fields['Name'] || 'Unknown',
+      cred: `kb:cred-ref:${tool.fields['Name']?.toLowerCase().replace(/\s+/g, '_')}_v1`,
+      endpoint: tool.fields['API Endpoint'] || ''
+    });
+  });
   
   return tools;
 }
@@ -329,6 +530,11 @@ function extractRules(workflow, contentType) {
   return rules;
 }
 
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
 /**
  * Parse JSON safely
  */
@@ -343,6 +549,7 @@ function parseJSON(jsonString) {
 
 module.exports = {
   initialize,
-  assembleUnifiedContext
+  assembleUnifiedContext,
+  previewUnifiedContext
 };
 
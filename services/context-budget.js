@@ -0,0 +1,370 @@
+/**
+ * Context Budget
+ *
+ * Keeps an assembled UnifiedContext inside the model's context window.
+ * Budgets and section rules live in utils/context-budget.json (or the file in
+ * CONTEXT_BUDGET_FILE):
+ *
+ *   models    per-model encoding, context window and tokens reserved for the
+ *             reply. `routing.model` is matched by longest prefix
+ *             ("gpt-4o-mini" uses "gpt-4o"); unknown models use `default`.
+ *   sections  the parts of the context that may be cut, each with:
+ *               priority  1 is kept first; higher numbers are cut first
+ *               strategy  head    - keep the start (text) or the first items (lists)
+ *                         tail    - keep the end or the last items
+ *                         summary - keep the first sentence of each paragraph,
+ *                                   then the start if that is still too long
+ *               paths     dotted paths to the text or list values to cut; well-formed
+ *                         XML text (the KB bundles) is cut by whole elements, so
+ *                         it stays well-formed
+ *               derived   values rebuilt from `paths` after a cut (counted, not cut)
+ *
+ * Everything outside the sections (meta, routing, user input, content type,
+ * lane plan) is never cut. Sections are then given what is left of the
+ * window in priority order, and the report in meta.token_budget says how much
+ * of each was dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tokenizer = require('../utils/tokenizer');
+const { buildResearchXml } = require('./research-context');
+const { parse, serialize } = require('../utils/xml');
+
+const DEFAULT_BUDGET_FILE = path.join(__dirname, '..', 'utils', 'context-budget.json');
+const STRATEGIES = ['head', 'tail', 'summary'];
+
+// Rebuild derived values from a section's (cut) lists; called repeatedly, so must be idempotent
+const REBUILDERS = {
+  research(context, droppedItems) {
+    const research = context.research;
+    research.xml_kb = buildResearchXml(research.reports);
+    research.cache_refs = research.reports.map(report => `kb:research:${report.id}`);
+    if (research.budget) {
+      const keptIds = new Set(research.reports.map(report => report.id));
+      const dropped = research.budget.dropped.filter(entry => entry.reason !== 'token_budget' || !keptIds.has(entry.id));
+      droppedItems.forEach(report => {
+        if (!dropped.some(entry => entry.id === report.id)) {
+          dropped.push({ id: report.id, title: report.title, reason: 'token_budget' });
+        }
+      });
+      research.budget.dropped = dropped;
+    }
+  }
+};
+
+class ContextBudget {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.filePath = options.filePath || env.CONTEXT_BUDGET_FILE || DEFAULT_BUDGET_FILE;
+
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.defaultLimits = config.default;
+    this.models = config.models || {};
+    this.sections = Object.entries(config.sections || {})
+      .map(([name, section]) => ({ name, ...section, derived: section.derived || [] }))
+      .sort((a, b) => a.priority - b.priority);
+
+    this.validate();
+
+    console.log(`[Context Budget] Initialized (${Object.keys(this.models).length} models, ${this.sections.length} budgeted sections)`);
+  }
+
+  /**
+   * Check every model has a usable window and every section a known strategy
+   */
+  validate() {
+    const problems = [];
+
+    const checkLimits = (limits, where) => {
+      if (!limits || typeof limits !== 'object') {
+        problems.push(`${where}: missing`);
+        return;
+      }
+      if (!tokenizer.ENCODINGS.includes(limits.encoding)) {
+        problems.push(`${where}: unknown encoding "${limits.encoding}" (expected one of: ${tokenizer.ENCODINGS.join(', ')})`);
+      }
+      if (!Number.isInteger(limits.contextTokens) || limits.contextTokens <= 0) {
+        problems.push(`${where}: contextTokens must be a positive integer`);
+      }
+      if (!Number.isInteger(limits.reserveTokens) || limits.reserveTokens < 0 || limits.reserveTokens >= limits.contextTokens) {
+        problems.push(`${where}: reserveTokens must be between 0 and contextTokens`);
+      }
+    };
+
+    checkLimits(this.defaultLimits, 'default');
+    Object.entries(this.models).forEach(([model, limits]) => checkLimits(limits, `models.${model}`));
+
+    this.sections.forEach(section => {
+      const where = `sections.${section.name}`;
+      if (!Number.isFinite(section.priority)) problems.push(`${where}: priority must be a number`);
+      if (!STRATEGIES.includes(section.strategy)) {
+        problems.push(`${where}: unknown strategy "${section.strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+      }
+      if (!Array.isArray(section.paths) || section.paths.length === 0) problems.push(`${where}: paths must be a non-empty list`);
+      if (section.derived.length > 0 && !REBUILDERS[section.name]) {
+        problems.push(`${where}: has derived values but no rebuilder`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`[Context Budget] Invalid ${this.filePath}:\n  - ${problems.join('\n  - ')}`);
+    }
+  }
+
+  /**
+   * Token limits for a model name: { model, matched, encoding, contextTokens, reserveTokens }
+   */
+  forModel(model) {
+    const name = String(model || '').toLowerCase();
+    const matched = Object.keys(this.models)
+      .filter(key => name.startsWith(key.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return { model: model || null, matched: matched || 'default', ...(matched ? this.models[matched] : this.defaultLimits) };
+  }
+
+  /**
+   * Token count of a value (strings as-is, anything else as JSON) for a model
+   */
+  count(value, model) {
+    return tokenizer.countTokens(value, this.forModel(model).encoding);
+  }
+
+  /**
+   * Cut the context's sections to fit the model window (in place) and return the report
+   */
+  apply(context) {
+    const limits = this.forModel(context.routing && context.routing.model);
+    const { encoding } = limits;
+    const available = limits.contextTokens - limits.reserveTokens;
+
+    const fixedTokens = tokenizer.countTokens(this.withoutSections(context), encoding);
+    let remaining = available - fixedTokens;
+
+    const sections = {};
+    for (const section of this.sections) {
+      const before = this.sectionTokens(context, section, encoding);
+      const allowance = Math.max(0, remaining);
+      let droppedItems = 0;
+
+      if (before > allowance) {
+        droppedItems = this.fitSection(context, section, allowance, before, encoding);
+      }
+
+      const after = this.sectionTokens(context, section, encoding);
+      remaining -= after;
+      sections[section.name] = sectionReport(section, before, after, droppedItems);
+    }
+
+    // Section sizes don't add up exactly to the whole (tokens merge at the seams),
+    // so any overage left is taken from the lowest-priority sections
+    let totalTokens = tokenizer.countTokens(context, encoding);
+    for (const section of [...this.sections].reverse()) {
+      if (totalTokens <= available) break;
+      const report = sections[section.name];
+      if (report.tokens === 0) continue;
+
+      const allowance = Math.max(0, report.tokens - (totalTokens - available));
+      const droppedItems = report.dropped_items + this.fitSection(context, section, allowance, report.tokens, encoding);
+      sections[section.name] = sectionReport(section, report.original_tokens, this.sectionTokens(context, section, encoding), droppedItems);
+      totalTokens = tokenizer.countTokens(context, encoding);
+    }
+
+    return {
+      model: limits.model,
+      budget_model: limits.matched,
+      encoding,
+      context_tokens: limits.contextTokens,
+      reserve_tokens: limits.reserveTokens,
+      available_tokens: available,
+      fixed_tokens: fixedTokens,
+      total_tokens: totalTokens,
+      within_budget: totalTokens <= available,
+      sections
+    };
+  }
+
+  /**
+   * Copy of the context with every budgeted value emptied (what can't be cut)
+   */
+  withoutSections(context) {
+    const copy = JSON.parse(JSON.stringify(context));
+    this.sections.forEach(section => {
+      [...section.paths, ...section.derived].forEach(dotted => {
+        const value = getPath(copy, dotted);
+        if (value !== undefined && value !== null) setPath(copy, dotted, Array.isArray(value) ? [] : '');
+      });
+    });
+    return copy;
+  }
+
+  /**
+   * Tokens a section adds to the serialized context (text is counted JSON-escaped)
+   */
+  sectionTokens(context, section, encoding) {
+    return [...section.paths, ...section.derived].reduce((sum, dotted) => {
+      const value = getPath(context, dotted);
+      return sum + (value === undefined || value === null ? 0 : tokenizer.countTokens(JSON.stringify(value), encoding));
+    }, 0);
+  }
+
+  /**
+   * Cut a section until it fits the allowance and return how many list items were dropped.
+   * Text is cut first (proportionally per path, re-measured since cuts are sized
+   * from raw text but counted JSON-escaped); lists are then refilled whole item
+   * by item, rebuilding derived values, while the section still fits.
+   */
+  fitSection(context, section, allowance, before, encoding) {
+    const lists = section.paths.filter(dotted => Array.isArray(getPath(context, dotted)));
+    const texts = section.paths.filter(dotted => !lists.includes(dotted) && getPath(context, dotted));
+    const originals = lists.map(dotted => getPath(context, dotted));
+    const allItems = originals.flat();
+    const rebuild = (keptItems) => {
+      if (REBUILDERS[section.name]) REBUILDERS[section.name](context, allItems.filter(item => !keptItems.includes(item)));
+    };
+
+    lists.forEach(dotted => setPath(context, dotted, []));
+    rebuild([]);
+
+    let current = this.sectionTokens(context, section, encoding);
+    let target = allowance;
+    for (let pass = 0; pass < 3 && current > allowance; pass++) {
+      const ratio = target / current;
+      texts.forEach(dotted => {
+        const text = String(getPath(context, dotted));
+        const limit = Math.floor(tokenizer.countTokens(text, encoding) * ratio);
+        const cut = looksLikeXml(text) ? truncateXml(text, limit, section.strategy, encoding) : null;
+        setPath(context, dotted, cut !== null ? cut : truncateText(text, limit, section.strategy, encoding));
+      });
+      const after = this.sectionTokens(context, section, encoding);
+      target = Math.floor(target * (allowance / Math.max(after, 1)));
+      current = after;
+    }
+
+    const kept = [];
+    lists.forEach((dotted, index) => {
+      const items = section.strategy === 'tail' ? [...originals[index]].reverse() : originals[index];
+      const list = [];
+      for (const item of items) {
+        section.strategy === 'tail' ? list.unshift(item) : list.push(item);
+        setPath(context, dotted, list);
+        rebuild([...kept, ...list]);
+        if (this.sectionTokens(context, section, encoding) > allowance) {
+          section.strategy === 'tail' ? list.shift() : list.pop();
+          break;
+        }
+      }
+      setPath(context, dotted, list);
+      kept.push(...list);
+    });
+    rebuild(kept);
+
+    return allItems.length - kept.length;
+  }
+}
+
+function sectionReport(section, before, after, droppedItems) {
+  return {
+    priority: section.priority,
+    strategy: section.strategy,
+    tokens: after,
+    original_tokens: before,
+    dropped_tokens: before - after,
+    dropped_pct: before > 0 ? Math.round(((before - after) / before) * 1000) / 10 : 0,
+    dropped_items: droppedItems,
+    truncated: after < before
+  };
+}
+
+/**
+ * Cut text to `limit` tokens with a strategy
+ */
+function truncateText(text, limit, strategy, encoding) {
+  if (tokenizer.countTokens(text, encoding) <= limit) return text;
+
+  if (strategy === 'tail') return tokenizer.tailTokens(text, limit, encoding);
+
+  if (strategy === 'summary') {
+    const excerpt = summaryExcerpt(text);
+    return tokenizer.headTokens(excerpt, limit, encoding);
+  }
+
+  return tokenizer.headTokens(text, limit, encoding);
+}
+
+/**
+ * Cut XML text to about `limit` tokens without breaking it: elements are kept
+ * or dropped whole, except that the element where the limit falls keeps its
+ * tags and is cut inside, and text is cut as text and escaped again.
+ * Returns null for text that isn't well-formed XML.
+ */
+function truncateXml(text, limit, strategy, encoding) {
+  const { nodes, errors } = parse(text);
+  if (errors.length > 0) return null;
+  return serialize(fitNodes(nodes, limit, strategy, encoding));
+}
+
+function fitNodes(nodes, limit, strategy, encoding) {
+  const fromEnd = strategy === 'tail';
+  const ordered = fromEnd ? [...nodes].reverse() : nodes;
+  const kept = [];
+  let remaining = limit;
+
+  for (const node of ordered) {
+    const cost = tokenizer.countTokens(serialize([node]), encoding);
+    if (cost <= remaining) {
+      kept.push(node);
+      remaining -= cost;
+      continue;
+    }
+
+    // The limit falls in this node: keep what fits of it, then stop
+    if (node.type === 'text') {
+      const value = truncateText(node.value, remaining, strategy, encoding);
+      if (value.trim()) kept.push({ type: 'text', value });
+    } else if (node.children.length > 0) {
+      const tags = tokenizer.countTokens(serialize([{ ...node, children: [{ type: 'text', value: '' }] }]), encoding);
+      const children = remaining > tags ? fitNodes(node.children, remaining - tags, strategy, encoding) : [];
+      if (children.some(child => child.type === 'element' || child.value.trim())) kept.push({ ...node, children });
+    }
+    break;
+  }
+
+  // Keep the layout whitespace next to the closing tag
+  const edge = ordered[ordered.length - 1];
+  if (kept.length < ordered.length && edge && edge.type === 'text' && !edge.value.trim()) kept.push(edge);
+
+  return fromEnd ? kept.reverse() : kept;
+}
+
+/**
+ * First sentence of every paragraph (lines without sentence punctuation are kept whole)
+ */
+function summaryExcerpt(text) {
+  return text
+    .split(/\n\s*\n|\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => {
+      const match = paragraph.match(/^.*?[.!?](?=\s|$)/);
+      return match ? match[0] : paragraph;
+    })
+    .join('\n');
+}
+
+function looksLikeXml(text) {
+  return text.trimStart().startsWith('<');
+}
+
+function getPath(object, dotted) {
+  return dotted.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, dotted, value) {
+  const keys = dotted.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => (current ? current[key] : undefined), object);
+  if (parent && typeof parent === 'object') parent[keys[keys.length - 1]] = value;
+}
+
+module.exports = ContextBudget;
@@ -0,0 +1,119 @@
+/**
+ * Context Schema Registry
+ *
+ * The published JSON Schemas for the UnifiedContext, one file per version in
+ * schemas/unified-context/ (e.g. 0.4.json). The Make.com scenarios are built
+ * against these, so every assembled context is validated against the schema
+ * for its `meta.version` before it is returned.
+ *
+ * `compatibility(from, to)` reports which changes between two versions would
+ * break a scenario built against the older one (see utils/json-schema.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate, compareSchemas } = require('../utils/json-schema');
+
+const DEFAULT_SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'unified-context');
+
+// Differs between any two versions by definition
+const VERSION_PATHS = ['/meta/version'];
+
+class ContextSchemaRegistry {
+  constructor(options = {}) {
+    this.schemaDir = options.schemaDir || DEFAULT_SCHEMA_DIR;
+    this.schemas = {};
+
+    fs.readdirSync(this.schemaDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const version = path.basename(file, '.json');
+        const schema = JSON.parse(fs.readFileSync(path.join(this.schemaDir, file), 'utf8'));
+        this.checkSchema(version, schema, file);
+        this.schemas[version] = schema;
+      });
+
+    if (this.versions().length === 0) {
+      throw new Error(`[Context Schema] No schemas found in ${this.schemaDir}`);
+    }
+
+    console.log(`[Context Schema] Initialized (versions: ${this.versions().join(', ')})`);
+  }
+
+  /**
+   * A schema file must describe the version it is named after
+   */
+  checkSchema(version, schema, file) {
+    const versionConst = schema.properties && schema.properties.meta && schema.properties.meta.properties
+      && schema.properties.meta.properties.version && schema.properties.meta.properties.version.const;
+
+    if (versionConst !== version) {
+      throw new Error(`[Context Schema] ${file}: meta.version must be const "${version}" (found ${JSON.stringify(versionConst)})`);
+    }
+
+    // Resolves every $ref once, so a broken schema fails at startup rather than per request
+    compareSchemas(schema, schema);
+  }
+
+  /**
+   * Published versions, oldest first
+   */
+  versions() {
+    return Object.keys(this.schemas).sort(compareVersions);
+  }
+
+  get(version) {
+    return this.schemas[version] || null;
+  }
+
+  /**
+   * Validate a context against the schema for its meta.version:
+   * { valid, schema: 'unified-context/0.4', errors: [{ path, keyword, message }] }
+   */
+  validate(context) {
+    const version = context && context.meta ? context.meta.version : undefined;
+    const schema = this.get(version);
+
+    if (!schema) {
+      return {
+        valid: false,
+        schema: `unified-context/${version}`,
+        errors: [{ path: '/meta/version', keyword: 'version', message: `no published schema for version ${JSON.stringify(version)} (known: ${this.versions().join(', ')})` }]
+      };
+    }
+
+    const errors = validate(schema, context);
+    return { valid: errors.length === 0, schema: `unified-context/${version}`, errors };
+  }
+
+  /**
+   * Breaking and non-breaking changes from one version to another.
+   * Throws a 404-style error for unknown versions.
+   */
+  compatibility(fromVersion, toVersion) {
+    const missing = [fromVersion, toVersion].find(version => !this.get(version));
+    if (missing) {
+      const error = new Error(`Unknown context schema version ${missing} (known: ${this.versions().join(', ')})`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return {
+      from: fromVersion,
+      to: toVersion,
+      ...compareSchemas(this.get(fromVersion), this.get(toVersion), { ignore: VERSION_PATHS })
+    };
+  }
+}
+
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+    const diff = (partsA[index] || 0) - (partsB[index] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+module.exports = ContextSchemaRegistry;
@@ -0,0 +1,203 @@
+/**
+ * Context Snapshot Store
+ *
+ * Keeps every assembled UnifiedContext so we can see exactly what a lane was
+ * given. Snapshots are keyed by `meta.idempotency_key` and identified by a
+ * SHA-256 content hash; assembling the same context again (same key, same
+ * hash as the latest snapshot for that key) bumps that snapshot's counter
+ * instead of storing a copy.
+ *
+ * The hash ignores fields that change on every assembly (meta.timestamp,
+ * meta.timing and the snapshot fields themselves), so it only changes when the content does.
+ *
+ * Snapshots are kept in memory and appended to a JSONL file (utils/jsonl-file.js,
+ * data/context-snapshots.jsonl by default): a new snapshot adds its line, and
+ * assembling it again adds a small counter line rather than rewriting anything.
+ * The file is compacted (counters folded in, trimmed snapshots dropped) on
+ * startup and whenever the stale lines outnumber the snapshots.
+ *
+ * Every kept snapshot holds its whole context in memory, a few KB for a small
+ * request and a few hundred KB with large knowledge bases, so `maxSnapshots`
+ * (CONTEXT_SNAPSHOT_MAX) sets the memory cost: 500 contexts of 100 KB is about
+ * 50 MB. Older snapshots are trimmed first.
+ *
+ * Lines:
+ *   { "id": 7, "idempotency_key": "rec...:A1.1", "initiator_id": "rec...", "hash": "sha256:...",
+ *     "created_at": "...", "last_assembled_at": "...", "assembled_count": 1, "context": {...} }
+ *   { "assembled": 7, "at": "..." }
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const JsonlFile = require('../utils/jsonl-file');
+const { diff, canonicalJSON } = require('../utils/json-diff');
+
+const DEFAULT_SNAPSHOT_FILE = path.join(__dirname, '..', 'data', 'context-snapshots.jsonl');
+
+// Paths left out of the content hash and of diffs
+const VOLATILE_PATHS = ['/meta/timestamp', '/meta/content_hash', '/meta/snapshot_id', '/meta/timing'];
+
+class ContextSnapshotStore {
+  constructor(options = {}) {
+    this.file = new JsonlFile(options.filePath || DEFAULT_SNAPSHOT_FILE, {
+      legacy: document => (Array.isArray(document.snapshots) ? document.snapshots : null)
+    });
+    this.maxSnapshots = options.maxSnapshots || 500; // oldest snapshots are trimmed past this
+    this.snapshots = [];
+    this.byId = new Map();
+    this.latestByKey = new Map(); // idempotency key -> newest snapshot
+    this.lastId = 0;
+
+    this.file.readAll().forEach(entry => {
+      if (entry.assembled !== undefined) {
+        const snapshot = this.byId.get(entry.assembled);
+        if (snapshot) {
+          snapshot.assembled_count += 1;
+          snapshot.last_assembled_at = entry.at;
+        }
+      } else {
+        this.add(entry);
+      }
+    });
+    this.trim();
+    if (this.file.lines > this.snapshots.length) this.file.rewrite(this.snapshots); // drop trimmed and folded lines
+
+    console.log(`[Context Snapshots] Initialized (${this.snapshots.length} snapshots)`);
+  }
+
+  /**
+   * Content hash of a context ("sha256:<hex>")
+   */
+  static hash(context) {
+    const stable = JSON.parse(JSON.stringify(context));
+    if (stable.meta) {
+      delete stable.meta.timestamp;
+      delete stable.meta.content_hash;
+      delete stable.meta.snapshot_id;
+      delete stable.meta.timing;
+    }
+    return `sha256:${crypto.createHash('sha256').update(canonicalJSON(stable)).digest('hex')}`;
+  }
+
+  /**
+   * Store a context and return its snapshot summary. The context's
+   * meta.content_hash and meta.snapshot_id are filled in.
+   */
+  save(context) {
+    const hash = ContextSnapshotStore.hash(context);
+    const key = context.meta.idempotency_key;
+    const now = new Date().toISOString();
+
+    let snapshot = this.latestByKey.get(key);
+    if (snapshot && snapshot.hash === hash) {
+      snapshot.last_assembled_at = now;
+      snapshot.assembled_count += 1;
+      this.file.append({ assembled: snapshot.id, at: now });
+    } else {
+      const id = this.lastId + 1;
+      snapshot = {
+        id,
+        idempotency_key: key,
+        initiator_id: context.meta.initiator_id,
+        hash,
+        created_at: now,
+        last_assembled_at: now,
+        assembled_count: 1,
+        context: { ...context, meta: { ...context.meta, content_hash: hash, snapshot_id: id } }
+      };
+      this.add(snapshot);
+      this.file.append(snapshot);
+      this.trim();
+    }
+    this.compactIfStale();
+
+    context.meta.content_hash = hash;
+    context.meta.snapshot_id = snapshot.id;
+    return toSummary(snapshot);
+  }
+
+  add(snapshot) {
+    this.snapshots.push(snapshot);
+    this.byId.set(snapshot.id, snapshot);
+    this.latestByKey.set(snapshot.idempotency_key, snapshot);
+    this.lastId = Math.max(this.lastId, snapshot.id);
+  }
+
+  trim() {
+    while (this.snapshots.length > this.maxSnapshots) {
+      const oldest = this.snapshots.shift();
+      this.byId.delete(oldest.id);
+      if (this.latestByKey.get(oldest.idempotency_key) === oldest) this.latestByKey.delete(oldest.idempotency_key);
+    }
+  }
+
+  /**
+   * Rewrite the file once counter lines and trimmed snapshots outnumber the snapshots kept
+   */
+  compactIfStale() {
+    if (this.file.lines > this.snapshots.length * 2) {
+      this.file.rewrite(this.snapshots);
+    }
+  }
+
+  /**
+   * Snapshot summaries (no context body) for a request, newest first.
+   * Optionally limited to one idempotency key.
+   */
+  list(initiatorId, idempotencyKey = null) {
+    return this.snapshots
+      .filter(snapshot => snapshot.initiator_id === initiatorId)
+      .filter(snapshot => !idempotencyKey || snapshot.idempotency_key === idempotencyKey)
+      .map(toSummary)
+      .reverse();
+  }
+
+  /**
+   * Full snapshot by ID (null if unknown or trimmed)
+   */
+  get(id) {
+    return this.byId.get(Number(id)) || null;
+  }
+
+  /**
+   * Structural diff between two snapshots' contexts. Throws a 404-style error for unknown IDs.
+   */
+  diff(fromId, toId) {
+    const from = this.get(fromId);
+    const to = this.get(toId);
+    const missing = [[fromId, from], [toId, to]].find(([, snapshot]) => !snapshot);
+    if (missing) {
+      const error = new Error(`Snapshot ${missing[0]} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const changes = diff(from.context, to.context, { ignore: VOLATILE_PATHS });
+    return {
+      from: toSummary(from),
+      to: toSummary(to),
+      identical: from.hash === to.hash,
+      summary: {
+        added: changes.filter(change => change.op === 'add').length,
+        removed: changes.filter(change => change.op === 'remove').length,
+        changed: changes.filter(change => change.op === 'change').length
+      },
+      changes
+    };
+  }
+
+  getStats() {
+    return {
+      file: this.file.filePath,
+      snapshots: this.snapshots.length,
+      lastId: this.lastId,
+      maxSnapshots: this.maxSnapshots
+    };
+  }
+}
+
+function toSummary({ context, ...summary }) {
+  return summary;
+}
+
+module.exports = ContextSnapshotStore;
@@ -0,0 +1,61 @@
+/**
+ * Data Source Factory
+ *
+ * Every record read and write in the app goes through a data source instead
+ * of talking to the Airtable client directly. Implementations:
+ *
+ * - airtable: live Airtable bases (default, needs AIRTABLE_API_KEY); every call
+ *             is rate limited per base by services/airtable-scheduler.js
+ * - local:    JSON file on disk, for offline development and demos
+ *
+ * Interface (all methods async, records are plain { id, createdTime, fields }):
+ *   listRecords(baseId, tableId, options)   options: view, filterByFormula, sort, maxRecords, pageSize, fields
+ *   listPage(baseId, tableId, options)      same options plus offset; returns { records, offset }
+ *   findRecord(baseId, tableId, recordId)
+ *   createRecords(baseId, tableId, records) records: [{ fields }]
+ *   updateRecords(baseId, tableId, records) records: [{ id, fields }]
+ *   fetchBaseSchema(baseId)                 Meta API shape: { tables: [...] }
+ *
+ * Select with DATA_SOURCE=airtable|local (see .env.example).
+ */
+
+const AirtableDataSource = require('./airtable-data-source');
+const AirtableScheduler = require('./airtable-scheduler');
+const LocalDataSource = require('./local-data-source');
+
+const DATA_SOURCE_KINDS = ['airtable', 'local'];
+
+/**
+ * Resolve which data source the environment asks for
+ */
+function resolveDataSourceKind(env = process.env) {
+  return (env.DATA_SOURCE || 'airtable').trim().toLowerCase();
+}
+
+/**
+ * Create the configured data source
+ */
+function createDataSource(options = {}) {
+  const kind = options.kind || resolveDataSourceKind();
+
+  switch (kind) {
+    case 'airtable':
+      return new AirtableDataSource({
+        apiKey: options.apiKey,
+        scheduler: new AirtableScheduler(options.scheduler)
+      });
+    case 'local':
+      return new LocalDataSource({
+        filePath: options.filePath,
+        seedPath: options.seedPath
+      });
+    default:
+      throw new Error(`Unknown DATA_SOURCE "${kind}" (expected one of: ${DATA_SOURCE_KINDS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  DATA_SOURCE_KINDS,
+  resolveDataSourceKind,
+  createDataSource
+};
@@ -5,7 +5,7 @@
  * Provides two-tier health checking: quick (for load balancers) and detailed (for debugging).
  * 
  * Features:
- * - 6 component health checkers (environment, Airtable, schema, webhook, services, system)
+ * - 7 component health checkers (environment, data source, rate limiter, schema, webhook, services, system)
  * - Caching with configurable TTL
  * - Actionable error messages and recommendations
  * - Graceful degradation
@@ -14,7 +14,8 @@
 
 class HealthService {
   constructor(dependencies = {}) {
-    this.airtable = dependencies.airtable;
+    this.dataSource = dependencies.dataSource;
+    this.scheduler = dependencies.scheduler;
     this.schemaService = dependencies.schemaService;
     this.contextAssembly = dependencies.contextAssembly;
     this.sseEvents = dependencies.sseEvents;
@@ -22,6 +23,7 @@ class HealthService {
     this.config = dependencies.config || {};
     this.bases = dependencies.bases || {};
     this.tables = dependencies.tables || {};
+    this.tableRegistry = dependencies.tableRegistry || null;
     
     // Cache for health check results
     this.quickHealthCache = null;
@@ -55,7 +57,7 @@ class HealthService {
     };
     
     // Basic checks
-    if (!this.airtable) {
+    if (!this.dataSource) {
       health.status = 'unhealthy';
     }
     
@@ -81,14 +83,16 @@ class HealthService {
     // Run all health checks in parallel
     const [
       environment,
-      airtable,
+      dataSource,
+      rateLimiter,
       schemaServiceHealth,
       makeWebhook,
       services,
       system
     ] = await Promise.allSettled([
       this.checkEnvironment(),
-      this.checkAirtable(),
+      this.checkDataSource(),
+      this.checkRateLimiter(),
       this.checkSchemaService(),
       this.checkMakeWebhook(),
       this.checkServices(),
@@ -97,7 +101,8 @@ class HealthService {
     
     const components = {
       environment: this.unwrapResult(environment),
-      airtable: this.unwrapResult(airtable),
+      dataSource: this.unwrapResult(dataSource),
+      rateLimiter: this.unwrapResult(rateLimiter),
       schemaService: this.unwrapResult(schemaServiceHealth),
       makeWebhook: this.unwrapResult(makeWebhook),
       services: this.unwrapResult(services),
@@ -142,8 +147,10 @@ class HealthService {
    * Check environment variables
    */
   async checkEnvironment() {
-    const required = ['AIRTABLE_API_KEY'];
+    const isLocal = this.dataSource && this.dataSource.kind === 'local';
+    const required = isLocal ? [] : ['AIRTABLE_API_KEY'];
     const optional = [
+      'DATA_SOURCE',
       'MAKE_WEBHOOK_URL',
       'OPENAI_API_KEY',
       'ANTHROPIC_API_KEY',
@@ -167,14 +174,14 @@ class HealthService {
   }
   
   /**
-   * Check Airtable connectivity
+   * Check data source connectivity (Airtable bases or local store)
    */
-  async checkAirtable() {
-    if (!this.airtable) {
+  async checkDataSource() {
+    if (!this.dataSource) {
       return {
         status: 'unhealthy',
-        error: 'Airtable client not initialized',
-        message: 'Check AIRTABLE_API_KEY in .env',
+        error: 'Data source not initialized',
+        message: 'Check DATA_SOURCE and AIRTABLE_API_KEY in .env',
         documentation: 'https://airtable.com/account'
       };
     }
@@ -185,12 +192,12 @@ class HealthService {
     // Test connectivity to each base
     for (const [name, baseId] of Object.entries(this.bases)) {
       try {
-        const base = this.airtable.base(baseId);
-        // Try to fetch 1 record from the first available table
-        const tableId = Object.values(this.tables)[0];
+        // Try to fetch 1 record from a table that lives in this base
+        const baseTables = this.tableRegistry ? this.tableRegistry.tablesInBase(name) : [];
+        const tableId = baseTables.length > 0 ? baseTables[0].id : Object.values(this.tables)[0];
         
         await Promise.race([
-          base(tableId).select({ maxRecords: 1 }).firstPage(),
+          this.dataSource.listRecords(baseId, tableId, { maxRecords: 1 }),
           new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
         ]);
         
@@ -230,6 +237,7 @@ class HealthService {
     
     return {
       status,
+      source: this.dataSource.kind,
       responseTime,
       basesTested: totalBases,
       basesHealthy: healthyBases,
@@ -238,6 +246,41 @@ class HealthService {
     };
   }
   
+  /**
+   * Check the Airtable request scheduler (queue depth, 429 backoff)
+   */
+  async checkRateLimiter() {
+    if (!this.scheduler) {
+      return {
+        status: 'healthy',
+        message: 'Not used (local data source)'
+      };
+    }
+    
+    const stats = this.scheduler.getStats();
+    const pausedBases = stats.bases.filter(b => b.paused);
+    
+    let status = 'healthy';
+    let message = `${stats.queued} queued, ${stats.active} in flight`;
+    
+    if (pausedBases.length > 0) {
+      status = 'degraded';
+      message = `Backing off after 429 on ${pausedBases.length} base(s), ${stats.queued} queued`;
+    } else if (stats.queued > stats.requestsPerSecond * 10) {
+      status = 'degraded';
+      message = `Queue backlog: ${stats.queued} requests waiting`;
+    }
+    
+    return {
+      status,
+      requestsPerSecond: stats.requestsPerSecond,
+      queued: stats.queued,
+      active: stats.active,
+      bases: stats.bases,
+      message
+    };
+  }
+  
   /**
    * Check Schema Service health
    */
@@ -380,25 +423,37 @@ class HealthService {
       });
     }
     
-    // Airtable recommendations
-    if (components.airtable.status === 'unhealthy') {
+    // Data source recommendations
+    if (components.dataSource.status === 'unhealthy') {
       recommendations.push({
-        component: 'airtable',
+        component: 'dataSource',
         severity: 'critical',
-        message: components.airtable.message,
-        action: 'Check AIRTABLE_API_KEY and network connectivity'
+        message: components.dataSource.message,
+        action: components.dataSource.source === 'local'
+          ? 'Check LOCAL_DATA_FILE and LOCAL_DATA_SEED paths'
+          : 'Check AIRTABLE_API_KEY and network connectivity'
       });
-    } else if (components.airtable.status === 'degraded') {
-      if (components.airtable.responseTime > 2000) {
+    } else if (components.dataSource.status === 'degraded') {
+      if (components.dataSource.responseTime > 2000) {
         recommendations.push({
-          component: 'airtable',
+          component: 'dataSource',
           severity: 'warning',
-          message: `Slow Airtable response (${components.airtable.responseTime}ms)`,
+          message: `Slow Airtable response (${components.dataSource.responseTime}ms)`,
           action: 'Check network connectivity or Airtable status page'
         });
       }
     }
     
+    // Rate limiter recommendations
+    if (components.rateLimiter.status === 'degraded') {
+      recommendations.push({
+        component: 'rateLimiter',
+        severity: 'warning',
+        message: components.rateLimiter.message,
+        action: 'Reduce parallel Airtable calls or raise RECORD_CACHE_TTL'
+      });
+    }
+    
     // Schema Service recommendations
     if (components.schemaService.status === 'degraded') {
       if (components.schemaService.cachedBases === 0) {
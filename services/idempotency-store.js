@@ -0,0 +1,172 @@
+/**
+ * Idempotency Store
+ *
+ * Makes a POST route safe to repeat (double-clicks, client retries) with an
+ * `Idempotency-Key` header. The first request with a key runs normally and its
+ * response is kept, together with a SHA-256 hash of the request body, for the
+ * retention window:
+ *
+ *   - the same key and body again gets the stored response, with
+ *     `Idempotent-Replayed: true`
+ *   - the same key with a different body gets 409
+ *   - the same key while the first request is still running gets 409
+ *
+ * Keys are scoped per user and route. Server errors (5xx) aren't kept, so the
+ * client can retry with the same key. Requests without the header are not
+ * deduplicated.
+ *
+ * Document shape (data/idempotency-keys.json by default):
+ *   { "entries": [{ "id": "<user>:<scope>:<key>", "body_hash": "sha256:...", "state": "complete",
+ *       "status_code": 200, "response": {...}, "record_id": "rec...", "created_at": "...", "expires_at": "..." }] }
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const JsonFileStore = require('../utils/json-file-store');
+const { canonicalJSON } = require('../utils/json-diff');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'idempotency-keys.json');
+const KEY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const MAX_KEY_LENGTH = 255;
+const ABANDONED_AFTER_MS = 5 * 60 * 1000; // an in-progress key this old was cut off by a restart
+
+class IdempotencyStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where keys are stored
+   * @param {number} options.ttl - Retention window in ms (default 24 hours)
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore(options.filePath || DEFAULT_STORE_FILE, { entries: [] });
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.stats = { stored: 0, replayed: 0, conflicts: 0 };
+
+    const data = this.store.read();
+    console.log(`[Idempotency] Initialized (${data.entries.length} keys, ${Math.round(this.ttl / 3600000)}h retention)`);
+  }
+
+  /**
+   * SHA-256 of a request body; key order doesn't matter
+   */
+  static hashBody(body) {
+    return `sha256:${crypto.createHash('sha256').update(canonicalJSON(body === undefined ? null : body)).digest('hex')}`;
+  }
+
+  /**
+   * Express middleware for one route. `scope` names the route in stored keys.
+   */
+  middleware(scope) {
+    return (req, res, next) => {
+      const key = req.get(KEY_HEADER);
+      if (key === undefined) return next();
+
+      if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ success: false, error: `${KEY_HEADER} must be 1-${MAX_KEY_LENGTH} characters` });
+      }
+
+      const id = `${req.user ? req.user.id : 'anonymous'}:${scope}:${key}`;
+      const bodyHash = IdempotencyStore.hashBody(req.body);
+      const result = this.begin(id, bodyHash);
+
+      if (result.conflict) {
+        this.stats.conflicts++;
+        console.warn(`[Idempotency] 409 for ${scope} key ${key}: ${result.conflict}`);
+        return res.status(409).json({ success: false, error: result.conflict });
+      }
+
+      if (result.replay) {
+        this.stats.replayed++;
+        console.log(`[Idempotency] Replaying ${scope} response for key ${key}`);
+        res.set(REPLAYED_HEADER, 'true');
+        return res.status(result.replay.status_code).json(result.replay.response);
+      }
+
+      // Keep what the route sends (unless it's a server error, which may be retried)
+      const json = res.json.bind(res);
+      let settled = false;
+      res.json = (body) => {
+        settled = true;
+        if (res.statusCode < 500) {
+          this.complete(id, res.statusCode, body);
+        } else {
+          this.release(id);
+        }
+        return json(body);
+      };
+      res.on('finish', () => {
+        if (!settled) this.release(id);
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Reserve a key, or say why it can't be used ({ conflict }) or what to replay ({ replay })
+   */
+  begin(id, bodyHash) {
+    return this.store.update(data => {
+      this.prune(data);
+      const now = Date.now();
+      data.entries = data.entries.filter(item => !(item.id === id && item.state === 'in_progress' && now - Date.parse(item.created_at) > ABANDONED_AFTER_MS));
+      const entry = data.entries.find(item => item.id === id);
+
+      if (entry && entry.body_hash !== bodyHash) {
+        return { conflict: `${KEY_HEADER} was already used with a different request body` };
+      }
+      if (entry && entry.state === 'in_progress') {
+        return { conflict: `A request with this ${KEY_HEADER} is still being processed` };
+      }
+      if (entry) {
+        return { replay: entry };
+      }
+
+      data.entries.push({
+        id,
+        body_hash: bodyHash,
+        state: 'in_progress',
+        status_code: null,
+        response: null,
+        record_id: null,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + this.ttl).toISOString()
+      });
+      return {};
+    });
+  }
+
+  complete(id, statusCode, response) {
+    this.store.update(data => {
+      const entry = data.entries.find(item => item.id === id);
+      if (!entry) return;
+      entry.state = 'complete';
+      entry.status_code = statusCode;
+      entry.response = response;
+      entry.record_id = response && response.recordId ? response.recordId : null;
+    });
+    this.stats.stored++;
+  }
+
+  release(id) {
+    this.store.update(data => {
+      data.entries = data.entries.filter(item => item.id !== id);
+    });
+  }
+
+  prune(data) {
+    const now = new Date().toISOString();
+    data.entries = data.entries.filter(item => item.expires_at > now);
+  }
+
+  getStats() {
+    return {
+      file: this.store.filePath,
+      keys: this.store.read().entries.length,
+      retentionHours: this.ttl / 3600000,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,189 @@
+/**
+ * KB XML
+ *
+ * Builds the knowledge base bundles in the UnifiedContext (entity_context.kb_xml,
+ * app_context.kb_xml_bundle, audience_context.kb_xml) from the brand, marketing
+ * and audience KB text kept in Airtable, so lanes always get well-formed XML.
+ *
+ *   <kb xmlns:brand="urn:brand" xmlns:marketing="urn:marketing">
+ *     <brand:section xmlns="urn:brand">
+ *       <voice>Encouraging, practical</voice>
+ *     </brand:section>
+ *     <marketing:section xmlns="urn:marketing">...</marketing:section>
+ *   </kb>
+ *
+ * Merge rules:
+ *   - sections appear in the order given and each is in its own namespace;
+ *     unprefixed elements in a KB belong to that section's namespace, and the
+ *     KB may use any of the bundle's prefixes (brand:, marketing:, ...)
+ *   - a KB field may hold several values (lookups through several linked
+ *     records); they are merged in order
+ *   - identical top-level elements (same name, attributes and content,
+ *     ignoring whitespace) are kept once per section
+ *   - plain text is escaped; text that looks like XML but is not well-formed is
+ *     escaped too (so nothing is lost) and reported in `errors`
+ *   - a bundle with no content is ''
+ */
+
+const { getField } = require('../utils/getField');
+const fieldAliases = require('../utils/field-alias-map.json');
+const { parse, serialize, validateXml, escapeXml } = require('../utils/xml');
+
+const NAMESPACES = {
+  brand: 'urn:brand',
+  marketing: 'urn:marketing',
+  audience: 'urn:audience',
+  research: 'urn:research'
+};
+
+// The bundles in a UnifiedContext and the KB sections each one holds
+const BUNDLES = [
+  { key: 'entity', path: '/entity_context/kb_xml', sections: ['brand', 'marketing'] },
+  { key: 'app', path: '/app_context/kb_xml_bundle', sections: ['brand'] },
+  { key: 'audience', path: '/audience_context/kb_xml', sections: ['audience'] }
+];
+
+/**
+ * Build every bundle from the KB fields (brand_kb, marketing_kb, audience_kb
+ * aliases) of the given records; the first record with a value wins, e.g.
+ * the Initiator's lookups, then the Entity's own fields.
+ *
+ * Returns { entity, app, audience } XML strings and
+ * validation: { valid, errors: [{ bundle, section, fragment, line, column, message }], deduped }.
+ * A KB problem is reported once, under the first bundle that contains it.
+ */
+function buildKbBundles(records) {
+  const result = {};
+  const errors = [];
+  const reported = new Set();
+  const counted = new Set(); // sections whose merged duplicates are already counted
+  let deduped = 0;
+
+  BUNDLES.forEach(bundle => {
+    const built = buildKbBundle(bundle.sections.map(name => ({ name, content: kbField(records, name) })));
+    result[bundle.key] = built.xml;
+    if (bundle.sections.some(name => !counted.has(name))) deduped += built.deduped;
+    bundle.sections.forEach(name => counted.add(name));
+    built.errors.forEach(error => {
+      const key = JSON.stringify([error.section, error.fragment, error.line, error.column, error.message]);
+      if (error.section && reported.has(key)) return;
+      reported.add(key);
+      errors.push({ bundle: bundle.path, ...error });
+    });
+  });
+
+  result.validation = { valid: errors.length === 0, errors, deduped };
+  return result;
+}
+
+function kbField(records, section) {
+  const aliases = fieldAliases[`${section}_kb`] || [];
+  for (const record of records) {
+    const value = record ? getField(record.fields, aliases) : undefined;
+    if (toList(value).length > 0) return value;
+  }
+  return null;
+}
+
+/**
+ * Build one bundle
+ *
+ * @param {Object[]} sections - [{ name: 'brand', content: string | string[] | null }]
+ * @returns {{ xml: string, valid: boolean, errors: Object[], deduped: number }}
+ *   errors: [{ section, fragment, line, column, message }] (fragment is the index of the value within the field)
+ */
+function buildKbBundle(sections) {
+  const errors = [];
+  let deduped = 0;
+  const namespaces = {};
+  sections.forEach(section => {
+    namespaces[section.name] = NAMESPACES[section.name] || `urn:${section.name}`;
+  });
+
+  const rendered = sections.map(section => {
+    const seen = new Set();
+    const nodes = [];
+
+    toList(section.content).forEach((fragment, index) => {
+      // Plain text (no markup) is escaped as it is, even with a bare "&"
+      const { nodes: parsed, errors: fragmentErrors } = fragment.includes('<')
+        ? parse(fragment, { namespaces })
+        : { nodes: [{ type: 'text', value: fragment }], errors: [] };
+      fragmentErrors.forEach(error => errors.push({ section: section.name, fragment: index, ...error }));
+
+      // A malformed KB is sent as escaped text rather than dropped
+      const kept = fragmentErrors.length > 0 ? [{ type: 'text', value: fragment.trim() }] : parsed;
+      kept.forEach(node => {
+        if (node.type === 'text' && !node.value.trim()) return;
+        const key = canonical(node);
+        if (seen.has(key)) {
+          deduped += 1;
+          return;
+        }
+        seen.add(key);
+        nodes.push(node.type === 'text' ? { type: 'text', value: node.value.trim() } : node);
+      });
+    });
+
+    if (nodes.length === 0) return null;
+    return `  <${section.name}:section xmlns="${escapeXml(namespaces[section.name])}">\n${serialize(nodes, { indent: '    ' })}\n  </${section.name}:section>`;
+  }).filter(Boolean);
+
+  if (rendered.length === 0) return { xml: '', valid: errors.length === 0, errors, deduped };
+
+  const declarations = Object.entries(namespaces).map(([prefix, uri]) => ` xmlns:${prefix}="${escapeXml(uri)}"`).join('');
+  const xml = `<kb${declarations}>\n${rendered.join('\n')}\n</kb>`;
+
+  // The builder escapes everything, so this only fails on a bug here
+  validateXml(xml).forEach(error => errors.push({ section: null, fragment: null, ...error }));
+  return { xml, valid: errors.length === 0, errors, deduped };
+}
+
+/**
+ * Check the bundles where they ended up in a UnifiedContext (after the token
+ * budget has cut them). Returns errors in the buildKbBundles shape.
+ */
+function validateContextBundles(context) {
+  const errors = [];
+  BUNDLES.forEach(bundle => {
+    const xml = bundle.path.split('/').slice(1).reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+    if (typeof xml !== 'string' || !xml) return;
+    validateXml(xml).forEach(error => errors.push({ bundle: bundle.path, section: null, fragment: null, ...error }));
+  });
+  return errors;
+}
+
+/**
+ * Whitespace-insensitive form of a node, for spotting duplicates
+ */
+function canonical(node) {
+  if (node.type === 'text') return `#text:${node.value.replace(/\s+/g, ' ').trim()}`;
+  return serialize([trimWhitespace(node)]);
+}
+
+function trimWhitespace(node) {
+  if (node.type === 'text') return { type: 'text', value: node.value.replace(/\s+/g, ' ').trim() };
+  return {
+    ...node,
+    children: node.children.map(trimWhitespace).filter(child => child.type !== 'text' || child.value)
+  };
+}
+
+/**
+ * KB fields hold text, or a list of texts for lookups
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .filter(item => item !== undefined && item !== null)
+    .map(item => String(item))
+    .filter(item => item.trim());
+}
+
+module.exports = {
+  NAMESPACES,
+  BUNDLES,
+  buildKbBundle,
+  buildKbBundles,
+  validateContextBundles
+};
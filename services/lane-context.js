@@ -0,0 +1,183 @@
+/**
+ * Lane Context
+ *
+ * Narrows a UnifiedContext to one workflow lane (e.g. "B2.1") so the Make.com
+ * scenario for that lane gets everything it needs in one call:
+ *
+ *   lane         the lane's prompt (the Prompts record linked from the
+ *                Initiator's `WF - <lane>` field, or the Workflow's `<lane>`
+ *                field) and the lanes it depends on
+ *   prior_steps  the outputs of those lanes, read from the request's Outputs
+ *                record (`Outputs Record ID` on the Initiator), one
+ *                `<lane> Output` field per lane
+ *   rules        workflow / content type rules that apply to this lane, plus
+ *                the prompt's own `Rules (JSON)`
+ *
+ * A lane depends on the earlier active lanes of its branch (A3.1 on A1.1 and
+ * A2.1) unless the Workflow's `Lane Dependencies (JSON)` field says otherwise:
+ *   { "B1.1": ["A5.1"], "C2.1": ["A5.1", "B2.1"] }
+ *
+ * Rules are scoped with an optional `lane`, `lanes` or `branch` key; rules
+ * without one apply to every lane.
+ */
+
+const { getField } = require('../utils/getField');
+const fieldAliases = require('../utils/field-alias-map.json');
+
+const LANE_PATTERN = /^([A-J])([1-5])\.1$/;
+
+/**
+ * Split a lane ID into { id, branch, step } (null if it isn't a lane ID)
+ */
+function parseLane(laneId) {
+  const match = LANE_PATTERN.exec(String(laneId || '').trim().toUpperCase());
+  if (!match) return null;
+  return { id: match[0], branch: match[1], step: Number(match[2]) };
+}
+
+/**
+ * Prompt record IDs linked to a lane (the Initiator's override wins over the Workflow)
+ */
+function lanePromptIds(workflow, initiator, laneId) {
+  const ids = initiator.fields[`WF - ${laneId}`] || (workflow ? workflow.fields[laneId] : undefined);
+  return toList(ids).filter(id => /^rec/.test(id));
+}
+
+/**
+ * Lanes a lane depends on, in plan order
+ */
+function laneDependencies(laneId, workflow, activeLanes) {
+  const configured = workflow ? parseJSON(getField(workflow.fields, fieldAliases.lane_dependencies)) : null;
+  if (configured && Array.isArray(configured[laneId])) {
+    return configured[laneId].map(dependency => String(dependency).toUpperCase());
+  }
+
+  const lane = parseLane(laneId);
+  return activeLanes.filter(other => {
+    const candidate = parseLane(other);
+    return candidate.branch === lane.branch && candidate.step < lane.step;
+  });
+}
+
+/**
+ * Build the lane section, prior steps and lane rules for one lane
+ *
+ * @param {Object} params
+ * @param {string} params.laneId - e.g. "A2.1" (already checked with parseLane)
+ * @param {Object} params.initiator - Initiator record
+ * @param {Object|null} params.workflow - Workflow record
+ * @param {string[]} params.activeLanes - Lanes enabled for the request
+ * @param {Object[]} params.rules - Request-wide rules (see extractRules in context-assembly.js)
+ * @param {Function} params.findRecord - (tableKey, recordId) => Promise<record>
+ * @returns {Promise<{ lane, prior_steps, rules }>}
+ */
+async function buildLaneContext({ laneId, initiator, workflow, activeLanes, rules, findRecord }) {
+  const lane = parseLane(laneId);
+  const dependsOn = laneDependencies(lane.id, workflow, activeLanes);
+
+  const [prompt, outputs] = await Promise.all([
+    fetchLanePrompt(findRecord, lanePromptIds(workflow, initiator, lane.id)),
+    fetchOutputsRecord(findRecord, initiator)
+  ]);
+
+  const laneRules = [
+    ...rules.filter(rule => appliesToLane(rule, lane)),
+    ...(prompt ? prompt.rules : [])
+  ];
+
+  return {
+    lane: {
+      id: lane.id,
+      branch: lane.branch,
+      step: lane.step,
+      depends_on: dependsOn,
+      prompt: prompt ? prompt.summary : null
+    },
+    prior_steps: dependsOn.map(dependency => buildPriorStep(dependency, outputs)),
+    rules: laneRules
+  };
+}
+
+/**
+ * First linked prompt for the lane: { summary, rules }
+ */
+async function fetchLanePrompt(findRecord, promptIds) {
+  if (promptIds.length === 0) return null;
+  try {
+    const record = await findRecord('PROMPTS', promptIds[0]);
+    const value = (key) => getField(record.fields, fieldAliases.prompt[key]);
+    return {
+      summary: {
+        id: record.id,
+        name: String(value('name') || 'Untitled prompt'),
+        type: value('type') || null,
+        text: String(value('text') || '')
+      },
+      rules: parseJSON(value('rules')) || []
+    };
+  } catch (error) {
+    console.warn(`[Lane Context] Could not fetch Prompt ${promptIds[0]}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * The request's Outputs record (null if it has none yet)
+ */
+async function fetchOutputsRecord(findRecord, initiator) {
+  const outputsId = toList(getField(initiator.fields, fieldAliases.outputs_record))[0];
+  if (!outputsId || !/^rec/.test(outputsId)) return null;
+  try {
+    return await findRecord('OUTPUTS', outputsId);
+  } catch (error) {
+    console.warn(`[Lane Context] Could not fetch Outputs record ${outputsId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * One prior_steps entry: the lane's output, or status "missing" if it hasn't produced one
+ */
+function buildPriorStep(laneId, outputs) {
+  const aliases = fieldAliases.lane_output.map(alias => alias.replace('{lane}', laneId));
+  const output = outputs ? getField(outputs.fields, aliases) : undefined;
+  const text = Array.isArray(output) ? output.join('\n') : output;
+
+  return {
+    lane: laneId,
+    status: text ? 'complete' : 'missing',
+    output_id: outputs ? outputs.id : null,
+    output: text ? String(text) : null
+  };
+}
+
+function appliesToLane(rule, lane) {
+  if (!rule || typeof rule !== 'object') return false;
+  if (rule.lane) return String(rule.lane).toUpperCase() === lane.id;
+  if (Array.isArray(rule.lanes)) return rule.lanes.map(id => String(id).toUpperCase()).includes(lane.id);
+  if (rule.branch) return String(rule.branch).toUpperCase() === lane.branch;
+  return true;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function parseJSON(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  LANE_PATTERN,
+  parseLane,
+  lanePromptIds,
+  laneDependencies,
+  buildLaneContext
+};
@@ -0,0 +1,102 @@
+/**
+ * Lane Event Log
+ *
+ * Append-only store for every lane event posted to /api/events/:recordId/lane,
+ * so trackers that connect late (or reconnect) can replay what they missed.
+ *
+ * Each event gets an ID from a single counter that only ever goes up, so an
+ * SSE client's Last-Event-ID is enough to know where to resume - even after
+ * old events are trimmed or the server restarts.
+ *
+ * Events are kept in memory, indexed by record, and appended to a JSONL file
+ * (utils/jsonl-file.js, data/lane-events.jsonl by default), one event per
+ * line. Trimmed events are dropped from the file when it is compacted: on
+ * startup, and whenever it holds twice the events kept.
+ *
+ * Line shape:
+ *   { "id": 42, "recordId": "rec...", "type": "lane_start", ... }
+ */
+
+const path = require('path');
+const JsonlFile = require('../utils/jsonl-file');
+
+const DEFAULT_LOG_FILE = path.join(__dirname, '..', 'data', 'lane-events.jsonl');
+
+class LaneEventLog {
+  constructor(options = {}) {
+    this.file = new JsonlFile(options.filePath || DEFAULT_LOG_FILE, {
+      legacy: document => (Array.isArray(document.events) ? document.events : null)
+    });
+    this.maxEvents = options.maxEvents || 10000; // oldest events are trimmed past this
+    this.events = []; // every kept event, oldest first
+    this.byRecord = new Map(); // recordId -> its events, oldest first
+    this.lastId = 0;
+
+    this.file.readAll().forEach(event => this.add(event));
+    this.trim();
+    if (this.file.lines > this.events.length) this.file.rewrite(this.events); // drop trimmed events
+
+    console.log(`[Lane Event Log] Initialized (${this.events.length} events, last ID ${this.lastId})`);
+  }
+
+  /**
+   * Persist an event for a record and return it with its ID
+   */
+  append(recordId, event) {
+    // The log's own fields win over anything in the event
+    const stored = { ...event, id: this.lastId + 1, recordId };
+    this.add(stored);
+    this.file.append(stored);
+    this.trim();
+    this.compactIfStale();
+    return stored;
+  }
+
+  /**
+   * Events for a record with an ID greater than `afterId` (all of them by default), oldest first
+   */
+  since(recordId, afterId = 0) {
+    const events = this.byRecord.get(recordId) || [];
+    return afterId > 0 ? events.filter(event => event.id > afterId) : [...events];
+  }
+
+  /**
+   * Every stored event for a record, oldest first
+   */
+  forRecord(recordId) {
+    return this.since(recordId, 0);
+  }
+
+  add(event) {
+    this.events.push(event);
+    if (!this.byRecord.has(event.recordId)) this.byRecord.set(event.recordId, []);
+    this.byRecord.get(event.recordId).push(event);
+    this.lastId = Math.max(this.lastId, event.id);
+  }
+
+  trim() {
+    while (this.events.length > this.maxEvents) {
+      const oldest = this.events.shift();
+      const events = this.byRecord.get(oldest.recordId);
+      events.shift(); // a record's oldest event is the oldest overall among its own
+      if (events.length === 0) this.byRecord.delete(oldest.recordId);
+    }
+  }
+
+  compactIfStale() {
+    if (this.file.lines > this.events.length * 2) {
+      this.file.rewrite(this.events);
+    }
+  }
+
+  getStats() {
+    return {
+      file: this.file.filePath,
+      events: this.events.length,
+      lastId: this.lastId,
+      maxEvents: this.maxEvents
+    };
+  }
+}
+
+module.exports = LaneEventLog;
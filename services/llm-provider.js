@@ -0,0 +1,70 @@
+/**
+ * LLM Provider Factory
+ *
+ * The local workflow runner (services/workflow-runner.js) calls models through
+ * a provider adapter chosen from the context's `routing.provider`
+ * (the Workflow's `AI Platform`). Implementations:
+ *
+ * - openai:    OpenAI Chat Completions (needs OPENAI_API_KEY)
+ * - anthropic: Anthropic Messages (needs ANTHROPIC_API_KEY)
+ * - mock:      deterministic offline replies, for development and demos
+ *
+ * Interface:
+ *   kind
+ *   complete({ model, system, prompt, maxTokens, lane })
+ *     -> Promise<{ text, model, usage: { input_tokens, output_tokens } }>
+ *
+ * WORKFLOW_LLM_PROVIDER=mock sends every workflow to one provider regardless
+ * of its AI Platform (see .env.example).
+ */
+
+const MockLLMProvider = require('./mock-llm-provider');
+const OpenAIProvider = require('./openai-llm-provider');
+const AnthropicProvider = require('./anthropic-llm-provider');
+
+const LLM_PROVIDERS = ['openai', 'anthropic', 'mock'];
+
+// AI Platform values that name the same provider
+const PROVIDER_ALIASES = {
+  'open ai': 'openai',
+  chatgpt: 'openai',
+  gpt: 'openai',
+  claude: 'anthropic'
+};
+
+/**
+ * Provider name for a routing section ({ provider, model }); `override` wins
+ */
+function resolveProviderKind(routing = {}, override = null) {
+  const name = String(override || routing.provider || 'openai').trim().toLowerCase();
+  return PROVIDER_ALIASES[name] || name;
+}
+
+/**
+ * Create a provider adapter
+ *
+ * @param {Object} options
+ * @param {string} options.kind - One of LLM_PROVIDERS
+ * @param {Object} options.apiKeys - { openai, anthropic }
+ * @param {number} options.timeout - Request timeout (ms) for the HTTP providers
+ */
+function createLLMProvider(options = {}) {
+  const apiKeys = options.apiKeys || {};
+
+  switch (options.kind) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey: apiKeys.openai, timeout: options.timeout });
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: apiKeys.anthropic, timeout: options.timeout });
+    case 'mock':
+      return new MockLLMProvider({ delayMs: options.mockDelayMs });
+    default:
+      throw new Error(`Unknown LLM provider "${options.kind}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  resolveProviderKind,
+  createLLMProvider
+};
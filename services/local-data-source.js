@@ -0,0 +1,280 @@
+/**
+ * Local Data Source
+ *
+ * Offline data source backed by a JSON file, so the dashboard, tracker,
+ * content hub and context assembly can run without touching production bases.
+ *
+ * File layout:
+ *   {
+ *     "schemas": { "<baseId>": { "tables": [ Meta API table objects ] } },
+ *     "bases":   { "<baseId>": { "<tableId>": [ { id, createdTime, fields } ] } }
+ *   }
+ *
+ * The store starts from the seed file (data/seed.json by default) and writes
+ * go to LOCAL_DATA_FILE, leaving the seed untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonFileStore = require('../utils/json-file-store');
+const { matchesFormula } = require('../utils/formula-evaluator');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'local-store.json');
+const DEFAULT_SEED_FILE = path.join(__dirname, '..', 'data', 'seed.json');
+
+class LocalDataSource {
+  constructor(options = {}) {
+    this.kind = 'local';
+    this.filePath = options.filePath || DEFAULT_DATA_FILE;
+    this.seedPath = options.seedPath || DEFAULT_SEED_FILE;
+    this.store = new JsonFileStore(this.filePath, () => this.loadSeed());
+
+    console.log(`[Local Data Source] Initialized (${this.filePath})`);
+  }
+
+  /**
+   * Load the seed dataset used when the store file doesn't exist yet
+   */
+  loadSeed() {
+    if (!fs.existsSync(this.seedPath)) {
+      console.warn(`[Local Data Source] Seed file not found: ${this.seedPath} (starting empty)`);
+      return { schemas: {}, bases: {} };
+    }
+
+    const seed = JSON.parse(fs.readFileSync(this.seedPath, 'utf8'));
+    return { schemas: seed.schemas || {}, bases: seed.bases || {} };
+  }
+
+  /**
+   * Get the record array for a table (optionally creating it)
+   */
+  getTable(baseId, tableId, create = false) {
+    const data = this.store.read();
+    if (!data.bases[baseId]) {
+      if (!create) return [];
+      data.bases[baseId] = {};
+    }
+    if (!data.bases[baseId][tableId]) {
+      if (!create) return [];
+      data.bases[baseId][tableId] = [];
+    }
+    return data.bases[baseId][tableId];
+  }
+
+  /**
+   * List records matching the select options (filterByFormula, sort, maxRecords, fields)
+   */
+  async listRecords(baseId, tableId, options = {}) {
+    let records = this.getTable(baseId, tableId)
+      .filter(record => matchesFormula(options.filterByFormula, record));
+
+    if (options.sort && options.sort.length > 0) {
+      records = [...records].sort((a, b) => {
+        for (const { field, direction } of options.sort) {
+          const result = compareValues(a.fields[field], b.fields[field]);
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    if (options.maxRecords) {
+      records = records.slice(0, options.maxRecords);
+    }
+
+    return records.map(record => projectFields(record, options.fields));
+  }
+
+  /**
+   * Fetch a single page of records. Returns { records, offset }; the offset
+   * is the index of the next record, as a string like Airtable's opaque offsets.
+   */
+  async listPage(baseId, tableId, options = {}) {
+    const { offset, pageSize, maxRecords, ...select } = options;
+    const start = offset ? Number(offset) : 0;
+
+    if (!Number.isInteger(start) || start < 0) {
+      const error = new Error(`Invalid offset: ${offset}`);
+      error.error = 'INVALID_OFFSET_VALUE';
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const records = await this.listRecords(baseId, tableId, { ...select, maxRecords });
+    const end = start + Math.min(pageSize || 100, 100);
+
+    return {
+      records: records.slice(start, end),
+      offset: end < records.length ? String(end) : null
+    };
+  }
+
+  /**
+   * Fetch a single record by ID (throws a 404-style error like Airtable)
+   */
+  async findRecord(baseId, tableId, recordId) {
+    const record = this.getTable(baseId, tableId).find(r => r.id === recordId);
+    if (!record) {
+      throw notFoundError(recordId);
+    }
+    return clone(record);
+  }
+
+  /**
+   * Create records ([{ fields }])
+   */
+  async createRecords(baseId, tableId, records) {
+    const timestampFields = this.getTimestampFields(baseId, tableId);
+
+    return this.store.update(() => {
+      const table = this.getTable(baseId, tableId, true);
+      const now = new Date().toISOString();
+
+      return records.map(({ fields }) => {
+        const record = {
+          id: generateRecordId(),
+          createdTime: now,
+          fields: { ...fields }
+        };
+        timestampFields.forEach(name => { record.fields[name] = now; });
+        table.push(record);
+        return clone(record);
+      });
+    });
+  }
+
+  /**
+   * Update records ([{ id, fields }]) - only the given fields change
+   */
+  async updateRecords(baseId, tableId, records) {
+    const timestampFields = this.getTimestampFields(baseId, tableId, ['lastModifiedTime']);
+
+    return this.store.update(() => {
+      const table = this.getTable(baseId, tableId);
+      const now = new Date().toISOString();
+
+      return records.map(({ id, fields }) => {
+        const record = table.find(r => r.id === id);
+        if (!record) throw notFoundError(id);
+
+        Object.assign(record.fields, fields);
+        timestampFields.forEach(name => { record.fields[name] = now; });
+        return clone(record);
+      });
+    });
+  }
+
+  /**
+   * Return the base schema in Meta API shape.
+   * Uses the schema stored in the file, or infers one from the records.
+   */
+  async fetchBaseSchema(baseId) {
+    const data = this.store.read();
+    if (data.schemas[baseId]) {
+      return clone(data.schemas[baseId]);
+    }
+
+    const tables = Object.entries(data.bases[baseId] || {}).map(([tableId, records]) => {
+      return inferTableSchema(tableId, records);
+    });
+
+    return { tables };
+  }
+
+  /**
+   * Names of schema fields Airtable would fill in automatically
+   */
+  getTimestampFields(baseId, tableId, types = ['createdTime', 'lastModifiedTime']) {
+    const data = this.store.read();
+    const schema = data.schemas[baseId];
+    const table = schema && schema.tables.find(t => t.id === tableId);
+    if (!table) return [];
+
+    return table.fields.filter(f => types.includes(f.type)).map(f => f.name);
+  }
+}
+
+/**
+ * Guess a Meta API table schema from existing records
+ */
+function inferTableSchema(tableId, records) {
+  const fields = new Map();
+
+  records.forEach(record => {
+    Object.entries(record.fields).forEach(([name, value]) => {
+      if (!fields.has(name) && value !== null && value !== undefined) {
+        fields.set(name, inferFieldType(value));
+      }
+    });
+  });
+
+  const fieldList = [...fields.entries()].map(([name, type], index) => ({
+    id: `fld${tableId.slice(3, 10)}${String(index).padStart(7, '0')}`,
+    name,
+    type
+  }));
+
+  return {
+    id: tableId,
+    name: tableId,
+    primaryFieldId: fieldList.length > 0 ? fieldList[0].id : null,
+    fields: fieldList
+  };
+}
+
+function inferFieldType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'checkbox';
+  if (Array.isArray(value)) {
+    return value.every(v => typeof v === 'string' && /^rec[A-Za-z0-9]{14}$/.test(v))
+      ? 'multipleRecordLinks'
+      : 'multipleSelects';
+  }
+  if (typeof value === 'string') {
+    return value.includes('\n') ? 'multilineText' : 'singleLineText';
+  }
+  return 'singleLineText';
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function projectFields(record, fieldNames) {
+  const copy = clone(record);
+  if (fieldNames && fieldNames.length > 0) {
+    copy.fields = {};
+    fieldNames.forEach(name => {
+      if (record.fields[name] !== undefined) copy.fields[name] = clone(record.fields[name]);
+    });
+  }
+  return copy;
+}
+
+function generateRecordId() {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(14);
+  let id = 'rec';
+  for (const byte of bytes) {
+    id += alphabet[byte % alphabet.length];
+  }
+  return id;
+}
+
+function notFoundError(recordId) {
+  const error = new Error(`Could not find record ${recordId}`);
+  error.error = 'NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = LocalDataSource;
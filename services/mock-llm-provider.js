@@ -0,0 +1,65 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic stand-in for a model, so the local workflow runner works
+ * fully offline. The same model, system text and prompt always give the
+ * same reply: the lane, the first line of the prompt and a digest of
+ * everything it was sent.
+ *
+ * A prompt containing `[[mock:error]]` fails, for trying out lane_error
+ * handling.
+ */
+
+const crypto = require('crypto');
+
+const ERROR_MARKER = '[[mock:error]]';
+
+class MockLLMProvider {
+  constructor(options = {}) {
+    this.kind = 'mock';
+    this.delayMs = options.delayMs || 0;
+
+    console.log('[Mock LLM Provider] Initialized');
+  }
+
+  /**
+   * Reply to one prompt
+   */
+  async complete({ model, system = '', prompt = '', lane = null }) {
+    if (this.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    }
+
+    if (prompt.includes(ERROR_MARKER)) {
+      throw new Error(`Mock provider error requested by ${ERROR_MARKER}`);
+    }
+
+    const digest = crypto.createHash('sha256')
+      .update(`${model}\n${system}\n${prompt}`)
+      .digest('hex')
+      .slice(0, 12);
+    const firstLine = prompt.trim().split('\n')[0].slice(0, 160);
+
+    const text = [
+      `[mock ${model}] ${lane ? `Lane ${lane}` : 'Reply'} ${digest}`,
+      firstLine ? `Prompt: ${firstLine}` : 'Prompt: (empty)',
+      `Context: ${system.length} characters`
+    ].join('\n');
+
+    return {
+      text,
+      model,
+      usage: {
+        input_tokens: estimateTokens(system) + estimateTokens(prompt),
+        output_tokens: estimateTokens(text)
+      }
+    };
+  }
+}
+
+// Rough count (about four characters per token); the mock doesn't need a tokenizer
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+module.exports = MockLLMProvider;
@@ -0,0 +1,69 @@
+/**
+ * OpenAI LLM Provider
+ *
+ * Runs a lane prompt through the Chat Completions API: the lane's context as
+ * the system message and the rendered prompt as the user message.
+ */
+
+const axios = require('axios');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.kind = 'openai';
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || 'https://api.openai.com/v1';
+    this.timeout = options.timeout || 120000;
+
+    console.log('[OpenAI Provider] Initialized');
+  }
+
+  /**
+   * Reply to one prompt
+   */
+  async complete({ model, system = '', prompt = '', maxTokens }) {
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY is not set (or set WORKFLOW_LLM_PROVIDER=mock to run offline)');
+    }
+
+    try {
+      const response = await axios.post(`${this.apiUrl}/chat/completions`, {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        ...(maxTokens ? { max_tokens: maxTokens } : {})
+      }, {
+        timeout: this.timeout,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const { choices = [], usage = {} } = response.data;
+      return {
+        text: choices[0] && choices[0].message ? choices[0].message.content || '' : '',
+        model: response.data.model || model,
+        usage: {
+          input_tokens: usage.prompt_tokens || 0,
+          output_tokens: usage.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+}
+
+// Surface the API's own error message rather than axios' generic one
+function toProviderError(error) {
+  if (!error.response) return error;
+  const data = error.response.data || {};
+  const message = (data.error && data.error.message) || error.message;
+  const providerError = new Error(`OpenAI API error (${error.response.status}): ${message}`);
+  providerError.status = error.response.status;
+  return providerError;
+}
+
+module.exports = OpenAIProvider;
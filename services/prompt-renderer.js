@@ -0,0 +1,65 @@
+/**
+ * Prompt Renderer
+ *
+ * Renders a Prompts record's `Prompt Text` (utils/prompt-template.js syntax)
+ * against the UnifiedContext assembled for a request, so a prompt can be
+ * checked before Make.com runs it.
+ *
+ * Templates see every top-level context section by name (`user_input.goal`,
+ * `research.reports`, `references`, `lane.id`, ...) plus these shorthands:
+ *
+ *   entity    entity_context     ({{entity.name}})
+ *   app       app_context
+ *   audience  audience_context
+ *   request   { id, workflow_id, content_type_id } from the context's meta
+ */
+
+const { getField } = require('../utils/getField');
+const fieldAliases = require('../utils/field-alias-map.json');
+const template = require('../utils/prompt-template');
+
+/**
+ * The data a template is rendered against
+ */
+function templateScope(context) {
+  const meta = context.meta || {};
+  return {
+    ...context,
+    entity: context.entity_context || null,
+    app: context.app_context || null,
+    audience: context.audience_context || null,
+    request: {
+      id: meta.initiator_id || null,
+      workflow_id: meta.workflow_id || null,
+      content_type_id: meta.content_type_id || null
+    }
+  };
+}
+
+/**
+ * Render a prompt record against a UnifiedContext
+ *
+ * @returns {{ prompt: { id, name }, text: string|null, diagnostics: { errors, missing, variables } }}
+ */
+function renderPrompt(prompt, context) {
+  const text = getField(prompt.fields, fieldAliases.prompt.text) || '';
+  const result = template.render(text, templateScope(context));
+
+  return {
+    prompt: {
+      id: prompt.id,
+      name: getField(prompt.fields, fieldAliases.prompt.name) || prompt.id
+    },
+    text: result.text,
+    diagnostics: {
+      errors: result.errors,
+      missing: result.missing,
+      variables: result.variables
+    }
+  };
+}
+
+module.exports = {
+  templateScope,
+  renderPrompt
+};
@@ -0,0 +1,181 @@
+/**
+ * Record Cache
+ *
+ * Shared server-side cache for table listings, sitting between the routes
+ * and the data source so dashboard loads don't re-download whole tables.
+ *
+ * Features:
+ * - Per-table TTLs (fresh window)
+ * - Stale-while-revalidate: stale entries are served immediately while a
+ *   single background refresh runs
+ * - Request coalescing: concurrent misses share one data source call
+ * - Explicit invalidation per base/table (used after writes)
+ */
+
+class RecordCache {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.defaultTTL = config.defaultTTL || 60000; // 1 minute default
+    this.staleTTL = config.staleTTL !== undefined ? config.staleTTL : 300000; // serve stale for 5 more minutes
+    this.tableTTLs = config.tableTTLs || {}; // tableId -> ms
+
+    this.entries = new Map(); // key -> { value, fetchedAt, baseId, tableId }
+    this.inflight = new Map(); // key -> { promise, baseId, tableId, cancelled }
+
+    this.stats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      revalidations: 0,
+      invalidations: 0,
+      errors: 0
+    };
+
+    console.log('[Record Cache] Initialized');
+  }
+
+  /**
+   * Get records for a table listing, loading them through `loader` when needed
+   */
+  async get(baseId, tableId, options, loader) {
+    if (!this.enabled) {
+      return loader();
+    }
+
+    const key = this.buildKey(baseId, tableId, options);
+    const entry = this.entries.get(key);
+    const ttl = this.getTTL(tableId);
+
+    if (entry) {
+      const age = Date.now() - entry.fetchedAt;
+
+      if (age < ttl) {
+        this.stats.hits++;
+        return entry.value;
+      }
+
+      if (age < ttl + this.staleTTL) {
+        this.stats.staleHits++;
+        this.revalidate(key, baseId, tableId, loader);
+        return entry.value;
+      }
+    }
+
+    this.stats.misses++;
+    return this.load(key, baseId, tableId, loader);
+  }
+
+  /**
+   * Refresh an entry in the background (errors keep the stale value)
+   */
+  revalidate(key, baseId, tableId, loader) {
+    if (this.inflight.has(key)) return;
+
+    this.stats.revalidations++;
+    this.load(key, baseId, tableId, loader).catch(error => {
+      console.warn(`[Record Cache] Revalidation failed for ${baseId}/${tableId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Load through the loader, sharing one call between concurrent callers
+   */
+  load(key, baseId, tableId, loader) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key).promise;
+    }
+
+    const request = { baseId, tableId, cancelled: false };
+
+    request.promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        // Don't store results that started before an invalidation
+        if (!request.cancelled) {
+          this.entries.set(key, { value, fetchedAt: Date.now(), baseId, tableId });
+        }
+        return value;
+      })
+      .catch(error => {
+        this.stats.errors++;
+        throw error;
+      })
+      .finally(() => {
+        if (this.inflight.get(key) === request) {
+          this.inflight.delete(key);
+        }
+      });
+
+    this.inflight.set(key, request);
+    return request.promise;
+  }
+
+  /**
+   * Invalidate cached listings for a table, a whole base, or everything
+   */
+  invalidate(baseId = null, tableId = null) {
+    const matches = (item) => (!baseId || item.baseId === baseId) && (!tableId || item.tableId === tableId);
+    let removed = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (matches(entry)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+
+    // In-flight loads may have read the old data - let them finish but don't cache them
+    this.inflight.forEach((request, key) => {
+      if (matches(request)) {
+        request.cancelled = true;
+        this.inflight.delete(key);
+      }
+    });
+
+    this.stats.invalidations++;
+    const scope = tableId ? `${baseId}/${tableId}` : baseId || 'all tables';
+    console.log(`[Record Cache] Invalidated ${scope} (${removed} entries)`);
+
+    return removed;
+  }
+
+  /**
+   * TTL for a table (falls back to the default TTL)
+   */
+  getTTL(tableId) {
+    return this.tableTTLs[tableId] !== undefined ? this.tableTTLs[tableId] : this.defaultTTL;
+  }
+
+  /**
+   * Cache key: table plus the select options that shape the listing
+   */
+  buildKey(baseId, tableId, options = {}) {
+    return `${baseId}:${tableId}|${JSON.stringify(options || {})}`;
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const now = Date.now();
+
+    return {
+      enabled: this.enabled,
+      defaultTTL: this.defaultTTL,
+      staleTTL: this.staleTTL,
+      entries: this.entries.size,
+      inflight: this.inflight.size,
+      ...this.stats,
+      tables: [...this.entries.values()].map(entry => ({
+        baseId: entry.baseId,
+        tableId: entry.tableId,
+        records: Array.isArray(entry.value) ? entry.value.length : null,
+        age: now - entry.fetchedAt,
+        ttl: this.getTTL(entry.tableId),
+        stale: now - entry.fetchedAt >= this.getTTL(entry.tableId)
+      }))
+    };
+  }
+}
+
+module.exports = RecordCache;
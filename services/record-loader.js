@@ -0,0 +1,125 @@
+/**
+ * Record Loader
+ *
+ * Request-scoped, dataloader-style record fetching for context assembly.
+ * Lookups made in the same tick are collected per table and fetched with one
+ * `filterByFormula: OR(RECORD_ID() = "rec...", ...)` query per table (tables
+ * are queried in parallel). Each ID is fetched at most once per loader, so
+ * create one loader per assembled context and let it go afterwards.
+ *
+ *   const loader = new RecordLoader({ dataSource, tables });
+ *   const [workflow, entity] = await Promise.all([
+ *     loader.load('WORKFLOWS', workflowId),
+ *     loader.load('ENTITIES', entityId)
+ *   ]);
+ *   const tools = await loader.loadMany('TOOLS', toolIds); // one query
+ */
+
+const f = require('../utils/formula-builder');
+
+class RecordLoader {
+  constructor(options = {}) {
+    this.dataSource = options.dataSource;
+    this.tables = options.tables;
+    this.maxBatchSize = options.maxBatchSize || 50; // keeps the formula well inside Airtable's URL limit
+
+    this.cache = new Map(); // "TABLE:recId" -> Promise<record | null>
+    this.queue = new Map(); // table key -> [{ id, resolve, reject }]
+    this.scheduled = false;
+    this.stats = { requested: 0, deduped: 0, loaded: 0, missing: 0, queries: [] };
+  }
+
+  /**
+   * One record by ID. Rejects with a 404-style error if it doesn't exist.
+   */
+  async load(tableKey, recordId) {
+    const record = await this.enqueue(tableKey, recordId);
+    if (!record) {
+      const error = new Error(`Could not find record ${recordId}`);
+      error.error = 'NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+    return record;
+  }
+
+  /**
+   * Several records by ID, in the same order (null for IDs that don't exist)
+   */
+  loadMany(tableKey, recordIds) {
+    return Promise.all(recordIds.map(recordId => this.enqueue(tableKey, recordId)));
+  }
+
+  enqueue(tableKey, recordId) {
+    this.stats.requested += 1;
+    const cacheKey = `${tableKey}:${recordId}`;
+    if (this.cache.has(cacheKey)) {
+      this.stats.deduped += 1;
+      return this.cache.get(cacheKey);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      if (!this.queue.has(tableKey)) this.queue.set(tableKey, []);
+      this.queue.get(tableKey).push({ id: recordId, resolve, reject });
+    });
+    this.cache.set(cacheKey, promise);
+    this.schedule();
+    return promise;
+  }
+
+  /**
+   * Dispatch after the current tick's promise callbacks, so lookups made by
+   * code awaiting each other in the same tick still land in one batch
+   */
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    Promise.resolve().then(() => process.nextTick(() => {
+      this.scheduled = false;
+      const queued = [...this.queue.entries()];
+      this.queue.clear();
+
+      queued.forEach(([tableKey, entries]) => {
+        for (let start = 0; start < entries.length; start += this.maxBatchSize) {
+          this.fetchBatch(tableKey, entries.slice(start, start + this.maxBatchSize));
+        }
+      });
+    }));
+  }
+
+  async fetchBatch(tableKey, entries) {
+    const started = Date.now();
+    const ids = entries.map(entry => entry.id);
+
+    try {
+      const records = await this.dataSource.listRecords(this.tables.baseIdFor(tableKey), this.tables.tableId(tableKey), {
+        filterByFormula: f.recordIdIn(ids)
+      });
+      const byId = new Map(records.map(record => [record.id, record]));
+
+      entries.forEach(entry => entry.resolve(byId.get(entry.id) || null));
+      this.stats.loaded += byId.size;
+      this.stats.missing += ids.filter(id => !byId.has(id)).length;
+      this.stats.queries.push({ table: tableKey, ids: ids.length, records: byId.size, ms: Date.now() - started });
+    } catch (error) {
+      entries.forEach(entry => entry.reject(error));
+      this.stats.queries.push({ table: tableKey, ids: ids.length, records: 0, ms: Date.now() - started, error: error.message });
+    }
+  }
+
+  /**
+   * Lookups requested, served from this loader's cache, and the queries made
+   */
+  getStats() {
+    return {
+      requested: this.stats.requested,
+      deduped: this.stats.deduped,
+      loaded: this.stats.loaded,
+      missing: this.stats.missing,
+      query_count: this.stats.queries.length,
+      queries: this.stats.queries
+    };
+  }
+}
+
+module.exports = RecordLoader;
@@ -0,0 +1,285 @@
+/**
+ * Record Query Service
+ *
+ * Compiles the JSON query DSL used by /api/records/:tableKey into Airtable
+ * listing options. Every field name is checked against the table's live schema
+ * and every value goes through utils/formula-builder.js, so a query can only
+ * ever produce a well-formed filterByFormula.
+ *
+ * Query shape (JSON body for POST .../query, or query params for GET):
+ *   {
+ *     "where": {
+ *       "and": [
+ *         { "field": "Status", "in": ["Published", "New AI Draft"] },
+ *         { "field": "Title", "contains": "nclex" },
+ *         { "field": "Created Date", "range": { "gte": "2025-01-01", "lt": "2025-02-01" } },
+ *         { "or": [ { "field": "Brand", "equals": "NurseBoss" }, { "field": "Featured", "equals": true } ] }
+ *       ]
+ *     },
+ *     "fields": ["Title", "Status"],                      // projection
+ *     "sort": [{ "field": "Created Date", "direction": "desc" }],
+ *     "pageSize": 50,                                     // 1-100
+ *     "cursor": "..."                                     // nextCursor from the previous page
+ *   }
+ *
+ * GET equivalents: ?where=<JSON>&fields=Title,Status&sort=Created Date:desc&pageSize=50&cursor=...
+ */
+
+const f = require('../utils/formula-builder');
+const cursors = require('../utils/cursor');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100; // Airtable's page size limit
+
+// Keep compiled formulas well under Airtable's limits
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_IN_VALUES = 50;
+
+const CONDITION_OPERATORS = ['equals', 'contains', 'in', 'range'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const MULTI_VALUE_TYPES = ['multipleSelects', 'multipleRecordLinks', 'multipleLookupValues', 'multipleCollaborators'];
+const DATE_TYPES = ['date', 'dateTime', 'createdTime', 'lastModifiedTime'];
+const NUMBER_TYPES = ['number', 'currency', 'percent', 'rating', 'duration', 'autoNumber', 'count'];
+
+/**
+ * Error for an invalid query (routes answer 400)
+ */
+function queryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Normalize GET query params into the DSL shape
+ */
+function fromQueryString(query = {}) {
+  let where = null;
+  if (query.where) {
+    try {
+      where = JSON.parse(query.where);
+    } catch (error) {
+      throw queryError(`"where" is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const list = (value) => [].concat(value || []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+
+  return {
+    where,
+    fields: query.fields ? list(query.fields) : null,
+    sort: [].concat(query.sort || []).map(spec => {
+      const match = String(spec).match(/^(.*?)(?::(asc|desc))?$/i);
+      return { field: match[1].trim(), direction: (match[2] || 'asc').toLowerCase() };
+    }),
+    pageSize: query.pageSize,
+    cursor: query.cursor || null
+  };
+}
+
+/**
+ * Compile a DSL query into listing options for a table.
+ * `schemaFields` are the table's Meta API field objects ({ name, type }).
+ */
+function compileQuery(query = {}, schemaFields = []) {
+  const fieldsByName = new Map(schemaFields.map(field => [field.name, field]));
+  const resolveField = (name) => {
+    if (typeof name !== 'string' || !fieldsByName.has(name)) {
+      throw queryError(`Unknown field: ${JSON.stringify(name)}`);
+    }
+    return fieldsByName.get(name);
+  };
+
+  const options = { pageSize: parsePageSize(query.pageSize) };
+
+  if (query.where) {
+    const counter = { conditions: 0 };
+    const formula = compileNode(query.where, resolveField, 1, counter);
+    if (formula) options.filterByFormula = formula;
+  }
+
+  if (query.fields) {
+    if (!Array.isArray(query.fields)) throw queryError('"fields" must be an array of field names');
+    options.fields = query.fields.map(name => resolveField(name).name);
+  }
+
+  if (query.sort && !Array.isArray(query.sort)) {
+    throw queryError('"sort" must be an array of { field, direction }');
+  }
+  if (query.sort && query.sort.length > 0) {
+    options.sort = query.sort.map(spec => {
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw queryError('Each sort entry must be an object of { field, direction }');
+      }
+      if (spec.direction !== undefined && typeof spec.direction !== 'string') {
+        throw queryError(`Invalid sort direction ${JSON.stringify(spec.direction)} (expected asc or desc)`);
+      }
+      const direction = (spec.direction || 'asc').toLowerCase();
+      if (!['asc', 'desc'].includes(direction)) {
+        throw queryError(`Invalid sort direction "${spec.direction}" (expected asc or desc)`);
+      }
+      return { field: resolveField(spec.field).name, direction };
+    });
+  }
+
+  return options;
+}
+
+/**
+ * Compile one node of the where tree
+ */
+function compileNode(node, resolveField, depth, counter) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw queryError('Each condition must be an object');
+  }
+  if (depth > MAX_DEPTH) {
+    throw queryError(`Query is nested too deeply (max ${MAX_DEPTH} levels)`);
+  }
+
+  if (node.and || node.or) {
+    const key = node.and ? 'and' : 'or';
+    const children = node[key];
+    if (!Array.isArray(children) || children.length === 0) {
+      throw queryError(`"${key}" must be a non-empty array of conditions`);
+    }
+    const compiled = children.map(child => compileNode(child, resolveField, depth + 1, counter));
+    return key === 'and' ? f.and(compiled) : f.or(compiled);
+  }
+
+  counter.conditions++;
+  if (counter.conditions > MAX_CONDITIONS) {
+    throw queryError(`Too many conditions (max ${MAX_CONDITIONS})`);
+  }
+
+  const operators = CONDITION_OPERATORS.filter(op => node[op] !== undefined);
+  if (operators.length !== 1) {
+    throw queryError(`Each condition needs "field" and exactly one of: ${CONDITION_OPERATORS.join(', ')}`);
+  }
+
+  const field = resolveField(node.field);
+  const operator = operators[0];
+  const value = node[operator];
+
+  switch (operator) {
+    case 'equals':
+      return compileEquals(field, value);
+
+    case 'contains':
+      if (typeof value !== 'string' || !value) throw queryError(`"contains" on "${field.name}" needs a non-empty string`);
+      return f.contains(field.name, value);
+
+    case 'in': {
+      if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES) {
+        throw queryError(`"in" on "${field.name}" needs an array of 1-${MAX_IN_VALUES} values`);
+      }
+      value.forEach(item => checkScalar(field, item));
+      if (MULTI_VALUE_TYPES.includes(field.type)) {
+        return f.hasAny(field.name, value.map(String));
+      }
+      return f.or(value.map(item => compileEquals(field, item)));
+    }
+
+    case 'range':
+      return compileRange(field, value);
+  }
+}
+
+/**
+ * Exact match, adapted to the field type
+ */
+function compileEquals(field, value) {
+  checkScalar(field, value);
+
+  if (typeof value === 'boolean') {
+    return value ? f.isTrue(field.name) : f.isFalse(field.name);
+  }
+  if (MULTI_VALUE_TYPES.includes(field.type)) {
+    return f.hasAny(field.name, [String(value)]);
+  }
+  if (typeof value === 'number' || NUMBER_TYPES.includes(field.type)) {
+    if (typeof value === 'string' && !Number.isFinite(Number(value))) {
+      throw queryError(`"${field.name}" is numeric - "${value}" is not a number`);
+    }
+    return f.equals(field.name, Number(value));
+  }
+  return f.equals(field.name, value);
+}
+
+/**
+ * Range comparison ({ gt, gte, lt, lte }) on a number or date field
+ */
+function compileRange(field, range) {
+  if (!range || typeof range !== 'object' || Array.isArray(range)) {
+    throw queryError(`"range" on "${field.name}" must be an object with gt, gte, lt and/or lte`);
+  }
+
+  const bounds = Object.keys(range);
+  const unknown = bounds.filter(op => !RANGE_OPERATORS.includes(op));
+  if (bounds.length === 0 || unknown.length > 0) {
+    throw queryError(`"range" on "${field.name}" accepts only: ${RANGE_OPERATORS.join(', ')}`);
+  }
+
+  const isDate = DATE_TYPES.includes(field.type) ||
+    (!NUMBER_TYPES.includes(field.type) && bounds.every(op => typeof range[op] === 'string'));
+
+  return f.and(bounds.map(op => {
+    const bound = range[op];
+
+    if (isDate) {
+      const date = new Date(bound);
+      if (typeof bound !== 'string' || isNaN(date.getTime())) {
+        throw queryError(`"range.${op}" on "${field.name}" must be an ISO date`);
+      }
+      return f.compareDate(field.name, op, date);
+    }
+
+    if (typeof bound !== 'number' || !Number.isFinite(bound)) {
+      throw queryError(`"range.${op}" on "${field.name}" must be a number`);
+    }
+    return f.compareNumber(field.name, op, bound);
+  }));
+}
+
+/**
+ * Condition values must be plain strings, numbers or booleans
+ */
+function checkScalar(field, value) {
+  const ok = typeof value === 'string' ||
+    typeof value === 'boolean' ||
+    (typeof value === 'number' && Number.isFinite(value));
+  if (!ok) {
+    throw queryError(`Invalid value for "${field.name}": ${JSON.stringify(value)} (use a string, number or boolean)`);
+  }
+}
+
+function parsePageSize(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PAGE_SIZE;
+  const pageSize = parseInt(value, 10);
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw queryError(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return pageSize;
+}
+
+/**
+ * Cursor for the next page (only valid for the same table and compiled options)
+ */
+function encodeCursor(offset, tableId, options) {
+  return cursors.encodeCursor(offset, { tableId, ...options });
+}
+
+/**
+ * Data source offset for a cursor from a previous page
+ */
+function decodeCursor(cursor, tableId, options) {
+  return cursors.decodeCursor(cursor, { tableId, ...options });
+}
+
+module.exports = {
+  fromQueryString,
+  compileQuery,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,210 @@
+/**
+ * Reference Context
+ *
+ * Resolves the references linked to a request into the `references` section
+ * of the UnifiedContext, so lanes can quote and cite their sources.
+ *
+ * References are linked (references_link field) from the Initiator, its
+ * Workflow or its Entity. The links point at the References table in the
+ * automation base, which is synced from the Reference Index in the Reference
+ * Library base. A synced record names its source record (`source_record`
+ * aliases); fields the sync leaves out (excerpt, authors, DOI, ...) are read
+ * from that source record. Links straight to Reference Index records work too.
+ *
+ * Each entry carries a citation number in link order (Initiator first) and a
+ * formatted citation; the record's own `Citation` field wins when it has one.
+ *
+ * Field names are resolved with the `reference` aliases in
+ * utils/field-alias-map.json.
+ */
+
+const { getField } = require('../utils/getField');
+const fieldAliases = require('../utils/field-alias-map.json');
+
+const DEFAULTS = {
+  maxExcerptChars: 600
+};
+
+// Where references can be linked from, in citation order
+const LINK_SOURCES = ['initiator', 'workflow', 'entity'];
+
+/**
+ * Build the references section for a request
+ *
+ * @param {Object} params
+ * @param {Object} params.initiator - Initiator record
+ * @param {Object|null} params.workflow - Workflow record
+ * @param {Object|null} params.entity - Entity record
+ * @param {Object} params.loader - services/record-loader.js instance
+ * @param {Object} params.tables - services/table-registry.js instance
+ * @param {Object} params.options - Overrides for DEFAULTS
+ * @returns {Promise<Object[]>}
+ */
+async function buildReferenceContext({ initiator, workflow, entity, loader, tables, options = {} }) {
+  const settings = { ...DEFAULTS, ...options };
+  const links = collectLinks({ initiator, workflow, entity });
+  if (links.size === 0) return [];
+
+  const synced = tables.resolve('REFERENCES');
+  const library = tables.resolve('REFERENCE_INDEX');
+  const ids = [...links.keys()];
+
+  // Linked records from the synced References table...
+  const records = new Map();
+  if (synced) {
+    (await loadQuietly(loader, 'REFERENCES', ids)).forEach((record, index) => {
+      if (record) records.set(ids[index], { table: synced, record, libraryRecord: null });
+    });
+  }
+
+  // ...or straight from the Reference Index, plus the source records of synced references
+  if (library) {
+    const unresolved = ids.filter(id => !records.has(id));
+    (await loadQuietly(loader, 'REFERENCE_INDEX', unresolved)).forEach((record, index) => {
+      if (record) records.set(unresolved[index], { table: library, record, libraryRecord: record });
+    });
+
+    const sourced = [...records.values()].filter(entry => !entry.libraryRecord && sourceRecordId(entry.record));
+    const sourceRecords = await loadQuietly(loader, 'REFERENCE_INDEX', sourced.map(entry => sourceRecordId(entry.record)));
+    sourced.forEach((entry, index) => {
+      entry.libraryRecord = sourceRecords[index];
+    });
+  }
+
+  const references = [];
+  ids.forEach(id => {
+    const entry = records.get(id);
+    if (!entry) {
+      console.warn(`[Reference Context] Could not fetch Reference ${id}: not found`);
+      return;
+    }
+    references.push(buildReference(entry, links.get(id), references.length + 1, settings));
+  });
+  return references;
+}
+
+/**
+ * Linked reference IDs (Map of id -> sources it was linked from), in citation order
+ */
+function collectLinks(records) {
+  const links = new Map();
+  LINK_SOURCES.forEach(source => {
+    const record = records[source];
+    if (!record) return;
+    toList(getField(record.fields, fieldAliases.references_link))
+      .filter(id => /^rec/.test(id))
+      .forEach(id => {
+        if (!links.has(id)) links.set(id, []);
+        if (!links.get(id).includes(source)) links.get(id).push(source);
+      });
+  });
+  return links;
+}
+
+/**
+ * loadMany that logs and returns nulls instead of failing the whole section
+ */
+async function loadQuietly(loader, tableKey, ids) {
+  if (ids.length === 0) return [];
+  try {
+    return await loader.loadMany(tableKey, ids);
+  } catch (error) {
+    console.warn(`[Reference Context] Could not fetch ${tableKey} records: ${error.message}`);
+    return ids.map(() => null);
+  }
+}
+
+function sourceRecordId(record) {
+  const id = toList(getField(record.fields, fieldAliases.reference.source_record))[0];
+  return id && /^rec/.test(id) ? id : null;
+}
+
+/**
+ * One references entry. The linked record's values win; the Reference Index record fills the gaps.
+ */
+function buildReference({ table, record, libraryRecord }, linkedFrom, number, settings) {
+  const value = (key) => {
+    const aliases = fieldAliases.reference[key];
+    const own = getField(record.fields, aliases);
+    return own !== undefined || !libraryRecord ? own : getField(libraryRecord.fields, aliases);
+  };
+
+  const title = String(value('title') || 'Untitled reference');
+  const url = first(value('url'));
+  const excerpt = String(first(value('excerpt')) || '');
+  const authors = toList(value('authors')).flatMap(author => String(author).split(/;|\n/)).map(author => author.trim()).filter(Boolean);
+  const publishedAt = first(value('date'));
+  const doi = first(value('doi'));
+  const publisher = first(value('publisher'));
+
+  const citation = {
+    number,
+    authors,
+    publisher: publisher ? String(publisher) : null,
+    published_at: publishedAt ? String(publishedAt) : null,
+    doi: doi ? String(doi) : null,
+    accessed_at: first(value('accessed')) || null
+  };
+  citation.text = String(first(value('citation')) || formatCitation(title, url, citation));
+
+  return {
+    id: record.id,
+    title,
+    url: url ? String(url) : null,
+    type: first(value('type')) ? String(first(value('type'))) : null,
+    excerpt: truncateText(excerpt, settings.maxExcerptChars),
+    truncated: excerpt.length > settings.maxExcerptChars,
+    linked_from: linkedFrom,
+    source: {
+      table: table.key,
+      base_id: table.baseId,
+      library_record_id: libraryRecord ? libraryRecord.id : null
+    },
+    citation
+  };
+}
+
+/**
+ * "Authors (Year). Title. Publisher. https://doi.org/..." - parts that are missing are left out.
+ * Without authors the publisher is credited as the author.
+ */
+function formatCitation(title, url, citation) {
+  const year = citation.published_at ? (String(citation.published_at).match(/\d{4}/) || [])[0] : null;
+  const authors = citation.authors.length > 2
+    ? `${citation.authors[0]} et al.`
+    : citation.authors.join(' & ');
+
+  const head = [authors || citation.publisher, year ? `(${year})` : null].filter(Boolean).join(' ');
+  const link = citation.doi ? `https://doi.org/${citation.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//, '')}` : url;
+  return [head, title, authors ? citation.publisher : null, link]
+    .filter(Boolean)
+    .map(part => String(part).replace(/\.$/, ''))
+    .join('. ');
+}
+
+/**
+ * Cut text to at most `maxChars`, preferring a word boundary, with an ellipsis
+ */
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Lookups arrive as lists; take the first value
+ */
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  DEFAULTS,
+  buildReferenceContext
+};
@@ -0,0 +1,273 @@
+/**
+ * Request Actions
+ *
+ * Retry, cancel and clone for submitted requests (the tracker's detail modal):
+ *
+ *   retry   send a failed, stalled or cancelled request to the workflow again
+ *           (a new Make.com trigger or local run) and send a `dispatched` event
+ *   cancel  mark the request Cancelled and send a `cancelled` event. The
+ *           Make.com scenario can poll /api/requests/status/:recordId (or the
+ *           event stream) and stop; a local run stops before its next lane.
+ *   clone   create a new Initiator with the same input fields and dispatch it
+ *
+ * Every action is added to the request's Action History field, a JSON array
+ * like Lane Events:
+ *   [{ "action": "retry", "at": "...", "by": "alice", "from_status": "failed", "delivery_id": "dlv_7" }]
+ *
+ * Status and history are only written when the Initiator table has those
+ * fields (a single select Status needs a matching option); without them the
+ * lane event alone carries the new status. A retry is refused (409) while the
+ * Status field holds a value it has no option to replace.
+ */
+
+const { getField } = require('../utils/getField');
+const { READ_ONLY_TYPES } = require('../utils/field-validator');
+const fieldAliases = require('../utils/field-alias-map.json');
+
+const RETRYABLE = ['failed', 'stalled', 'cancelled'];
+const NOT_CANCELLABLE = ['complete', 'cancelled'];
+
+// Status field values written for an action, first match wins (case-insensitive for select options)
+const STATUS_VALUES = {
+  retry: ['Dispatched', 'Triggered', 'Sent'],
+  cancel: ['Cancelled', 'Canceled']
+};
+
+// Status-rule field groups that describe a run rather than the request; a clone starts without them
+const RUN_FIELD_GROUPS = ['status', 'finalOutput', 'outputs', 'laneEvents', 'lastActivity'];
+
+class RequestActions {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataSource - services/data-source.js instance
+   * @param {Object} options.tables - services/table-registry.js instance
+   * @param {Object} options.schemaService - Used to find the Initiator's status and history fields
+   * @param {Object} options.statusEngine - services/request-status.js instance
+   * @param {Object} options.laneEventLog - Lane events for deriving the current status
+   * @param {Object} options.events - services/sse-events.js
+   * @param {Function} options.dispatch - (recordId) => Promise<{ delivery_id } | { run_id } | null>; null when nothing is configured
+   * @param {Object} [options.workflowRunner] - Local runs are stopped on cancel
+   * @param {Function} [options.onRecordsChanged] - (tableKey) => void, after Initiator records are written
+   */
+  constructor(options = {}) {
+    this.dataSource = options.dataSource;
+    this.tables = options.tables;
+    this.schemaService = options.schemaService;
+    this.statusEngine = options.statusEngine;
+    this.laneEventLog = options.laneEventLog;
+    this.events = options.events;
+    this.dispatch = options.dispatch;
+    this.workflowRunner = options.workflowRunner || null;
+    this.onRecordsChanged = options.onRecordsChanged || (() => {});
+
+    console.log('[Request Actions] Initialized');
+  }
+
+  /**
+   * Dispatch a failed, stalled or cancelled request again
+   */
+  async retry(recordId, user) {
+    const { record, status, schema } = await this.load(recordId);
+    if (!RETRYABLE.includes(status.status)) {
+      throw requestError(409, `Request ${recordId} is ${status.label.toLowerCase()}; only failed, stalled or cancelled requests can be retried`);
+    }
+
+    // The status rules read the Status field before lane events, so a value the retry
+    // can't replace would keep the request failed or cancelled after it is dispatched
+    const statusField = findField(schema, this.statusEngine.fieldList('status'), true);
+    const current = statusField ? record.fields[statusField.name] : null;
+    if (current && !statusValue(statusField, STATUS_VALUES.retry)) {
+      throw requestError(409, `Request ${recordId} can't be retried: its ${statusField.name} field is "${current}" and has no ${STATUS_VALUES.retry.join(', ')} option to replace it with`);
+    }
+
+    const dispatched = await this.dispatch(recordId);
+    if (!dispatched) {
+      throw requestError(503, 'Nowhere to dispatch to: set MAKE_WEBHOOK_URL or WORKFLOW_RUNNER=local');
+    }
+
+    const action = this.entry('retry', user, { from_status: status.status, ...dispatched });
+    this.events.emitDispatched(recordId, { action: 'retry', by: action.by });
+    await this.record(record, schema, action, STATUS_VALUES.retry);
+
+    console.log(`[Request Actions] ${recordId} retried by ${action.by} (was ${status.status})`);
+    return { recordId, action };
+  }
+
+  /**
+   * Mark a request cancelled and tell the workflow to stop
+   */
+  async cancel(recordId, user, { reason } = {}) {
+    const { record, status, schema } = await this.load(recordId);
+    if (NOT_CANCELLABLE.includes(status.status)) {
+      throw requestError(409, `Request ${recordId} is already ${status.label.toLowerCase()}`);
+    }
+
+    const stoppedRun = this.workflowRunner ? this.workflowRunner.cancel(recordId) : false;
+    const action = this.entry('cancel', user, {
+      from_status: status.status,
+      reason: reason ? String(reason) : null,
+      ...(stoppedRun ? { stopped_local_run: true } : {})
+    });
+    this.events.emitCancelled(recordId, { by: action.by, reason: action.reason });
+    await this.record(record, schema, action, STATUS_VALUES.cancel);
+
+    console.log(`[Request Actions] ${recordId} cancelled by ${action.by} (was ${status.status})`);
+    return { recordId, action };
+  }
+
+  /**
+   * Create a new Initiator with the request's input fields and dispatch it
+   */
+  async clone(recordId, user) {
+    const { record, schema } = await this.load(recordId);
+    const fields = this.inputFields(record, schema);
+
+    const historyField = findField(schema, fieldAliases.action_history);
+    const created = this.entry('cloned', user, { source_id: recordId });
+    if (historyField) fields[historyField] = JSON.stringify([created], null, 2);
+
+    const [copy] = await this.dataSource.createRecords(this.tables.baseIdFor('INITIATOR'), this.tables.tableId('INITIATOR'), [{ fields }]);
+    this.onRecordsChanged('INITIATOR');
+
+    // The copy exists either way; a dispatch problem is reported, not thrown
+    let dispatched = null;
+    try {
+      dispatched = await this.dispatch(copy.id);
+    } catch (error) {
+      console.error(`[Request Actions] Clone ${copy.id} of ${recordId} could not be dispatched: ${error.message}`);
+      dispatched = { dispatch_error: error.message };
+    }
+
+    const action = this.entry('clone', user, { clone_id: copy.id, ...(dispatched || {}) });
+    await this.record(record, schema, action, null);
+
+    console.log(`[Request Actions] ${recordId} cloned to ${copy.id} by ${action.by}`);
+    return { recordId: copy.id, sourceId: recordId, action };
+  }
+
+  /**
+   * Action history stored on a record, oldest first
+   */
+  history(record) {
+    const raw = getField(record.fields || {}, fieldAliases.action_history);
+    if (!raw) return [];
+
+    try {
+      const entries = Array.isArray(raw) ? raw : JSON.parse(raw);
+      return Array.isArray(entries) ? entries.filter(entry => entry && entry.action) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Record, derived status and Initiator schema
+   */
+  async load(recordId) {
+    const baseId = this.tables.baseIdFor('INITIATOR');
+    const tableId = this.tables.tableId('INITIATOR');
+
+    const record = await this.dataSource.findRecord(baseId, tableId, recordId).catch(error => {
+      if (error.statusCode === 404) {
+        throw requestError(404, `Request ${recordId} not found`);
+      }
+      throw error;
+    });
+    const schema = await this.schemaService.getTableSchemaById(baseId, tableId);
+    if (!schema) throw new Error('Initiator table schema not found');
+
+    const status = this.statusEngine.derive(record, { events: this.laneEventLog.forRecord(recordId) });
+    return { record, status, schema };
+  }
+
+  /**
+   * Append an action to the record's history and set its status (when the table has the fields)
+   */
+  async record(record, schema, action, statusValues) {
+    const fields = {};
+
+    const historyField = findField(schema, fieldAliases.action_history);
+    if (historyField) {
+      fields[historyField] = JSON.stringify([...this.history(record), action], null, 2);
+    }
+
+    const statusField = statusValues ? findField(schema, this.statusEngine.fieldList('status'), true) : null;
+    const value = statusField ? statusValue(statusField, statusValues) : null;
+    if (value) fields[statusField.name] = value;
+
+    if (Object.keys(fields).length === 0) {
+      console.warn(`[Request Actions] ${record.id}: the Initiator table has no Action History or Status field, ${action.action} not recorded on the record`);
+      return;
+    }
+
+    // The action already happened; a failed write is logged rather than undoing it
+    try {
+      await this.dataSource.updateRecords(this.tables.baseIdFor('INITIATOR'), this.tables.tableId('INITIATOR'), [
+        { id: record.id, fields }
+      ]);
+      this.onRecordsChanged('INITIATOR');
+    } catch (error) {
+      console.error(`[Request Actions] Could not record ${action.action} on ${record.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writable fields with a value, minus those that describe a run
+   */
+  inputFields(record, schema) {
+    const excluded = new Set([
+      ...RUN_FIELD_GROUPS.flatMap(group => this.statusEngine.fieldList(group)),
+      ...fieldAliases.action_history,
+      ...fieldAliases.outputs_record
+    ]);
+
+    const fields = {};
+    schema.fields
+      .filter(field => !READ_ONLY_TYPES.includes(field.type) && !excluded.has(field.name))
+      .forEach(field => {
+        const value = record.fields[field.name];
+        if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+          fields[field.name] = value;
+        }
+      });
+    return fields;
+  }
+
+  entry(action, user, details = {}) {
+    return {
+      action,
+      at: new Date().toISOString(),
+      by: user ? (user.username || user.id) : null,
+      ...details
+    };
+  }
+}
+
+/**
+ * First of `names` the table has (its name, or the whole field with `withField`)
+ */
+function findField(schema, names, withField = false) {
+  const field = names.map(name => schema.fields.find(candidate => candidate.name === name)).find(Boolean);
+  if (!field) return null;
+  return withField ? field : field.name;
+}
+
+/**
+ * Value to write to a status field: a single select needs one of its own options
+ */
+function statusValue(field, values) {
+  if (field.type !== 'singleSelect') return values[0];
+
+  const choices = (field.options && field.options.choices) || [];
+  const wanted = values.map(value => value.toLowerCase());
+  const choice = choices.find(option => wanted.includes(String(option.name).toLowerCase()));
+  return choice ? choice.name : null;
+}
+
+function requestError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = RequestActions;
@@ -0,0 +1,200 @@
+/**
+ * Request Query Service
+ *
+ * Turns /api/requests/submitted query parameters into a single Airtable
+ * listing call: filters become a filterByFormula, sort is checked against the
+ * live Initiator schema, and paging uses opaque cursors wrapping the data
+ * source's page offset.
+ *
+ * Query parameters:
+ *   status     any state from services/request-status.js - queued, dispatched, running,
+ *              awaiting_review, complete, failed, stalled, cancelled (comma-separated for several)
+ *   workflow   workflow name (matches the "Workflow (WF) Name" lookup)
+ *   entity     entity record ID or name
+ *   from, to   created-date range (ISO dates, `to` is exclusive)
+ *   search     free text over title, goal and raw input
+ *   sort       created | name | workflow, or any Initiator field name
+ *   direction  asc | desc (default desc)
+ *   pageSize   1-100 (default 50)
+ *   cursor     nextCursor from the previous page
+ */
+
+const f = require('../utils/formula-builder');
+const cursors = require('../utils/cursor');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100; // Airtable's page size limit
+
+const SEARCH_FIELDS = ['Descriptive title', 'Whats Your Goal?', 'Raw User Input'];
+const WORKFLOW_NAME_FIELD = 'Workflow (WF) Name';
+const ENTITY_FIELD = 'What Entity Are We Creating Content On Behalf of? (Initiator Table link to entities table)';
+
+const SORT_ALIASES = {
+  created: 'Created',
+  name: 'Descriptive title',
+  workflow: WORKFLOW_NAME_FIELD
+};
+
+/**
+ * Error for bad query parameters (routes answer 400)
+ */
+function queryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Validate and normalize the query string (status names are checked against the status engine)
+ */
+function parseListQuery(query = {}, statusEngine) {
+  const filters = {};
+
+  if (query.status) {
+    const names = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = names.filter(name => !statusEngine.normalize(name));
+    if (unknown.length > 0) {
+      throw queryError(`Unknown status "${unknown[0]}" (expected one of: ${statusEngine.stateIds().join(', ')})`);
+    }
+    filters.status = [...new Set(names.map(name => statusEngine.normalize(name)))];
+  }
+
+  if (query.workflow) filters.workflow = String(query.workflow).trim();
+  if (query.entity) filters.entity = String(query.entity).trim();
+  if (query.search && String(query.search).trim()) filters.search = String(query.search).trim();
+
+  ['from', 'to'].forEach(key => {
+    if (!query[key]) return;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      throw queryError(`Invalid "${key}" date: ${query[key]}`);
+    }
+    filters[key] = date.toISOString();
+  });
+
+  const direction = (query.direction || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(direction)) {
+    throw queryError('direction must be "asc" or "desc"');
+  }
+
+  let pageSize = DEFAULT_PAGE_SIZE;
+  if (query.pageSize !== undefined) {
+    pageSize = parseInt(query.pageSize, 10);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw queryError(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  return {
+    filters,
+    sort: { field: query.sort || 'created', direction },
+    pageSize,
+    cursor: query.cursor || null
+  };
+}
+
+/**
+ * Build the listing options (filterByFormula, sort, pageSize) for a parsed query.
+ * `fieldNames` are the Initiator's actual field names; `entityName` is the
+ * resolved name when the entity filter was given as a record ID.
+ *
+ * The status clause may match more than the requested states (lane events and
+ * idle time aren't visible to formulas) - callers filter the page with
+ * toRequestItem() statuses afterwards.
+ */
+function buildListOptions(parsed, fieldNames, { entityName = null, now = new Date(), statusEngine } = {}) {
+  const has = (name) => fieldNames.includes(name);
+  const { filters } = parsed;
+
+  const sortField = SORT_ALIASES[parsed.sort.field] || parsed.sort.field;
+  if (!has(sortField)) {
+    throw queryError(`Cannot sort by "${parsed.sort.field}": the Initiator table has no "${sortField}" field`);
+  }
+
+  const clauses = [];
+
+  if (filters.status) {
+    const statusClause = statusEngine.filterFormula(filters.status, fieldNames, { now });
+    if (statusClause) clauses.push(statusClause);
+  }
+
+  if (filters.workflow) {
+    if (!has(WORKFLOW_NAME_FIELD)) throw queryError(`Cannot filter by workflow: no "${WORKFLOW_NAME_FIELD}" field`);
+    clauses.push(f.hasAny(WORKFLOW_NAME_FIELD, [filters.workflow]));
+  }
+
+  if (filters.entity) {
+    if (!has(ENTITY_FIELD)) throw queryError('Cannot filter by entity: the Initiator table has no entity link field');
+    // Airtable formulas see linked records by name, the local store by ID - match either
+    clauses.push(f.hasAny(ENTITY_FIELD, [filters.entity, entityName]));
+  }
+
+  if (filters.from) clauses.push(f.createdOnOrAfter(filters.from));
+  if (filters.to) clauses.push(f.createdBefore(filters.to));
+
+  if (filters.search) {
+    const searchable = SEARCH_FIELDS.filter(has);
+    clauses.push(searchable.length > 0 ? f.contains(searchable, filters.search) : 'FALSE()');
+  }
+
+  const options = {
+    pageSize: parsed.pageSize,
+    sort: [{ field: sortField, direction: parsed.sort.direction }]
+  };
+
+  const formula = f.and(clauses);
+  if (formula) options.filterByFormula = formula;
+
+  return options;
+}
+
+/**
+ * Shape an Initiator record for the tracker (`events` from the lane event log, if any)
+ */
+function toRequestItem(record, statusEngine, now = new Date(), events = null) {
+  const fields = record.fields;
+  const status = statusEngine.derive(record, { now, events });
+  const entity = fields[ENTITY_FIELD];
+  const workflowName = fields[WORKFLOW_NAME_FIELD] || fields['Premade AI Workflow'] || 'Unknown Workflow';
+
+  return {
+    id: record.id,
+    name: fields['Descriptive title'] ||
+          fields['Article Title Once We Have It'] ||
+          fields['Initiator id'] ||
+          `Request ${record.id.substring(0, 8)}`,
+    workflow: Array.isArray(workflowName) ? workflowName[0] : workflowName,
+    status: status.status,
+    statusLabel: status.label,
+    createdTime: record.createdTime,
+    lastModifiedTime: status.lastActivityAt,
+    entityId: Array.isArray(entity) ? entity[0] || null : entity || null,
+    goal: fields['Whats Your Goal?'] || fields['Goal'] || '',
+    outputRecordId: statusEngine.fieldValue(record, 'finalOutput')
+  };
+}
+
+/**
+ * Cursor for the next page (only valid for the same filters, sort and page size)
+ */
+function encodeCursor(offset, parsed) {
+  const { filters, sort, pageSize } = parsed;
+  return cursors.encodeCursor(offset, { filters, sort, pageSize });
+}
+
+/**
+ * Data source offset for a cursor from a previous page
+ */
+function decodeCursor(cursor, parsed) {
+  const { filters, sort, pageSize } = parsed;
+  return cursors.decodeCursor(cursor, { filters, sort, pageSize });
+}
+
+module.exports = {
+  ENTITY_FIELD,
+  parseListQuery,
+  buildListOptions,
+  toRequestItem,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,356 @@
+/**
+ * Request Status Engine
+ *
+ * Derives a request's status from its Initiator record: the progress fields,
+ * the Status / Workflow Status field, its lane events and how long it has
+ * been quiet. States and the rules that choose between them live in
+ * utils/request-status-rules.json (or the file in STATUS_RULES_FILE).
+ *
+ * States are checked in order and the first whose `when` matches wins; if
+ * none match, the last state is used.
+ *
+ * Conditions:
+ *   { "present": "outputs" }          a field in the group (or list of field names) has a value
+ *   { "status": ["done", ...] }       the first non-empty status field is one of these (case-insensitive)
+ *   { "events": true }                the request has lane events
+ *   { "lastEvent": ["lane_error"] }   type of the most recent lane event
+ *   { "ageOver": "dispatch" }         minutes since creation exceed a timeout (name or number)
+ *   { "idleFor": "idle" }             minutes since the last activity exceed a timeout
+ *   { "matches": "running" }          another state's rule matches
+ *   { "all": [...] }, { "any": [...] }, { "not": {...} }, { "always": true }
+ *
+ * The same rules compile to a filterByFormula for status filters. Conditions
+ * a formula can't see (lane events, idle time) compile to "might match", so
+ * the formula narrows the listing and callers re-check with derive().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const f = require('../utils/formula-builder');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'utils', 'request-status-rules.json');
+
+const CONDITION_KEYS = ['present', 'status', 'events', 'lastEvent', 'ageOver', 'idleFor', 'matches', 'all', 'any', 'not', 'always'];
+
+class RequestStatusEngine {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.filePath = options.filePath || env.STATUS_RULES_FILE || DEFAULT_RULES_FILE;
+
+    const rules = options.rules || JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.fields = rules.fields || {};
+    this.states = rules.states || [];
+    this.aliases = rules.aliases || {};
+    this.timeouts = { ...(rules.timeouts || {}) };
+
+    // Explicit options (e.g. STATUS_TIMEOUT_MINUTES) win over the file
+    Object.entries(options.timeouts || {}).forEach(([name, minutes]) => {
+      if (Number.isFinite(minutes)) this.timeouts[name] = minutes;
+    });
+
+    this.validate();
+
+    console.log(`[Status Engine] Initialized (${this.states.length} states, dispatch timeout ${this.timeouts.dispatch} min)`);
+  }
+
+  /**
+   * Check the rules file references only known states, field groups and timeouts
+   */
+  validate() {
+    const problems = [];
+    const ids = this.states.map(state => state.id);
+
+    if (this.states.length === 0) problems.push('no states defined');
+    ids.forEach((id, index) => {
+      if (!id) problems.push(`state #${index + 1} has no id`);
+      else if (ids.indexOf(id) !== index) problems.push(`duplicate state "${id}"`);
+    });
+
+    const checkNode = (node, where, seen) => {
+      const keys = node && typeof node === 'object' && !Array.isArray(node) ? Object.keys(node) : [];
+      if (keys.length !== 1 || !CONDITION_KEYS.includes(keys[0])) {
+        problems.push(`${where}: each condition needs exactly one of ${CONDITION_KEYS.join(', ')}`);
+        return;
+      }
+      const [key] = keys;
+      const value = node[key];
+
+      switch (key) {
+        case 'present':
+          if (typeof value === 'string' && !this.fields[value]) problems.push(`${where}: unknown field group "${value}"`);
+          break;
+        case 'status':
+        case 'lastEvent':
+          if (!Array.isArray(value)) problems.push(`${where}: "${key}" must be an array`);
+          break;
+        case 'ageOver':
+        case 'idleFor':
+          if (!Number.isFinite(this.timeoutMinutes(value))) problems.push(`${where}: unknown timeout "${value}"`);
+          break;
+        case 'matches': {
+          const target = this.states.find(state => state.id === value);
+          if (!target) problems.push(`${where}: unknown state "${value}"`);
+          else if (seen.includes(value)) problems.push(`${where}: "${value}" refers back to itself`);
+          else checkNode(target.when, `state "${value}"`, [...seen, value]);
+          break;
+        }
+        case 'all':
+        case 'any':
+          if (!Array.isArray(value) || value.length === 0) problems.push(`${where}: "${key}" must be a non-empty array`);
+          else value.forEach(child => checkNode(child, where, seen));
+          break;
+        case 'not':
+          checkNode(value, where, seen);
+          break;
+      }
+    };
+
+    this.states.forEach(state => {
+      if (state.id) checkNode(state.when, `state "${state.id}"`, [state.id]);
+    });
+
+    Object.entries(this.aliases).forEach(([alias, id]) => {
+      if (!ids.includes(id)) problems.push(`alias "${alias}" points at unknown state "${id}"`);
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`[Status Engine] Invalid rules in ${this.filePath}:\n  - ${problems.join('\n  - ')}`);
+    }
+  }
+
+  /**
+   * State IDs in evaluation order
+   */
+  stateIds() {
+    return this.states.map(state => state.id);
+  }
+
+  /**
+   * Canonical state ID for a name or alias ("processing" -> "running"), or null
+   */
+  normalize(name) {
+    const key = String(name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (this.stateIds().includes(key)) return key;
+    return this.aliases[key] || null;
+  }
+
+  /**
+   * States, aliases and timeouts for clients (labels, colors, filters)
+   */
+  describe() {
+    return {
+      states: this.states.map(({ id, label, color, group, terminal }) => ({
+        id,
+        label: label || id,
+        color: color || null,
+        group: group || null,
+        terminal: terminal === true
+      })),
+      aliases: this.aliases,
+      timeouts: this.timeouts
+    };
+  }
+
+  /**
+   * Derive a record's status.
+   * `events` (e.g. from the lane event log) replace the record's Lane Events field when there are any.
+   */
+  derive(record, { now = new Date(), events = null } = {}) {
+    const context = {
+      record,
+      fields: record.fields || {},
+      events: events && events.length > 0 ? events : this.laneEvents(record),
+      now
+    };
+    context.lastActivityAt = this.lastActivityAt(context);
+
+    const state = this.states.find(candidate => this.evaluate(candidate.when, context)) ||
+      this.states[this.states.length - 1];
+    const lastEvent = context.events[context.events.length - 1] || null;
+
+    return {
+      status: state.id,
+      label: state.label || state.id,
+      group: state.group || null,
+      terminal: state.terminal === true,
+      rawStatus: this.rawStatus(context.fields),
+      lastEvent: lastEvent ? { type: lastEvent.type, lane: lastEvent.lane || null, timestamp: lastEvent.timestamp || null } : null,
+      lastActivityAt: context.lastActivityAt ? context.lastActivityAt.toISOString() : null
+    };
+  }
+
+  /**
+   * filterByFormula matching any of the given states, or null when the rules
+   * depend on things a formula can't see for every state (no narrowing possible)
+   */
+  filterFormula(stateIds, fieldNames, { now = new Date() } = {}) {
+    const context = { fieldNames, now };
+    const formulas = stateIds.map(id => {
+      const index = this.states.findIndex(state => state.id === id);
+      const parts = [
+        this.compile(this.states[index].when, context),
+        // ...and none of the states checked before it
+        ...this.states.slice(0, index).map(state => this.compile(state.when, context, true))
+      ].filter(part => part !== null);
+      return parts.length > 0 ? f.and(parts) : null;
+    });
+
+    return formulas.includes(null) ? null : f.or(formulas);
+  }
+
+  /**
+   * First non-empty value from a field group
+   */
+  fieldValue(record, group) {
+    const fields = record.fields || {};
+    const name = this.fieldList(group).find(candidate => hasValue(fields[candidate]));
+    return name ? fields[name] : null;
+  }
+
+  /**
+   * Lane events stored on the record (JSON array in the Lane Events field)
+   */
+  laneEvents(record) {
+    const raw = this.fieldValue(record, 'laneEvents');
+    if (!raw) return [];
+
+    try {
+      const events = Array.isArray(raw) ? raw : JSON.parse(raw);
+      return Array.isArray(events) ? events.filter(event => event && event.type) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  evaluate(node, context) {
+    const [key] = Object.keys(node);
+    const value = node[key];
+
+    switch (key) {
+      case 'always':
+        return Boolean(value);
+      case 'present':
+        return this.fieldList(value).some(name => hasValue(context.fields[name]));
+      case 'status': {
+        const status = this.rawStatus(context.fields);
+        return status !== null && value.map(v => String(v).toLowerCase()).includes(status.toLowerCase());
+      }
+      case 'events':
+        return (context.events.length > 0) === Boolean(value);
+      case 'lastEvent': {
+        const last = context.events[context.events.length - 1];
+        return Boolean(last) && value.includes(last.type);
+      }
+      case 'ageOver':
+        return minutesBetween(new Date(context.record.createdTime), context.now) > this.timeoutMinutes(value);
+      case 'idleFor':
+        return Boolean(context.lastActivityAt) &&
+          minutesBetween(context.lastActivityAt, context.now) > this.timeoutMinutes(value);
+      case 'matches':
+        return this.evaluate(this.states.find(state => state.id === value).when, context);
+      case 'all':
+        return value.every(child => this.evaluate(child, context));
+      case 'any':
+        return value.some(child => this.evaluate(child, context));
+      case 'not':
+        return !this.evaluate(value, context);
+    }
+    return false;
+  }
+
+  /**
+   * Compile a condition (or its negation) to a formula that matches at least
+   * every record the condition does. null means "no constraint": the
+   * condition depends on things a formula can't see.
+   */
+  compile(node, context, negated = false) {
+    const [key] = Object.keys(node);
+    const value = node[key];
+    const exact = (formula) => {
+      if (!negated) return formula;
+      return formula === 'FALSE()' ? null : f.not(formula);
+    };
+    const inSchema = (names) => names.filter(name => context.fieldNames.includes(name));
+
+    switch (key) {
+      case 'always':
+        return Boolean(value) === negated ? 'FALSE()' : null;
+      case 'present':
+        return exact(f.or(inSchema(this.fieldList(value)).map(f.isPresent)) || 'FALSE()');
+      case 'status': {
+        // Mirrors rawStatus(): the first non-empty status field decides
+        const names = this.fieldList('status');
+        const clauses = names.map((name, index) => {
+          if (!context.fieldNames.includes(name)) return '';
+          const earlierBlank = inSchema(names.slice(0, index)).map(f.isBlank);
+          return f.and(earlierBlank, f.or(value.map(v => f.equalsIgnoreCase(name, v))));
+        });
+        return exact(f.or(clauses) || 'FALSE()');
+      }
+      case 'ageOver':
+        return exact(f.createdBefore(new Date(context.now.getTime() - this.timeoutMinutes(value) * 60 * 1000)));
+      case 'matches':
+        return this.compile(this.states.find(state => state.id === value).when, context, negated);
+      case 'not':
+        return this.compile(value, context, !negated);
+      case 'all':
+      case 'any': {
+        const parts = value.map(child => this.compile(child, context, negated));
+        // all(...) and not(any(...)) need every part; any(...) and not(all(...)) need one
+        if ((key === 'all') !== negated) {
+          const known = parts.filter(part => part !== null);
+          return known.length > 0 ? f.and(known) : null;
+        }
+        return parts.includes(null) ? null : f.or(parts);
+      }
+      default:
+        return null; // events, lastEvent, idleFor
+    }
+  }
+
+  /**
+   * First non-empty status field as a string, or null
+   */
+  rawStatus(fields) {
+    const name = this.fieldList('status').find(candidate => hasValue(fields[candidate]));
+    if (!name) return null;
+    const value = fields[name];
+    return String(Array.isArray(value) ? value[0] : value);
+  }
+
+  /**
+   * Most recent of: lane event timestamps, last-modified fields, creation time
+   */
+  lastActivityAt(context) {
+    const times = [
+      context.record.createdTime,
+      ...this.fieldList('lastActivity').map(name => context.fields[name]),
+      ...context.events.map(event => event.timestamp)
+    ]
+      .filter(Boolean)
+      .map(value => new Date(value))
+      .filter(date => !isNaN(date.getTime()));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  fieldList(group) {
+    if (Array.isArray(group)) return group;
+    return [].concat(this.fields[group] || []);
+  }
+
+  timeoutMinutes(value) {
+    return typeof value === 'number' ? value : this.timeouts[value];
+  }
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  return !Array.isArray(value) || value.length > 0;
+}
+
+function minutesBetween(from, to) {
+  return (to - from) / 1000 / 60;
+}
+
+module.exports = RequestStatusEngine;
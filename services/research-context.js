@@ -0,0 +1,305 @@
+/**
+ * Research Context
+ *
+ * Finds Research Reports relevant to an Initiator and turns them into the
+ * `research` section of the UnifiedContext.
+ *
+ * A report is a candidate when it is:
+ *   - linked from the Initiator (research_link field), or
+ *   - tagged with the Initiator's record ID, or
+ *   - about the Initiator's entity (by record ID or name), or
+ *   - tagged with any of the Initiator's tags
+ *
+ * Candidates are scored by how they matched plus a recency bonus that halves
+ * every `halfLifeDays`, then taken best-first until `maxReports` or
+ * `budgetChars` (summary + findings text) is reached. A report that only
+ * partly fits is cut at a word boundary; anything left over is listed in
+ * `budget.dropped` so callers can see what research was not sent.
+ *
+ * Report field names are resolved against the table schema using the
+ * `research_report` aliases in utils/field-alias-map.json, so only fields that
+ * exist are used in the query formula.
+ */
+
+const { getField } = require('../utils/getField');
+const fieldAliases = require('../utils/field-alias-map.json');
+const f = require('../utils/formula-builder');
+const { escapeXml } = require('../utils/xml');
+
+const DEFAULTS = {
+  maxReports: 5,
+  budgetChars: 8000,
+  halfLifeDays: 90,
+  maxCandidates: 100,
+  minExcerptChars: 200, // don't include a report cut shorter than this
+  weights: { linked: 10, initiator: 8, entity: 4, tag: 2, recency: 3 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the research section for an Initiator
+ *
+ * @param {Object} params
+ * @param {Object} params.initiator - Initiator record
+ * @param {Object|null} params.entity - Entity record (if the Initiator has one)
+ * @param {Object} params.dataSource - services/data-source.js instance
+ * @param {Object} [params.loader] - services/record-loader.js instance (batches linked report lookups)
+ * @param {Object} params.tables - services/table-registry.js instance
+ * @param {Object} params.schemaService - Used to resolve report field names
+ * @param {Object} params.options - Overrides for DEFAULTS
+ * @param {Date} params.now
+ */
+async function buildResearchContext({ initiator, entity, dataSource, loader, tables, schemaService, options = {}, now = new Date() }) {
+  const settings = { ...DEFAULTS, ...options, weights: { ...DEFAULTS.weights, ...options.weights } };
+  const table = tables.resolve('RESEARCH_REPORTS');
+  if (!table) return emptyResearch(settings);
+
+  const fields = await resolveReportFields(schemaService, table);
+  const criteria = {
+    initiatorId: initiator.id,
+    linkedIds: toList(getField(initiator.fields, fieldAliases.research_link)).filter(id => /^rec/.test(id)),
+    entityValues: entity ? [entity.id, entity.fields['Name']].filter(Boolean) : [],
+    tags: toList(initiator.fields['Tags'])
+  };
+
+  const candidates = await fetchCandidates(dataSource, loader, table, fields, criteria, settings);
+  const ranked = candidates
+    .map(record => scoreReport(record, fields, criteria, settings, now))
+    .filter(report => report.matched_by.length > 0)
+    .sort((a, b) => b.score - a.score || String(b.published_at).localeCompare(String(a.published_at)));
+
+  return selectWithinBudget(ranked, settings);
+}
+
+/**
+ * Map each alias group to the first field name the table actually has
+ */
+async function resolveReportFields(schemaService, table) {
+  let schema = null;
+  try {
+    schema = schemaService ? await schemaService.getTableSchemaById(table.baseId, table.id) : null;
+  } catch (error) {
+    console.warn(`[Research Context] Could not load Research Reports schema: ${error.message}`);
+  }
+  if (!schema) return {};
+
+  const names = new Set(schema.fields.map(field => field.name));
+  const resolved = {};
+  Object.entries(fieldAliases.research_report).forEach(([key, aliases]) => {
+    const name = aliases.find(alias => names.has(alias));
+    if (name) resolved[key] = name;
+  });
+  return resolved;
+}
+
+/**
+ * Reports linked from the Initiator plus reports matching the query formula, deduped by ID
+ */
+async function fetchCandidates(dataSource, loader, table, fields, criteria, settings) {
+  const byId = new Map();
+
+  const formula = f.or(
+    fields.initiator ? f.hasAny(fields.initiator, [criteria.initiatorId]) : '',
+    fields.entity ? f.hasAny(fields.entity, criteria.entityValues) : '',
+    fields.tags ? f.hasAny(fields.tags, criteria.tags) : ''
+  );
+
+  if (formula) {
+    try {
+      const records = await dataSource.listRecords(table.baseId, table.id, {
+        filterByFormula: formula,
+        maxRecords: settings.maxCandidates
+      });
+      records.forEach(record => byId.set(record.id, record));
+    } catch (error) {
+      console.warn(`[Research Context] Research Reports query failed: ${error.message}`);
+    }
+  }
+
+  const linkedIds = criteria.linkedIds.filter(reportId => !byId.has(reportId));
+  if (loader && linkedIds.length > 0) {
+    try {
+      const records = await loader.loadMany('RESEARCH_REPORTS', linkedIds);
+      records.forEach((record, index) => {
+        if (record) byId.set(record.id, record);
+        else console.warn(`[Research Context] Could not fetch Research Report ${linkedIds[index]}: not found`);
+      });
+    } catch (error) {
+      console.warn(`[Research Context] Could not fetch linked Research Reports: ${error.message}`);
+    }
+  } else {
+    for (const reportId of linkedIds) {
+      try {
+        byId.set(reportId, await dataSource.findRecord(table.baseId, table.id, reportId));
+      } catch (error) {
+        console.warn(`[Research Context] Could not fetch Research Report ${reportId}: ${error.message}`);
+      }
+    }
+  }
+
+  return [...byId.values()];
+}
+
+/**
+ * Normalize a report record and score it (relevance + recency)
+ */
+function scoreReport(record, fields, criteria, settings, now) {
+  const value = (key) => fields[key] ? record.fields[fields[key]] : undefined;
+  const { weights } = settings;
+
+  const matchedBy = [];
+  let relevance = 0;
+
+  if (criteria.linkedIds.includes(record.id)) {
+    matchedBy.push('linked');
+    relevance += weights.linked;
+  }
+  if (toList(value('initiator')).includes(criteria.initiatorId)) {
+    matchedBy.push('initiator');
+    relevance += weights.initiator;
+  }
+  const reportEntities = toList(value('entity')).map(lower);
+  if (criteria.entityValues.some(entityValue => reportEntities.includes(lower(entityValue)))) {
+    matchedBy.push('entity');
+    relevance += weights.entity;
+  }
+  const reportTags = toList(value('tags')).map(lower);
+  criteria.tags.filter(tag => reportTags.includes(lower(tag))).forEach(tag => {
+    matchedBy.push(`tag:${tag}`);
+    relevance += weights.tag;
+  });
+
+  const publishedAt = value('date') || record.createdTime || null;
+  const ageDays = publishedAt ? Math.max(0, (now - new Date(publishedAt)) / DAY_MS) : null;
+  const recency = ageDays === null || isNaN(ageDays) ? 0 : Math.pow(0.5, ageDays / settings.halfLifeDays);
+
+  return {
+    id: record.id,
+    title: String(value('title') || 'Untitled report'),
+    summary: String(value('summary') || ''),
+    findings: String(value('body') || ''),
+    sources: toList(value('sources')),
+    url: value('url') || null,
+    tags: toList(value('tags')),
+    published_at: publishedAt,
+    matched_by: matchedBy,
+    score: round(relevance + weights.recency * recency),
+    truncated: false
+  };
+}
+
+/**
+ * Take reports best-first until the report count or character budget runs out
+ */
+function selectWithinBudget(ranked, settings) {
+  const reports = [];
+  const dropped = [];
+  let usedChars = 0;
+
+  for (const report of ranked) {
+    if (reports.length >= settings.maxReports) {
+      dropped.push({ id: report.id, title: report.title, reason: 'max_reports' });
+      continue;
+    }
+
+    const remaining = settings.budgetChars - usedChars;
+    const size = report.summary.length + report.findings.length;
+
+    if (size <= remaining) {
+      reports.push(report);
+      usedChars += size;
+    } else if (remaining >= settings.minExcerptChars) {
+      const summary = truncateText(report.summary, remaining);
+      const findings = truncateText(report.findings, remaining - summary.length);
+      reports.push({ ...report, summary, findings, truncated: true });
+      usedChars += summary.length + findings.length;
+    } else {
+      dropped.push({ id: report.id, title: report.title, reason: 'budget' });
+    }
+  }
+
+  return {
+    cache_refs: reports.map(report => `kb:research:${report.id}`),
+    xml_kb: buildResearchXml(reports),
+    reports,
+    budget: {
+      max_reports: settings.maxReports,
+      max_chars: settings.budgetChars,
+      used_chars: usedChars,
+      considered: ranked.length,
+      dropped
+    }
+  };
+}
+
+/**
+ * XML KB fragment for the selected reports (same urn-namespace style as entity_context.kb_xml)
+ */
+function buildResearchXml(reports) {
+  if (reports.length === 0) return '';
+
+  const items = reports.map(report => {
+    const attrs = [
+      `id="${escapeXml(report.id)}"`,
+      report.published_at ? `date="${escapeXml(report.published_at)}"` : null,
+      `score="${report.score}"`,
+      report.truncated ? 'truncated="true"' : null
+    ].filter(Boolean).join(' ');
+
+    const parts = [`    <research:title>${escapeXml(report.title)}</research:title>`];
+    if (report.summary) parts.push(`    <research:summary>${escapeXml(report.summary)}</research:summary>`);
+    if (report.findings) parts.push(`    <research:findings>${escapeXml(report.findings)}</research:findings>`);
+    if (report.sources.length > 0) {
+      parts.push(`    <research:sources>${report.sources.map(source => `<research:source>${escapeXml(source)}</research:source>`).join('')}</research:sources>`);
+    }
+
+    return `  <research:report ${attrs}>\n${parts.join('\n')}\n  </research:report>`;
+  });
+
+  return `<kb xmlns:research="urn:research">\n${items.join('\n')}\n</kb>`;
+}
+
+function emptyResearch(settings) {
+  return {
+    cache_refs: [],
+    xml_kb: '',
+    reports: [],
+    budget: { max_reports: settings.maxReports, max_chars: settings.budgetChars, used_chars: 0, considered: 0, dropped: [] }
+  };
+}
+
+/**
+ * Cut text to at most `maxChars`, preferring a word boundary, with an ellipsis
+ */
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  if (maxChars <= 1) return '';
+  const cut = text.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Linked records, multiple selects and lookups are arrays; text fields may hold a
+ * comma- or newline-separated list
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function lower(value) {
+  return String(value).toLowerCase();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  DEFAULTS,
+  buildResearchContext,
+  buildResearchXml
+};
@@ -10,6 +10,7 @@
  * - Field type information
  * - Linked table relationships
  * - Self-documenting API endpoints
+ * - Pluggable data source (schemas come from the local store in offline mode)
  */
 
 const fetch = require('node-fetch');
@@ -22,6 +23,7 @@ class SchemaService {
     this.lastFetch = new Map(); // baseId -> timestamp
     this.cacheTTL = config.cacheTTL || 3600000; // 1 hour default
     this.enableCache = config.enableCache !== false;
+    this.dataSource = config.dataSource || null; // Optional, see services/data-source.js
     
     console.log('[Schema Service] Initialized');
   }
@@ -39,18 +41,9 @@ class SchemaService {
     console.log(`[Schema Service] Fetching schema for ${baseId}...`);
     
     try {
-      const response = await fetch(`${this.baseUrl}/${baseId}/tables`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Airtable API error: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
+      const data = this.dataSource
+        ? await this.dataSource.fetchBaseSchema(baseId)
+        : await this.fetchFromMetaApi(baseId);
       
       // Transform to more usable format
       const schema = {
@@ -85,6 +78,24 @@ class SchemaService {
     }
   }
   
+  /**
+   * Fetch a raw base schema straight from the Meta API (used when no data source is configured)
+   */
+  async fetchFromMetaApi(baseId) {
+    const response = await fetch(`${this.baseUrl}/${baseId}/tables`, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Airtable API error: ${response.status} ${response.statusText}`);
+    }
+    
+    return response.json();
+  }
+  
   /**
    * Fetch schemas for multiple bases
    */
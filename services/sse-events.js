@@ -9,15 +9,31 @@
  * - lane_error: Lane execution fails
  * - publish: Output published to Content Hub
  * - done: Entire workflow complete
+ * - dispatched: Request sent to the workflow again (retry)
+ * - cancelled: Request cancelled; Make.com should stop working on it
+ *
+ * With an event log (initialize), every event is persisted before it is sent
+ * and carries an `id:` line; new connections replay the record's history
+ * after their Last-Event-ID, so late or reconnecting clients miss nothing.
  */
 
 // Store active SSE connections by recordId
 const connections = new Map();
 
+// Persistent lane event log (services/lane-event-log.js), if configured
+let eventLog = null;
+
+/**
+ * Persist events to a lane event log
+ */
+function initialize(log) {
+  eventLog = log;
+}
+
 /**
- * Register a new SSE connection
+ * Register a new SSE connection and replay events after lastEventId
  */
-function registerConnection(recordId, res) {
+function registerConnection(recordId, res, lastEventId = 0) {
   if (!connections.has(recordId)) {
     connections.set(recordId, []);
   }
@@ -25,12 +41,20 @@ function registerConnection(recordId, res) {
   
   console.log(`[SSE] Client connected for record ${recordId} (${connections.get(recordId).length} total)`);
   
-  // Send initial connection event
-  sendEvent(recordId, {
+  // Send initial connection event (to this client only - it isn't part of the history)
+  writeEvent(res, {
     type: 'connected',
     timestamp: new Date().toISOString(),
     message: 'Connected to event stream'
   });
+
+  if (eventLog) {
+    const missed = eventLog.since(recordId, lastEventId);
+    missed.forEach(event => writeEvent(res, event));
+    if (missed.length > 0) {
+      console.log(`[SSE] Replayed ${missed.length} event(s) for record ${recordId} after ID ${lastEventId}`);
+    }
+  }
   
   // Clean up on disconnect
   res.on('close', () => {
@@ -49,27 +73,35 @@ function registerConnection(recordId, res) {
 }
 
 /**
- * Send an event to all clients listening to a recordId
+ * Send an event to all clients listening to a recordId (persisted first when there is a log)
  */
 function sendEvent(recordId, event) {
+  const stored = eventLog ? eventLog.append(recordId, event) : event;
+
   const clients = connections.get(recordId);
   if (!clients || clients.length === 0) {
-    console.log(`[SSE] No clients for record ${recordId}, event queued`);
-    return;
+    console.log(eventLog
+      ? `[SSE] No clients for record ${recordId}, event ${stored.id} stored for replay`
+      : `[SSE] No clients for record ${recordId}, event dropped`);
+    return stored;
   }
   
-  const data = JSON.stringify(event);
-  const message = `data: ${data}\n\n`;
-  
-  clients.forEach(res => {
-    try {
-      res.write(message);
-    } catch (error) {
-      console.error(`[SSE] Error sending event:`, error);
-    }
-  });
+  clients.forEach(res => writeEvent(res, stored));
   
   console.log(`[SSE] Sent ${event.type} event to ${clients.length} client(s) for record ${recordId}`);
+  return stored;
+}
+
+/**
+ * Write one event to a client (with an `id:` line for stored events)
+ */
+function writeEvent(res, event) {
+  const idLine = event.id ? `id: ${event.id}\n` : '';
+  try {
+    res.write(`${idLine}data: ${JSON.stringify(event)}\n\n`);
+  } catch (error) {
+    console.error(`[SSE] Error sending event:`, error);
+  }
 }
 
 /**
@@ -108,7 +140,7 @@ function emitLaneError(recordId, lane, error) {
     timestamp: new Date().toISOString(),
     lane,
     error: error.message || String(error),
-    message: `Error in lane ${lane}`
+    message: lane ? `Error in lane ${lane}` : 'Error before any lane started'
   });
 }
 
@@ -138,18 +170,44 @@ function emitDone(recordId, summary) {
 }
 
 /**
- * Emit progress update (generic)
+ * Emit dispatched event (a retry re-sent the request)
+ */
+function emitDispatched(recordId, details = {}) {
+  sendEvent(recordId, {
+    ...details,
+    type: 'dispatched',
+    timestamp: new Date().toISOString(),
+    message: 'Request dispatched again'
+  });
+}
+
+/**
+ * Emit cancelled event
+ */
+function emitCancelled(recordId, details = {}) {
+  sendEvent(recordId, {
+    ...details,
+    type: 'cancelled',
+    timestamp: new Date().toISOString(),
+    message: 'Request cancelled'
+  });
+}
+
+/**
+ * Emit progress update (generic). `data` comes from the webhook body, so it is
+ * kept under its own key rather than mixed into the event's fields.
  */
 function emitProgress(recordId, message, data = {}) {
   sendEvent(recordId, {
     type: 'progress',
     timestamp: new Date().toISOString(),
     message,
-    ...data
+    data
   });
 }
 
 module.exports = {
+  initialize,
   registerConnection,
   sendEvent,
   emitLaneStart,
@@ -157,6 +215,8 @@ module.exports = {
   emitLaneError,
   emitPublish,
   emitDone,
+  emitDispatched,
+  emitCancelled,
   emitProgress
 };
 
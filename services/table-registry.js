@@ -0,0 +1,211 @@
+/**
+ * Table Registry
+ *
+ * The single source of truth for Airtable base and table IDs. The server,
+ * context assembly and scripts all read table IDs from here instead of
+ * keeping their own copies.
+ *
+ * Resolution order (later wins):
+ * 1. utils/table-registry.json (or the file in TABLE_REGISTRY_FILE)
+ * 2. Per-base / per-table environment variables named in that file
+ *    (AIRTABLE_BASE_ID_AUTOMATION, AIRTABLE_TABLE_INITIATOR, ...)
+ *
+ * validate(schemaService) checks every table against the live base schema
+ * (SchemaService.getTableSchemaById); required tables that don't exist make
+ * the report fail so the server can refuse to start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '..', 'utils', 'table-registry.json');
+
+const BASE_ID_PATTERN = /^app[A-Za-z0-9]{14}$/;
+const TABLE_ID_PATTERN = /^tbl[A-Za-z0-9]{14}$/;
+
+class TableRegistry {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.filePath = options.filePath || env.TABLE_REGISTRY_FILE || DEFAULT_REGISTRY_FILE;
+
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.entries = this.load(config, env);
+
+    // Plain { KEY: tableId } and { name: baseId } maps for existing callers
+    this.tables = {};
+    this.bases = {};
+    Object.entries(this.baseConfig).forEach(([name, base]) => {
+      if (base.id) this.bases[name] = base.id;
+    });
+    this.entries.forEach(entry => {
+      if (entry.baseId) this.tables[entry.key] = entry.id;
+    });
+
+    this.lastValidation = null;
+
+    console.log(`[Table Registry] Initialized (${Object.keys(this.tables).length} tables in ${Object.keys(this.bases).length} bases)`);
+  }
+
+  /**
+   * Merge the config with env overrides and check ID formats
+   */
+  load(config, env) {
+    if (!config || typeof config.bases !== 'object' || typeof config.tables !== 'object') {
+      throw new Error(`[Table Registry] ${this.filePath} must contain "bases" and "tables" objects`);
+    }
+
+    const problems = [];
+    const fromEnv = (names) => [].concat(names || []).map(name => env[name]).find(Boolean);
+
+    this.baseConfig = {};
+    Object.entries(config.bases).forEach(([name, base]) => {
+      const id = fromEnv(base.env) || base.id || null;
+      if (id && !BASE_ID_PATTERN.test(id)) {
+        problems.push(`base "${name}" has an invalid ID "${id}"`);
+      }
+      this.baseConfig[name] = { id, env: [].concat(base.env || []) };
+    });
+
+    const entries = Object.entries(config.tables).map(([key, table]) => {
+      const id = fromEnv(table.env) || table.id;
+
+      if (!this.baseConfig[table.base]) {
+        problems.push(`table ${key} refers to unknown base "${table.base}"`);
+      }
+      if (!id || !TABLE_ID_PATTERN.test(id)) {
+        problems.push(`table ${key} has an invalid ID "${id}"`);
+      }
+
+      return {
+        key,
+        id,
+        base: table.base,
+        baseId: this.baseConfig[table.base] ? this.baseConfig[table.base].id : null,
+        env: table.env || null,
+        required: table.required === true
+      };
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`[Table Registry] Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get a table entry by key ({ key, id, base, baseId, required }) or null
+   */
+  get(key) {
+    return this.entries.find(entry => entry.key === key) || null;
+  }
+
+  /**
+   * Get a table entry by Airtable table ID, or null
+   */
+  findById(tableId) {
+    return this.entries.find(entry => entry.id === tableId) || null;
+  }
+
+  /**
+   * Look up a table from a loose key: "articles", "social-media", "SOCIAL_MEDIA".
+   * Tables whose base isn't configured are not resolvable.
+   */
+  resolve(tableKey) {
+    const key = String(tableKey || '').trim().toUpperCase().replace(/-/g, '_');
+    const entry = this.get(key);
+    return entry && entry.baseId ? entry : null;
+  }
+
+  /**
+   * Table ID for a key (throws for unknown keys so typos fail loudly)
+   */
+  tableId(key) {
+    const entry = this.get(key);
+    if (!entry) throw new Error(`[Table Registry] Unknown table key: ${key}`);
+    return entry.id;
+  }
+
+  /**
+   * Base ID a table lives in (null if its base isn't configured)
+   */
+  baseIdFor(key) {
+    const entry = this.get(key);
+    if (!entry) throw new Error(`[Table Registry] Unknown table key: ${key}`);
+    return entry.baseId;
+  }
+
+  /**
+   * Tables in a base, by base name
+   */
+  tablesInBase(baseName) {
+    return this.entries.filter(entry => entry.base === baseName && entry.baseId);
+  }
+
+  /**
+   * Check every table against the live schema of its base.
+   * Statuses: ok | missing (ID not in base) | unverified (schema unavailable) | disabled (base not configured)
+   */
+  async validate(schemaService) {
+    const results = [];
+    const schemaErrors = {};
+
+    for (const entry of this.entries) {
+      const result = { key: entry.key, id: entry.id, base: entry.base, baseId: entry.baseId, required: entry.required };
+
+      if (!entry.baseId) {
+        results.push({ ...result, status: 'disabled' });
+        continue;
+      }
+
+      if (schemaErrors[entry.baseId]) {
+        results.push({ ...result, status: 'unverified', error: schemaErrors[entry.baseId] });
+        continue;
+      }
+
+      try {
+        const schema = await schemaService.getTableSchemaById(entry.baseId, entry.id);
+        results.push(schema
+          ? { ...result, status: 'ok', name: schema.name }
+          : { ...result, status: 'missing' });
+      } catch (error) {
+        schemaErrors[entry.baseId] = error.message;
+        results.push({ ...result, status: 'unverified', error: error.message });
+      }
+    }
+
+    const describe = (r) => `${r.key} (${r.id}) in ${r.base} base ${r.baseId}`;
+    const errors = results
+      .filter(r => r.required && r.status === 'missing')
+      .map(r => `Required table ${describe(r)} does not exist - check ${this.get(r.key).env || this.filePath}`);
+    const warnings = [
+      ...results.filter(r => !r.required && r.status === 'missing').map(r => `Table ${describe(r)} does not exist`),
+      ...Object.entries(schemaErrors).map(([baseId, message]) => `Could not load schema for base ${baseId}: ${message}`)
+    ];
+
+    this.lastValidation = {
+      ok: errors.length === 0,
+      checkedAt: new Date().toISOString(),
+      counts: results.reduce((counts, r) => ({ ...counts, [r.status]: (counts[r.status] || 0) + 1 }), {}),
+      errors,
+      warnings,
+      tables: results
+    };
+
+    return this.lastValidation;
+  }
+
+  /**
+   * Registry contents plus the last validation report
+   */
+  getReport() {
+    return {
+      source: this.filePath,
+      bases: this.bases,
+      tables: this.entries.map(({ key, id, base, baseId, required }) => ({ key, id, base, baseId, required })),
+      validation: this.lastValidation
+    };
+  }
+}
+
+module.exports = TableRegistry;
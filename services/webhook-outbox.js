@@ -0,0 +1,317 @@
+/**
+ * Webhook Outbox
+ *
+ * Durable queue for outbound webhooks (the Make.com trigger sent for every new
+ * request). A delivery is written to disk before anything is sent, so
+ * `/api/requests/new` can answer as soon as the record exists and a slow or
+ * failing Make.com never loses a request.
+ *
+ * Deliveries are sent one at a time in the background. A failed attempt
+ * (network error, timeout, 408, 429 or 5xx) is retried with exponential
+ * backoff - baseDelay, 2x, 4x, ... up to maxDelay. Other 4xx responses won't
+ * get better by retrying, so they go straight to the dead-letter list, as does
+ * a delivery that runs out of attempts. Dead (or delivered) deliveries can be
+ * sent again with `redeliver`, which starts a fresh round of attempts and keeps
+ * the history.
+ *
+ * Every request carries `X-Webhook-Delivery: <delivery id>` so the receiver can
+ * drop duplicates.
+ *
+ * Only deliveries still in play (pending, delivering, dead) live in the outbox
+ * file, so writing it costs the same however long the history is. A delivered
+ * delivery moves to an append-only JSONL history (utils/jsonl-file.js, the
+ * outbox file's name with `-delivered.jsonl` by default), trimmed to the
+ * newest `maxDeliveries` and compacted on startup.
+ *
+ * Document shape (data/webhook-outbox.json by default):
+ *   { "lastId": 3, "deliveries": [{ "id": "dlv_3", "record_id": "rec...", "url": "...", "payload": {...},
+ *       "status": "pending" | "delivering" | "dead", "round_attempts": 1,
+ *       "attempts": [{ "at": "...", "status_code": 503, "error": "...", "duration_ms": 120 }],
+ *       "next_attempt_at": "...", "created_at": "...", "delivered_at": null, "dead_at": null }] }
+ * History lines are the same delivery objects with status "delivered".
+ */
+
+const path = require('path');
+const axios = require('axios');
+const JsonFileStore = require('../utils/json-file-store');
+const JsonlFile = require('../utils/jsonl-file');
+
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '..', 'data', 'webhook-outbox.json');
+const DELIVERY_HEADER = 'X-Webhook-Delivery';
+const STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+class WebhookOutbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the outbox is stored
+   * @param {string} options.historyFilePath - Where delivered deliveries are kept (next to the outbox by default)
+   * @param {number} options.maxAttempts - Attempts per round before a delivery is dead (default 6)
+   * @param {number} options.baseDelay - First retry delay in ms (default 5s)
+   * @param {number} options.maxDelay - Longest retry delay in ms (default 15 min)
+   * @param {number} options.timeout - Request timeout in ms (default 10s)
+   * @param {number} options.maxDeliveries - Delivered deliveries kept in the history, newest first
+   * @param {Function} options.send - (delivery) => Promise<{ status }>; defaults to an HTTP POST
+   */
+  constructor(options = {}) {
+    const filePath = options.filePath || DEFAULT_OUTBOX_FILE;
+    this.store = new JsonFileStore(filePath, { lastId: 0, deliveries: [] });
+    this.history = new JsonlFile(options.historyFilePath || `${filePath.replace(/\.json$/, '')}-delivered.jsonl`);
+    this.maxAttempts = options.maxAttempts || 6;
+    this.baseDelay = options.baseDelay || 5000;
+    this.maxDelay = options.maxDelay || 15 * 60 * 1000;
+    this.timeout = options.timeout || 10000;
+    this.maxDeliveries = options.maxDeliveries || 5000;
+    this.send = options.send || (delivery => this.post(delivery));
+
+    this.timer = null;
+    this.timerAt = null;
+    this.processing = false;
+
+    // A delivery caught mid-send by a restart may or may not have arrived; send it again.
+    // Outboxes from before the history file still hold their delivered deliveries: move them out.
+    const data = this.store.read();
+    const interrupted = data.deliveries.filter(delivery => delivery.status === 'delivering');
+    const delivered = data.deliveries.filter(delivery => delivery.status === 'delivered');
+    if (interrupted.length > 0 || delivered.length > 0) {
+      this.store.update(() => {
+        interrupted.forEach(delivery => { delivery.status = 'pending'; });
+        data.deliveries = data.deliveries.filter(delivery => delivery.status !== 'delivered');
+      });
+    }
+    this.loadHistory(delivered, new Set(data.deliveries.map(delivery => delivery.id)));
+
+    const stats = this.getStats();
+    console.log(`[Webhook Outbox] Initialized (${stats.pending} pending, ${stats.dead} dead, ${stats.delivered} delivered)`);
+    this.schedule(0);
+  }
+
+  /**
+   * Queue a delivery and start sending it. Returns the stored delivery.
+   */
+  enqueue({ recordId, url, payload }) {
+    const now = new Date().toISOString();
+    const delivery = this.store.update(data => {
+      data.lastId += 1;
+      const entry = {
+        id: `dlv_${data.lastId}`,
+        record_id: recordId || null,
+        url,
+        payload,
+        status: 'pending',
+        round_attempts: 0,
+        attempts: [],
+        next_attempt_at: now,
+        created_at: now,
+        delivered_at: null,
+        dead_at: null
+      };
+      data.deliveries.push(entry);
+      return entry;
+    });
+
+    console.log(`[Webhook Outbox] Queued ${delivery.id} for ${delivery.record_id || 'no record'}`);
+    this.schedule(0);
+    return clone(delivery);
+  }
+
+  /**
+   * Send a dead or delivered delivery again (a fresh round of attempts)
+   */
+  redeliver(id) {
+    const delivered = this.delivered.find(item => item.id === id);
+    const delivery = this.store.update(data => {
+      if (delivered) {
+        data.deliveries.push(delivered);
+        this.delivered = this.delivered.filter(item => item !== delivered);
+      }
+      const entry = data.deliveries.find(item => item.id === id);
+      if (!entry) throw requestError(404, `Delivery ${id} not found`);
+      if (entry.status === 'pending' || entry.status === 'delivering') {
+        throw requestError(409, `Delivery ${id} is already ${entry.status}`);
+      }
+      entry.status = 'pending';
+      entry.round_attempts = 0;
+      entry.next_attempt_at = new Date().toISOString();
+      entry.dead_at = null;
+      return entry;
+    });
+
+    console.log(`[Webhook Outbox] Redelivering ${delivery.id} for ${delivery.record_id || 'no record'}`);
+    this.schedule(0);
+    return clone(delivery);
+  }
+
+  /**
+   * Deliveries, newest first. Filters: status, recordId; limit (default 100)
+   */
+  list({ status, recordId, limit = 100 } = {}) {
+    return [...this.delivered, ...this.store.read().deliveries]
+      .sort((a, b) => deliveryNumber(a) - deliveryNumber(b))
+      .filter(delivery => !status || delivery.status === status)
+      .filter(delivery => !recordId || delivery.record_id === recordId)
+      .slice(-limit)
+      .reverse()
+      .map(clone);
+  }
+
+  get(id) {
+    const delivery = this.store.read().deliveries.find(item => item.id === id) || this.delivered.find(item => item.id === id);
+    return delivery ? clone(delivery) : null;
+  }
+
+  getStats() {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    this.store.read().deliveries.forEach(delivery => { counts[delivery.status] += 1; });
+    counts.delivered = this.delivered.length;
+    return {
+      file: this.store.filePath,
+      historyFile: this.history.filePath,
+      ...counts,
+      maxAttempts: this.maxAttempts
+    };
+  }
+
+  /**
+   * Read the delivered history, in delivery order (the last line for an ID
+   * wins; IDs back in the outbox after a redelivery are left out), trim it
+   * and compact the file
+   */
+  loadHistory(moved, active) {
+    const byId = new Map();
+    [...this.history.readAll(), ...moved].forEach(delivery => {
+      byId.delete(delivery.id);
+      byId.set(delivery.id, delivery);
+    });
+    this.delivered = [...byId.values()]
+      .filter(delivery => !active.has(delivery.id))
+      .slice(-this.maxDeliveries);
+    if (this.history.lines > this.delivered.length || moved.length > 0) this.history.rewrite(this.delivered);
+  }
+
+  /**
+   * Move a delivered delivery out of the outbox into the history
+   */
+  archive(data, delivery) {
+    data.deliveries = data.deliveries.filter(item => item !== delivery);
+    this.delivered.push(delivery);
+    this.history.append(delivery);
+    if (this.delivered.length > this.maxDeliveries) this.delivered.shift();
+    if (this.history.lines > this.maxDeliveries * 2) this.history.rewrite(this.delivered);
+  }
+
+  /**
+   * Process due deliveries after `delay` ms (an earlier wake-up wins)
+   */
+  schedule(delay) {
+    if (this.timer && this.timerAt <= Date.now() + delay) return;
+    clearTimeout(this.timer);
+    this.timerAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processDue().catch(error => console.error('[Webhook Outbox] Processing failed:', error));
+    }, delay);
+    if (this.timer.unref) this.timer.unref(); // don't keep the process alive for retries
+  }
+
+  /**
+   * Send every due delivery, one at a time, then sleep until the next one is due
+   */
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let delivery;
+      while ((delivery = this.nextDue())) {
+        await this.attempt(delivery);
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    const next = this.store.read().deliveries
+      .filter(delivery => delivery.status === 'pending')
+      .map(delivery => Date.parse(delivery.next_attempt_at))
+      .sort((a, b) => a - b)[0];
+    if (next !== undefined) this.schedule(Math.max(0, next - Date.now()));
+  }
+
+  nextDue() {
+    const now = Date.now();
+    return this.store.read().deliveries.find(delivery => delivery.status === 'pending' && Date.parse(delivery.next_attempt_at) <= now) || null;
+  }
+
+  /**
+   * One attempt: mark it in flight, send, then record the result
+   */
+  async attempt(delivery) {
+    // Not written: a restart sends a delivering delivery again either way
+    delivery.status = 'delivering';
+
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await this.send(clone(delivery));
+      statusCode = response && response.status ? response.status : null;
+    } catch (err) {
+      statusCode = err.response ? err.response.status : null;
+      error = err.code === 'ECONNABORTED' ? `Timed out after ${this.timeout}ms` : err.message;
+    }
+
+    this.store.update(data => {
+      const now = new Date();
+      delivery.attempts.push({ at: now.toISOString(), status_code: statusCode, error, duration_ms: Date.now() - startedAt });
+      delivery.round_attempts += 1;
+
+      if (!error) {
+        delivery.status = 'delivered';
+        delivery.delivered_at = now.toISOString();
+        this.archive(data, delivery);
+        console.log(`[Webhook Outbox] Delivered ${delivery.id} for ${delivery.record_id || 'no record'} (attempt ${delivery.attempts.length})`);
+      } else if (!isRetryable(statusCode) || delivery.round_attempts >= this.maxAttempts) {
+        delivery.status = 'dead';
+        delivery.dead_at = now.toISOString();
+        console.error(`[Webhook Outbox] ${delivery.id} for ${delivery.record_id || 'no record'} moved to dead letters after ${delivery.round_attempts} attempt(s): ${error}`);
+      } else {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, delivery.round_attempts - 1));
+        delivery.status = 'pending';
+        delivery.next_attempt_at = new Date(now.getTime() + delay).toISOString();
+        console.warn(`[Webhook Outbox] ${delivery.id} attempt ${delivery.round_attempts} failed (${error}), retrying in ${Math.round(delay / 1000)}s`);
+      }
+    });
+  }
+
+  /**
+   * Default sender: POST the payload as JSON
+   */
+  post(delivery) {
+    return axios.post(delivery.url, delivery.payload, {
+      timeout: this.timeout,
+      headers: { [DELIVERY_HEADER]: delivery.id }
+    });
+  }
+}
+
+// Network errors, timeouts, 408, 429 and 5xx may succeed later; other 4xx won't
+function isRetryable(statusCode) {
+  if (!statusCode) return true;
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// dlv_12 -> 12, for ordering
+function deliveryNumber(delivery) {
+  return Number(String(delivery.id).replace('dlv_', ''));
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function requestError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = WebhookOutbox;
@@ -0,0 +1,152 @@
+/**
+ * Webhook Signature Verifier
+ *
+ * HMAC-SHA256 authentication for inbound webhooks (the Make.com lane event
+ * webhook). The sender signs `<timestamp>.<raw body>` with a shared secret and
+ * sends:
+ *
+ *   X-Webhook-Timestamp: 1735689600            (unix seconds)
+ *   X-Webhook-Signature: sha256=<hex digest>
+ *
+ * Requests are rejected when the signature is missing or wrong, the timestamp
+ * is outside the tolerance window, or the same signature was already accepted
+ * (a replayed request). Two secrets can be active at once so the secret can
+ * be rotated without dropping events: add the new one, switch the sender,
+ * then retire the old one.
+ *
+ * The placeholder from .env.example is public, so it is ignored (with a
+ * warning) as if no secret were set.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const MAX_SECRETS = 2;
+const PLACEHOLDER_SECRETS = ['your_webhook_secret_here'];
+
+class WebhookVerifier {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.secrets - Active secrets (current first, at most two)
+   * @param {number} options.toleranceSeconds - Maximum clock difference accepted (default 300)
+   * @param {string} options.name - Label for log lines
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'webhook';
+    const secrets = (options.secrets || []).filter(Boolean);
+    this.secrets = secrets.filter(secret => !PLACEHOLDER_SECRETS.includes(secret.trim()));
+    if (this.secrets.length < secrets.length) {
+      console.warn(`⚠️  [Webhook Signature] Ignoring the example secret from .env.example for ${this.name} - it is publicly known; set a random one`);
+    }
+    if (this.secrets.length > MAX_SECRETS) {
+      throw new Error(`[Webhook Signature] At most ${MAX_SECRETS} secrets can be active (got ${this.secrets.length})`);
+    }
+    this.toleranceSeconds = options.toleranceSeconds || 300;
+
+    // Signatures accepted within the tolerance window (signature -> expiry ms)
+    this.seen = new Map();
+
+    this.stats = { accepted: 0, rejected: 0, lastRejection: null };
+
+    console.log(`[Webhook Signature] Initialized for ${this.name} (${this.secrets.length} active secret(s), ${this.toleranceSeconds}s window)`);
+  }
+
+  isConfigured() {
+    return this.secrets.length > 0;
+  }
+
+  /**
+   * Signature header value for a payload (used by senders and tests)
+   */
+  static sign(secret, timestamp, rawBody) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Check a request's signature. Returns { ok: true } or { ok: false, reason }.
+   */
+  verify({ signature, timestamp, rawBody }, now = Date.now()) {
+    if (!signature || !timestamp) {
+      return { ok: false, reason: `missing ${signature ? TIMESTAMP_HEADER : SIGNATURE_HEADER} header` };
+    }
+
+    if (!/^\d+$/.test(timestamp)) {
+      return { ok: false, reason: 'malformed timestamp' };
+    }
+    const skewSeconds = Math.abs(now / 1000 - parseInt(timestamp, 10));
+    if (skewSeconds > this.toleranceSeconds) {
+      return { ok: false, reason: `timestamp outside the ${this.toleranceSeconds}s window` };
+    }
+
+    const provided = Buffer.from(String(signature));
+    const matches = this.secrets.some(secret => {
+      const expected = Buffer.from(WebhookVerifier.sign(secret, timestamp, rawBody || ''));
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    });
+    if (!matches) {
+      return { ok: false, reason: 'signature mismatch' };
+    }
+
+    this.pruneSeen(now);
+    if (this.seen.has(signature)) {
+      return { ok: false, reason: 'replayed request' };
+    }
+    this.seen.set(signature, now + this.toleranceSeconds * 1000 * 2);
+
+    return { ok: true };
+  }
+
+  /**
+   * Express middleware. Needs the raw request body on req.rawBody
+   * (see the express.json verify hook in server.js).
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.isConfigured()) {
+        return this.reject(req, res, 503, 'no webhook secret configured');
+      }
+
+      const result = this.verify({
+        signature: req.get(SIGNATURE_HEADER),
+        timestamp: req.get(TIMESTAMP_HEADER),
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : ''
+      });
+
+      if (!result.ok) {
+        return this.reject(req, res, 401, result.reason);
+      }
+
+      this.stats.accepted++;
+      next();
+    };
+  }
+
+  reject(req, res, statusCode, reason) {
+    this.stats.rejected++;
+    this.stats.lastRejection = { reason, path: req.originalUrl, ip: req.ip, at: new Date().toISOString() };
+    console.warn(`[Webhook Signature] Rejected ${this.name} request ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+    res.status(statusCode).json({ success: false, error: `Unauthorized webhook: ${reason}` });
+  }
+
+  pruneSeen(now) {
+    this.seen.forEach((expiresAt, signature) => {
+      if (expiresAt <= now) this.seen.delete(signature);
+    });
+  }
+
+  getStats() {
+    return {
+      configured: this.isConfigured(),
+      activeSecrets: this.secrets.length,
+      toleranceSeconds: this.toleranceSeconds,
+      ...this.stats
+    };
+  }
+}
+
+WebhookVerifier.SIGNATURE_HEADER = SIGNATURE_HEADER;
+WebhookVerifier.TIMESTAMP_HEADER = TIMESTAMP_HEADER;
+
+module.exports = WebhookVerifier;
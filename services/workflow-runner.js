@@ -0,0 +1,452 @@
+/**
+ * Workflow Runner
+ *
+ * Runs a request's workflow in-process, as an alternative to the Make.com
+ * scenario (WORKFLOW_RUNNER=local):
+ *
+ *   1. assemble the request's context and take its `lane_plan`
+ *   2. for each lane, assemble the lane context (prompt, prior step outputs,
+ *      lane rules), render the prompt (utils/prompt-template.js) and send it
+ *      to the LLM provider for `routing.provider` / `routing.model`
+ *      (services/llm-provider.js), with the lane context as the system text
+ *   3. write the reply to the lane's `<lane> Output` field on the request's
+ *      Outputs record (created and linked if the request has none), so later
+ *      lanes get it as a prior step
+ *
+ * Progress goes out as the same lane_start / lane_finish / lane_error / done
+ * events Make.com posts, through services/sse-events.js, so the tracker and
+ * the request status work unchanged. A failed run ends on a lane_error event,
+ * including one that fails before any lane starts (that event has no lane).
+ *
+ * Modes:
+ *   parallel    (default) every lane starts as soon as the lanes it depends on
+ *               have finished - by default branches run side by side and each
+ *               branch runs its steps in order
+ *   sequential  one lane at a time, in plan order
+ *
+ * A lane whose dependency failed is skipped. A cancelled run starts no more
+ * lanes and sends no more events. Runs are kept in memory only.
+ */
+
+const crypto = require('crypto');
+const { getField } = require('../utils/getField');
+const fieldAliases = require('../utils/field-alias-map.json');
+const template = require('../utils/prompt-template');
+const { templateScope } = require('./prompt-renderer');
+const { laneDependencies } = require('./lane-context');
+const { resolveProviderKind, createLLMProvider } = require('./llm-provider');
+
+const RUN_MODES = ['parallel', 'sequential'];
+const TEXT_TYPES = ['singleLineText', 'multilineText', 'richText'];
+
+class WorkflowRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataSource - services/data-source.js instance
+   * @param {Object} options.tables - services/table-registry.js instance
+   * @param {Function} options.assemble - (recordId, laneId) => Promise<UnifiedContext>
+   * @param {Object} options.events - services/sse-events.js
+   * @param {Object} [options.schemaService] - Used to find the Outputs table's lane output fields
+   * @param {string} [options.provider] - Provider for every workflow (e.g. 'mock'), instead of routing.provider
+   * @param {Object} [options.apiKeys] - { openai, anthropic }
+   * @param {string} [options.mode] - Default run mode ('parallel' | 'sequential')
+   * @param {Function} [options.onRecordsChanged] - (tableKey) => void, after the runner writes records
+   */
+  constructor(options = {}) {
+    this.dataSource = options.dataSource;
+    this.tables = options.tables;
+    this.assemble = options.assemble;
+    this.events = options.events;
+    this.schemaService = options.schemaService || null;
+    this.providerOverride = options.provider || null;
+    this.apiKeys = options.apiKeys || {};
+    this.mode = RUN_MODES.includes(options.mode) ? options.mode : 'parallel';
+    this.onRecordsChanged = options.onRecordsChanged || (() => {});
+    this.maxRuns = options.maxRuns || 100; // latest run per request, oldest requests dropped past this
+
+    this.providers = new Map(); // kind -> adapter, created on first use
+    this.runs = new Map(); // recordId -> latest run
+
+    console.log(`[Workflow Runner] Initialized (${this.mode}${this.providerOverride ? `, provider ${this.providerOverride}` : ''})`);
+  }
+
+  /**
+   * Latest run for a request (null if it was never run here)
+   */
+  getRun(recordId) {
+    const run = this.runs.get(recordId);
+    return run ? publicRun(run) : null;
+  }
+
+  /**
+   * Start a run. Resolves once the plan is known (lanes, provider, Outputs
+   * record); the lanes then run in the background.
+   *
+   * Rejects with statusCode 409 while the request is already running and
+   * 400 when it has no active lanes or the mode is unknown. A plan that fails
+   * also sends a lane_error, since callers may not wait for the result.
+   */
+  async start(recordId, options = {}) {
+    const mode = options.mode || this.mode;
+    if (!RUN_MODES.includes(mode)) {
+      throw requestError(400, `Unknown run mode "${mode}" (expected one of: ${RUN_MODES.join(', ')})`);
+    }
+
+    const current = this.runs.get(recordId);
+    if (current && current.status === 'running') {
+      throw requestError(409, `Request ${recordId} is already running (run ${current.id})`);
+    }
+
+    const run = {
+      id: `run_${crypto.randomBytes(6).toString('hex')}`,
+      record_id: recordId,
+      mode,
+      status: 'running',
+      provider: null,
+      model: null,
+      output_id: null,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      error: null,
+      lanes: [],
+      lastEventType: null
+    };
+    this.remember(run);
+
+    try {
+      await this.plan(run);
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      run.finished_at = new Date().toISOString();
+      console.error(`[Workflow Runner] ${run.id} for ${recordId} could not start: ${error.message}`);
+      this.emit(run, 'lane_error', () => this.events.emitLaneError(recordId, null, new Error(`Workflow could not start: ${error.message}`)));
+      throw error;
+    }
+
+    console.log(`[Workflow Runner] ${run.id} for ${recordId}: ${run.lanes.length} lane(s), ${mode}, ${run.provider} ${run.model}`);
+    this.execute(run).catch(error => {
+      console.error(`[Workflow Runner] ${run.id} crashed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+      run.finished_at = new Date().toISOString();
+    });
+
+    return publicRun(run);
+  }
+
+  /**
+   * Stop a request's running run: lanes not yet started are skipped, and
+   * replies still on their way are dropped. Returns false when nothing is running.
+   */
+  cancel(recordId) {
+    const run = this.runs.get(recordId);
+    if (!run || run.status !== 'running') return false;
+
+    run.status = 'cancelled';
+    run.finished_at = new Date().toISOString();
+    console.log(`[Workflow Runner] ${run.id} for ${recordId} cancelled`);
+    return true;
+  }
+
+  /**
+   * Lanes, dependencies, provider and Outputs record for a run
+   */
+  async plan(run) {
+    const context = await this.assemble(run.record_id, null);
+    const activeLanes = context.lane_plan.filter(step => step.enabled).map(step => step.lane);
+    if (activeLanes.length === 0) {
+      throw requestError(400, `Request ${run.record_id} has no active lanes to run`);
+    }
+
+    const workflow = context.meta.workflow_id
+      ? await this.findRecord('WORKFLOWS', context.meta.workflow_id).catch(() => null)
+      : null;
+
+    run.provider = resolveProviderKind(context.routing, this.providerOverride);
+    run.model = context.routing.model;
+    this.provider(run.provider); // unknown providers fail the run before any lane starts
+
+    run.lanes = orderLanes(activeLanes.map(laneId => ({
+      lane: laneId,
+      depends_on: laneDependencies(laneId, workflow, activeLanes).filter(dependency => activeLanes.includes(dependency)),
+      status: 'pending',
+      prompt: null,
+      started_at: null,
+      finished_at: null,
+      usage: null,
+      missing_variables: [],
+      error: null
+    })));
+
+    const outputsSchema = await this.outputsSchema();
+    run.output_id = await this.ensureOutputsRecord(run.record_id, outputsSchema);
+    run.outputFields = outputFieldNames(activeLanes, outputsSchema);
+  }
+
+  /**
+   * Run every lane, then send done (or end on lane_error)
+   */
+  async execute(run) {
+    const startedAt = Date.now();
+
+    if (run.mode === 'sequential') {
+      for (const lane of run.lanes) {
+        await this.runLane(run, lane);
+      }
+    } else {
+      const pending = new Map();
+      const schedule = (lane) => {
+        if (!pending.has(lane.lane)) {
+          const dependencies = lane.depends_on.map(id => schedule(run.lanes.find(other => other.lane === id)));
+          pending.set(lane.lane, Promise.all(dependencies).then(() => this.runLane(run, lane)));
+        }
+        return pending.get(lane.lane);
+      };
+      await Promise.all(run.lanes.map(schedule));
+    }
+
+    const count = (status) => run.lanes.filter(lane => lane.status === status).length;
+    if (run.status === 'cancelled') {
+      console.log(`[Workflow Runner] ${run.id} stopped after cancellation: ${count('complete')} complete, ${count('skipped')} skipped`);
+      return;
+    }
+
+    const failed = run.lanes.filter(lane => lane.status === 'failed');
+    run.status = failed.length === 0 ? 'complete' : 'failed';
+    run.finished_at = new Date().toISOString();
+
+    if (failed.length === 0) {
+      this.events.emitDone(run.record_id, {
+        runner: 'local',
+        run_id: run.id,
+        provider: run.provider,
+        model: run.model,
+        lanes: run.lanes.length,
+        output_id: run.output_id,
+        duration_ms: Date.now() - startedAt
+      });
+    } else if (run.lastEventType !== 'lane_error') {
+      // A lane in another branch finished after the failure; end on the error so the request shows as failed
+      this.events.emitLaneError(run.record_id, failed[0].lane, new Error(`Workflow stopped: ${failed.length} lane(s) failed, ${count('skipped')} skipped`));
+    }
+
+    console.log(`[Workflow Runner] ${run.id} ${run.status}: ${count('complete')} complete, ${failed.length} failed, ${count('skipped')} skipped (${Date.now() - startedAt}ms)`);
+  }
+
+  /**
+   * Run one lane: assemble, render, call the model, write the output
+   */
+  async runLane(run, lane) {
+    if (run.status === 'cancelled') {
+      lane.status = 'skipped';
+      lane.error = 'Skipped: run cancelled';
+      return;
+    }
+
+    const blocked = lane.depends_on.filter(id => run.lanes.find(other => other.lane === id).status !== 'complete');
+    if (blocked.length > 0) {
+      lane.status = 'skipped';
+      lane.error = `Skipped: ${blocked.join(', ')} did not complete`;
+      console.warn(`[Workflow Runner] ${run.id} lane ${lane.lane} skipped (${blocked.join(', ')} did not complete)`);
+      return;
+    }
+
+    lane.status = 'running';
+    lane.started_at = new Date().toISOString();
+
+    try {
+      const context = await this.assemble(run.record_id, lane.lane);
+      const prompt = context.lane.prompt;
+      lane.prompt = prompt ? { id: prompt.id, name: prompt.name } : null;
+      this.emit(run, 'lane_start', () => this.events.emitLaneStart(run.record_id, lane.lane, prompt ? prompt.name : null));
+
+      if (!prompt) {
+        throw new Error(`No prompt linked to lane ${lane.lane} (WF - ${lane.lane} on the request, or ${lane.lane} on the workflow)`);
+      }
+
+      const rendered = template.render(prompt.text, templateScope(context));
+      if (rendered.errors.length > 0) {
+        const first = rendered.errors[0];
+        throw new Error(`Prompt "${prompt.name}" has template errors (line ${first.line}, column ${first.column}: ${first.message})`);
+      }
+      lane.missing_variables = rendered.missing.map(missing => missing.variable);
+      if (lane.missing_variables.length > 0) {
+        console.warn(`[Workflow Runner] ${run.id} lane ${lane.lane}: no value for ${lane.missing_variables.join(', ')}`);
+      }
+
+      const reply = await this.provider(run.provider).complete({
+        model: context.routing.model,
+        system: systemText(context),
+        prompt: rendered.text,
+        maxTokens: context.meta.token_budget ? context.meta.token_budget.reserve_tokens : undefined,
+        lane: lane.lane
+      });
+      lane.usage = reply.usage;
+      if (run.status === 'cancelled') {
+        lane.status = 'skipped';
+        lane.error = 'Skipped: run cancelled while the model was replying';
+        return;
+      }
+
+      await this.writeOutput(run, lane.lane, reply.text);
+
+      lane.status = 'complete';
+      lane.finished_at = new Date().toISOString();
+      this.emit(run, 'lane_finish', () => this.events.emitLaneFinish(run.record_id, lane.lane, reply.text));
+    } catch (error) {
+      lane.status = 'failed';
+      lane.error = error.message;
+      lane.finished_at = new Date().toISOString();
+      console.error(`[Workflow Runner] ${run.id} lane ${lane.lane} failed: ${error.message}`);
+      this.emit(run, 'lane_error', () => this.events.emitLaneError(run.record_id, lane.lane, error));
+    }
+  }
+
+  emit(run, type, send) {
+    if (run.status === 'cancelled') return;
+    run.lastEventType = type;
+    send();
+  }
+
+  /**
+   * The request's Outputs record ID, creating and linking one if it has none.
+   * The new record's name goes in the table's primary field and the link in
+   * its field linking to the Initiator table (Name and Initiator without a schema).
+   */
+  async ensureOutputsRecord(recordId, schema) {
+    const initiator = await this.findRecord('INITIATOR', recordId);
+    const existing = toList(getField(initiator.fields, fieldAliases.outputs_record)).find(id => /^rec/.test(id));
+    if (existing) return existing;
+
+    let nameField = 'Name';
+    let linkField = 'Initiator';
+    if (schema) {
+      const primary = schema.fields.find(field => field.id === schema.primaryFieldId && TEXT_TYPES.includes(field.type));
+      const link = schema.fields.find(field => field.type === 'multipleRecordLinks' && field.options && field.options.linkedTableId === this.tables.tableId('INITIATOR'));
+      nameField = primary ? primary.name : null;
+      linkField = link ? link.name : null;
+      if (!link) {
+        console.warn(`[Workflow Runner] The Outputs table has no field linking to the Initiator table; ${recordId} is linked from its Outputs Record ID only`);
+      }
+    }
+
+    const fields = {};
+    if (nameField) fields[nameField] = `Outputs for ${recordId}`;
+    if (linkField) fields[linkField] = [recordId];
+    const [outputs] = await this.dataSource.createRecords(this.tables.baseIdFor('OUTPUTS'), this.tables.tableId('OUTPUTS'), [{ fields }]);
+    await this.dataSource.updateRecords(this.tables.baseIdFor('INITIATOR'), this.tables.tableId('INITIATOR'), [
+      { id: recordId, fields: { [fieldAliases.outputs_record[0]]: outputs.id } }
+    ]);
+    this.onRecordsChanged('OUTPUTS');
+    this.onRecordsChanged('INITIATOR');
+
+    console.log(`[Workflow Runner] Created Outputs record ${outputs.id} for ${recordId}`);
+    return outputs.id;
+  }
+
+  /**
+   * The Outputs table's schema (null when there is no schema service or it can't be read)
+   */
+  async outputsSchema() {
+    if (!this.schemaService) return null;
+    try {
+      return await this.schemaService.getTableSchemaById(this.tables.baseIdFor('OUTPUTS'), this.tables.tableId('OUTPUTS'));
+    } catch (error) {
+      console.warn(`[Workflow Runner] Could not load the Outputs schema: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeOutput(run, laneId, text) {
+    await this.dataSource.updateRecords(this.tables.baseIdFor('OUTPUTS'), this.tables.tableId('OUTPUTS'), [
+      { id: run.output_id, fields: { [run.outputFields[laneId]]: text } }
+    ]);
+    this.onRecordsChanged('OUTPUTS');
+  }
+
+  findRecord(tableKey, recordId) {
+    return this.dataSource.findRecord(this.tables.baseIdFor(tableKey), this.tables.tableId(tableKey), recordId);
+  }
+
+  /**
+   * Provider adapter for a kind (throws for unknown kinds)
+   */
+  provider(kind) {
+    if (!this.providers.has(kind)) {
+      this.providers.set(kind, createLLMProvider({ kind, apiKeys: this.apiKeys }));
+    }
+    return this.providers.get(kind);
+  }
+
+  remember(run) {
+    this.runs.delete(run.record_id);
+    this.runs.set(run.record_id, run);
+    while (this.runs.size > this.maxRuns) {
+      this.runs.delete(this.runs.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Lanes in dependency order (plan order otherwise); a dependency cycle is an error
+ */
+function orderLanes(lanes) {
+  const byId = new Map(lanes.map(lane => [lane.lane, lane]));
+  const ordered = [];
+  const state = new Map(); // lane -> 'visiting' | 'done'
+
+  const visit = (lane, path) => {
+    if (state.get(lane.lane) === 'done') return;
+    if (state.get(lane.lane) === 'visiting') {
+      throw requestError(400, `Lane dependencies form a cycle: ${[...path, lane.lane].join(' -> ')}`);
+    }
+    state.set(lane.lane, 'visiting');
+    lane.depends_on.forEach(id => visit(byId.get(id), [...path, lane.lane]));
+    state.set(lane.lane, 'done');
+    ordered.push(lane);
+  };
+
+  lanes.forEach(lane => visit(lane, []));
+  return ordered;
+}
+
+/**
+ * Output field per lane: the first lane_output alias the Outputs table has
+ * (the first alias when the schema can't be read)
+ */
+function outputFieldNames(laneIds, schema) {
+  const names = schema ? new Set(schema.fields.map(field => field.name)) : null;
+  const fields = {};
+  laneIds.forEach(laneId => {
+    const aliases = fieldAliases.lane_output.map(alias => alias.replace('{lane}', laneId));
+    fields[laneId] = (names && aliases.find(alias => names.has(alias))) || aliases[0];
+  });
+  return fields;
+}
+
+/**
+ * What the model is given besides the prompt: the lane context, without meta
+ */
+function systemText(context) {
+  const { meta, ...sections } = context;
+  return `You are running lane ${context.lane.id} of a content workflow. The context for this lane (UnifiedContext ${meta.version}) is:\n${JSON.stringify(sections, null, 2)}`;
+}
+
+function publicRun(run) {
+  const { lastEventType, outputFields, ...visible } = run;
+  return JSON.parse(JSON.stringify(visible));
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function requestError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = WorkflowRunner;
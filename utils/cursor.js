@@ -0,0 +1,65 @@
+/**
+ * Pagination Cursors
+ *
+ * Opaque cursors for paginated list endpoints. A cursor wraps the data
+ * source's page offset together with a fingerprint of the query that
+ * produced it, so a cursor replayed against different filters is rejected
+ * instead of silently returning the wrong page.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Error for a malformed or mismatched cursor (routes answer 400)
+ */
+function cursorError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Short hash of everything that shapes the listing (filters, sort, page size...)
+ */
+function fingerprint(query) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify(query))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Wrap a data source offset in an opaque cursor (null when there is no next page)
+ */
+function encodeCursor(offset, query) {
+  if (!offset) return null;
+  return Buffer.from(JSON.stringify({ o: offset, q: fingerprint(query) })).toString('base64url');
+}
+
+/**
+ * Unwrap a cursor back into a data source offset
+ */
+function decodeCursor(cursor, query) {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw cursorError('Invalid cursor');
+  }
+
+  if (!payload || !payload.o) {
+    throw cursorError('Invalid cursor');
+  }
+  if (payload.q !== fingerprint(query)) {
+    throw cursorError('Cursor does not match the current filters - start again without a cursor');
+  }
+
+  return payload.o;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,252 @@
+/**
+ * Field Validator
+ *
+ * Checks a record's fields against its table schema (Meta API shape) and
+ * coerces them to what Airtable expects, so a bad value comes back as an
+ * error on that field instead of an opaque failure from Airtable:
+ *
+ *   unknown fields     not in the table. A name from one of the `aliases` groups
+ *                      (utils/field-alias-map.json) is renamed to the table's own
+ *                      name; otherwise a close match is suggested
+ *   read-only fields   computed by Airtable (formula, lookup, created time, ...)
+ *   selects            must be one of the field's choices, in any case (written
+ *                      with the choice's own spelling)
+ *   numbers, checkbox  "12", "true" / "on" / "1" and the like are converted
+ *   date, dateTime     anything Date can parse; dates are written as YYYY-MM-DD
+ *   links              record IDs; a single ID or a comma-separated string
+ *                      becomes a list
+ *
+ * Empty values (null, "", []) are dropped. Errors are { field, code, message }
+ * with `field` as the caller sent it.
+ */
+
+// Computed by Airtable - never writable
+const READ_ONLY_TYPES = [
+  'formula', 'rollup', 'count', 'lookup', 'multipleLookupValues', 'autoNumber', 'button',
+  'createdTime', 'lastModifiedTime', 'createdBy', 'lastModifiedBy', 'externalSyncSource'
+];
+
+const TEXT_TYPES = ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber', 'aiText'];
+const NUMBER_TYPES = ['number', 'currency', 'percent', 'duration', 'rating'];
+const TRUE_STRINGS = ['true', 'yes', 'on', '1', 'checked'];
+const FALSE_STRINGS = ['false', 'no', 'off', '0'];
+const RECORD_ID = /^rec[A-Za-z0-9]{14,}$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate and coerce `input` for a table. Returns { fields, errors }.
+ * Options: aliases - lists of interchangeable field names
+ */
+function validateFields(input, tableSchema, { aliases = [] } = {}) {
+  const fields = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ field: null, code: 'invalid_type', message: 'fields must be an object of field names and values' });
+    return { fields, errors };
+  }
+
+  const byName = new Map(tableSchema.fields.map(field => [field.name, field]));
+  const setBy = new Map(); // table field name -> name the caller used
+
+  Object.entries(input).forEach(([name, value]) => {
+    const fail = (code, message) => errors.push({ field: name, code, message });
+
+    const field = byName.get(name) || aliasedField(name, aliases, byName);
+    if (!field) {
+      const suggestion = closestName(name, [...byName.keys()]);
+      return fail('unknown_field', `is not a field of ${tableSchema.name || 'the table'}${suggestion ? ` - did you mean "${suggestion}"?` : ''}`);
+    }
+    if (READ_ONLY_TYPES.includes(field.type)) {
+      return fail('read_only', `is computed by Airtable (${field.type}) and can't be set`);
+    }
+    if (setBy.has(field.name)) {
+      return fail('duplicate_field', `sets "${field.name}", which "${setBy.get(field.name)}" already set`);
+    }
+    setBy.set(field.name, name);
+
+    if (isEmpty(value)) return;
+
+    const result = coerce(field, value);
+    if (result.error) return fail(result.code, result.error);
+    fields[field.name] = result.value;
+  });
+
+  return { fields, errors };
+}
+
+/**
+ * One value for a field: { value } or { code, error }
+ */
+function coerce(field, value) {
+  const type = field.type;
+
+  if (TEXT_TYPES.includes(type)) {
+    if (typeof value === 'string') return { value };
+    if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+    return invalid('invalid_type', `must be text (got ${typeOf(value)})`);
+  }
+
+  if (NUMBER_TYPES.includes(type)) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return invalid('invalid_number', `must be a number (got ${JSON.stringify(value)})`);
+    }
+    if (type === 'rating') {
+      const max = (field.options && field.options.max) || 5;
+      if (!Number.isInteger(number) || number < 1 || number > max) {
+        return invalid('invalid_number', `must be a whole number from 1 to ${max}`);
+      }
+    }
+    return { value: number };
+  }
+
+  switch (type) {
+    case 'checkbox': {
+      if (typeof value === 'boolean') return { value };
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_STRINGS.includes(text)) return { value: true };
+      if (FALSE_STRINGS.includes(text)) return { value: false };
+      return invalid('invalid_type', `must be true or false (got ${JSON.stringify(value)})`);
+    }
+
+    case 'date': {
+      const text = String(value).trim();
+      const date = new Date(DATE_ONLY.test(text) ? `${text}T00:00:00Z` : text);
+      if (isNaN(date.getTime())) {
+        return invalid('invalid_date', `must be a date, e.g. 2025-01-31 (got ${JSON.stringify(value)})`);
+      }
+      return { value: DATE_ONLY.test(text) ? text : date.toISOString().slice(0, 10) };
+    }
+
+    case 'dateTime': {
+      const date = new Date(typeof value === 'string' ? value.trim() : NaN);
+      if (isNaN(date.getTime())) {
+        return invalid('invalid_date', `must be a date and time, e.g. 2025-01-31T09:00:00Z (got ${JSON.stringify(value)})`);
+      }
+      return { value: date.toISOString() };
+    }
+
+    case 'singleSelect': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return invalid('invalid_type', `must be one option (got ${typeOf(value)})`);
+      }
+      return matchChoices(field, [String(value)]);
+    }
+
+    case 'multipleSelects': {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        return invalid('invalid_type', 'must be a list of options');
+      }
+      return matchChoices(field, values.map(String), true);
+    }
+
+    case 'multipleRecordLinks': {
+      const ids = (Array.isArray(value) ? value : String(value).split(','))
+        .map(id => (typeof id === 'string' ? id.trim() : id))
+        .filter(id => id !== '');
+      const bad = ids.filter(id => typeof id !== 'string' || !RECORD_ID.test(id));
+      if (bad.length > 0) {
+        return invalid('invalid_link', `must be record IDs like recXXXXXXXXXXXXXX (got ${bad.map(id => JSON.stringify(id)).join(', ')})`);
+      }
+      if (field.options && field.options.prefersSingleRecordLink && ids.length > 1) {
+        return invalid('invalid_link', `links to a single record (got ${ids.length})`);
+      }
+      return { value: ids };
+    }
+
+    default:
+      // Attachments, collaborators, barcodes, ...: left for Airtable to check
+      return { value };
+  }
+}
+
+/**
+ * Match values to a select field's choices (case-insensitive). Fields whose
+ * choices aren't in the schema accept any value.
+ */
+function matchChoices(field, values, multiple = false) {
+  const choices = field.options && Array.isArray(field.options.choices) ? field.options.choices.map(choice => choice.name) : null;
+  if (!choices) return { value: multiple ? values : values[0] };
+
+  const matched = [];
+  const unknown = [];
+  values.forEach(value => {
+    const choice = choices.find(name => name.toLowerCase() === value.trim().toLowerCase());
+    if (choice) matched.push(choice);
+    else unknown.push(value);
+  });
+
+  if (unknown.length > 0) {
+    return invalid('invalid_choice', `must be ${multiple ? 'any' : 'one'} of: ${choices.join(', ')} (got ${unknown.map(value => JSON.stringify(value)).join(', ')})`);
+  }
+  return { value: multiple ? [...new Set(matched)] : matched[0] };
+}
+
+/**
+ * The table's field for an alias of it, if any
+ */
+function aliasedField(name, aliases, byName) {
+  const group = aliases.find(names => names.includes(name));
+  if (!group) return null;
+  const target = group.find(alias => byName.has(alias));
+  return target ? byName.get(target) : null;
+}
+
+/**
+ * A field name that is probably what `name` meant: same letters and digits
+ * ignoring case, or within a few typos
+ */
+function closestName(name, names) {
+  const normalize = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const same = names.find(candidate => normalize(candidate) === normalize(name));
+  if (same) return same;
+
+  const maxDistance = Math.min(3, Math.floor(name.length / 4));
+  let best = null;
+  names.forEach(candidate => {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { name: candidate, distance };
+    }
+  });
+  return best ? best.name : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  return Array.isArray(value) && value.length === 0;
+}
+
+function invalid(code, error) {
+  return { code, error };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+}
+
+module.exports = {
+  READ_ONLY_TYPES,
+  validateFields
+};
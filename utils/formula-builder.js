@@ -0,0 +1,200 @@
+/**
+ * Formula Builder
+ *
+ * Small helpers for composing Airtable filterByFormula strings from user
+ * input. Values are always emitted as escaped string literals and field names
+ * are checked before being wrapped in {braces}, so query parameters can never
+ * inject formula syntax.
+ *
+ * Everything produced here is also understood by utils/formula-evaluator.js,
+ * so the same filters work against the local data source.
+ */
+
+/**
+ * Quote a value as a formula string literal
+ */
+function str(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Reference a field by name
+ */
+function field(name) {
+  if (typeof name !== 'string' || !name || /[{}]/.test(name)) {
+    throw new Error(`Invalid field name for formula: ${JSON.stringify(name)}`);
+  }
+  return `{${name}}`;
+}
+
+/**
+ * AND of the given clauses (empty clauses are skipped)
+ */
+function and(...clauses) {
+  const parts = clauses.flat().filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `AND(${parts.join(', ')})`;
+}
+
+/**
+ * OR of the given clauses (empty clauses are skipped)
+ */
+function or(...clauses) {
+  const parts = clauses.flat().filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `OR(${parts.join(', ')})`;
+}
+
+/**
+ * Negate a clause
+ */
+function not(clause) {
+  return clause ? `NOT(${clause})` : '';
+}
+
+/**
+ * Field is empty (works for text, links and lookups)
+ */
+function isBlank(name) {
+  return `${field(name)} = ""`;
+}
+
+/**
+ * Field has a value
+ */
+function isPresent(name) {
+  return `${field(name)} != ""`;
+}
+
+/**
+ * Emit a number literal (rejects anything that isn't a finite number)
+ */
+function num(value) {
+  const number = typeof value === 'number' ? value : Number(value);
+  if (typeof value === 'boolean' || value === '' || value === null || !Number.isFinite(number)) {
+    throw new Error(`Invalid number for formula: ${JSON.stringify(value)}`);
+  }
+  return String(number);
+}
+
+const COMPARISON_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Numeric comparison: op is gt | gte | lt | lte
+ */
+function compareNumber(name, op, value) {
+  if (!COMPARISON_OPERATORS[op]) throw new Error(`Unknown comparison: ${op}`);
+  return `${field(name)} ${COMPARISON_OPERATORS[op]} ${num(value)}`;
+}
+
+/**
+ * Date comparison on a date field: op is gt | gte | lt | lte (blank dates never match)
+ */
+function compareDate(name, op, date) {
+  const ref = field(name);
+  const value = `DATETIME_PARSE(${str(toISO(date))})`;
+  const comparisons = {
+    gt: `IS_AFTER(${ref}, ${value})`,
+    gte: `NOT(IS_BEFORE(${ref}, ${value}))`,
+    lt: `IS_BEFORE(${ref}, ${value})`,
+    lte: `NOT(IS_AFTER(${ref}, ${value}))`
+  };
+  if (!comparisons[op]) throw new Error(`Unknown comparison: ${op}`);
+  return and(isPresent(name), comparisons[op]);
+}
+
+/**
+ * Checkbox-style truthiness
+ */
+function isTrue(name) {
+  return field(name);
+}
+
+function isFalse(name) {
+  return `NOT(${field(name)})`;
+}
+
+/**
+ * Field equals a value exactly (numbers compare numerically)
+ */
+function equals(name, value) {
+  return `${field(name)} = ${typeof value === 'number' ? num(value) : str(value)}`;
+}
+
+/**
+ * Case-insensitive exact match on a text or single select field
+ */
+function equalsIgnoreCase(name, value) {
+  return `LOWER(${field(name)} & "") = ${str(String(value).toLowerCase())}`;
+}
+
+/**
+ * Case-insensitive substring match across one or more fields
+ */
+function contains(names, text) {
+  const list = Array.isArray(names) ? names : [names];
+  if (list.length === 0) return '';
+  const haystack = list.map(field).join(' & " " & ') + (list.length === 1 ? ' & ""' : '');
+  return `SEARCH(LOWER(${str(text)}), LOWER(${haystack}))`;
+}
+
+/**
+ * A multi-value field (links, lookups, multiple selects) contains one of the
+ * given values exactly
+ */
+function hasAny(name, values) {
+  const list = (Array.isArray(values) ? values : [values]).filter(v => v !== '' && v !== null && v !== undefined);
+  const joined = `"|" & ARRAYJOIN(${field(name)}, "|") & "|"`;
+  return or(list.map(value => `FIND(${str(`|${value}|`)}, ${joined})`));
+}
+
+/**
+ * Record is one of the given record IDs
+ */
+function recordIdIn(ids) {
+  const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+  return or(list.map(id => `RECORD_ID() = ${str(id)}`));
+}
+
+/**
+ * Record was created at or after a date
+ */
+function createdOnOrAfter(date) {
+  return `NOT(IS_BEFORE(CREATED_TIME(), DATETIME_PARSE(${str(toISO(date))})))`;
+}
+
+/**
+ * Record was created strictly before a date
+ */
+function createdBefore(date) {
+  return `IS_BEFORE(CREATED_TIME(), DATETIME_PARSE(${str(toISO(date))}))`;
+}
+
+function toISO(date) {
+  return date instanceof Date ? date.toISOString() : String(date);
+}
+
+module.exports = {
+  str,
+  field,
+  and,
+  or,
+  not,
+  isBlank,
+  isPresent,
+  num,
+  compareNumber,
+  compareDate,
+  isTrue,
+  isFalse,
+  equals,
+  equalsIgnoreCase,
+  contains,
+  hasAny,
+  recordIdIn,
+  createdOnOrAfter,
+  createdBefore
+};
@@ -0,0 +1,339 @@
+/**
+ * Formula Evaluator
+ *
+ * Evaluates Airtable `filterByFormula` expressions against plain records
+ * ({ id, createdTime, fields }) so the local data source can answer the same
+ * queries the Airtable API does.
+ *
+ * Supports the subset of the formula language the app actually sends:
+ * - Field references: {Field Name}
+ * - String, number and boolean literals
+ * - Operators: = != < > <= >= & + - * /
+ * - Functions: AND, OR, NOT, IF, TRUE, FALSE, BLANK, RECORD_ID, CREATED_TIME,
+ *   LOWER, UPPER, TRIM, LEN, FIND, SEARCH, CONCATENATE, ARRAYJOIN, VALUE,
+ *   NOW, DATETIME_PARSE, IS_BEFORE, IS_AFTER
+ *
+ * Usage:
+ *   matchesFormula("AND({Status} = 'Published', FIND('ai', LOWER({Title})))", record);
+ */
+
+// Compiled expression trees by formula text (bounded - filters embed user input)
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+/**
+ * Split a formula into tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const char = formula[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '{') {
+      const end = formula.indexOf('}', i);
+      if (end === -1) throw new Error('Unterminated field reference');
+      tokens.push({ type: 'field', value: formula.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < formula.length && formula[i] !== char) {
+        if (formula[i] === '\\' && i + 1 < formula.length) {
+          const next = formula[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += formula[i++];
+        }
+      }
+      if (i >= formula.length) throw new Error('Unterminated string literal');
+      tokens.push({ type: 'string', value });
+      i++;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(formula.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(formula.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0].toUpperCase() });
+      i += identifier[0].length;
+      continue;
+    }
+
+    const operator = /^(!=|<=|>=|=|<|>|&|\+|-|\*|\/|\(|\)|,)/.exec(formula.slice(i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator[0] });
+      i += operator[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" at position ${i}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree (recursive descent)
+ */
+function parse(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) throw new Error(`Expected "${value}"`);
+    position++;
+  };
+
+  function parseBinary(next, operators) {
+    return () => {
+      let left = next();
+      while (isOperator(...operators)) {
+        const op = tokens[position++].value;
+        left = { type: 'binary', op, left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) throw new Error('Unexpected end of formula');
+
+    if (token.type === 'string' || token.type === 'number') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'field') {
+      return { type: 'field', name: token.value };
+    }
+    if (token.type === 'identifier') {
+      expect('(');
+      const args = [];
+      if (!isOperator(')')) {
+        args.push(parseComparison());
+        while (isOperator(',')) {
+          position++;
+          args.push(parseComparison());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const inner = parseComparison();
+      expect(')');
+      return inner;
+    }
+    if (token.value === '-') {
+      return { type: 'binary', op: '-', left: { type: 'literal', value: 0 }, right: parsePrimary() };
+    }
+
+    throw new Error(`Unexpected token "${token.value}"`);
+  }
+
+  const parseMultiplicative = parseBinary(parsePrimary, ['*', '/']);
+  const parseAdditive = parseBinary(parseMultiplicative, ['+', '-']);
+  const parseConcat = parseBinary(parseAdditive, ['&']);
+  const parseComparison = parseBinary(parseConcat, ['=', '!=', '<', '>', '<=', '>=']);
+
+  const tree = parseComparison();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${tokens[position].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Coerce a value the way Airtable does when a formula reads it
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return value.name || value.url || JSON.stringify(value);
+  return String(value);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const parsed = parseFloat(toText(value));
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const date = new Date(toText(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function isTruthy(value) {
+  if (isBlank(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+  return Boolean(value);
+}
+
+function compare(op, left, right) {
+  let a = left;
+  let b = right;
+
+  if (left instanceof Date || right instanceof Date) {
+    const dateA = toDate(left);
+    const dateB = toDate(right);
+    if (!dateA || !dateB) return op === '!=';
+    a = dateA.getTime();
+    b = dateB.getTime();
+  } else if (typeof left === 'number' || typeof right === 'number') {
+    if (isBlank(left) || isBlank(right)) {
+      a = isBlank(left) ? '' : toText(left);
+      b = isBlank(right) ? '' : toText(right);
+    } else {
+      a = toNumber(left);
+      b = toNumber(right);
+    }
+  } else {
+    a = typeof left === 'boolean' ? left : toText(left);
+    b = typeof right === 'boolean' ? right : toText(right);
+  }
+
+  switch (op) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+  }
+  return false;
+}
+
+const FUNCTIONS = {
+  AND: (args) => args.every(isTruthy),
+  OR: (args) => args.some(isTruthy),
+  NOT: ([value]) => !isTruthy(value),
+  IF: ([condition, whenTrue, whenFalse]) => isTruthy(condition) ? whenTrue : (whenFalse === undefined ? null : whenFalse),
+  TRUE: () => true,
+  FALSE: () => false,
+  BLANK: () => null,
+  LOWER: ([value]) => toText(value).toLowerCase(),
+  UPPER: ([value]) => toText(value).toUpperCase(),
+  TRIM: ([value]) => toText(value).trim(),
+  LEN: ([value]) => toText(value).length,
+  FIND: ([needle, haystack, start]) => toText(haystack).indexOf(toText(needle), start ? toNumber(start) - 1 : 0) + 1,
+  SEARCH: ([needle, haystack, start]) => {
+    const index = toText(haystack).toLowerCase().indexOf(toText(needle).toLowerCase(), start ? toNumber(start) - 1 : 0);
+    return index === -1 ? null : index + 1;
+  },
+  CONCATENATE: (args) => args.map(toText).join(''),
+  ARRAYJOIN: ([values, separator]) => (Array.isArray(values) ? values : [values])
+    .filter(v => !isBlank(v))
+    .map(toText)
+    .join(separator === undefined ? ', ' : toText(separator)),
+  VALUE: ([value]) => toNumber(value),
+  NOW: () => new Date(),
+  DATETIME_PARSE: ([value]) => toDate(value),
+  IS_BEFORE: ([a, b]) => {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    return Boolean(dateA && dateB && dateA < dateB);
+  },
+  IS_AFTER: ([a, b]) => {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    return Boolean(dateA && dateB && dateA > dateB);
+  }
+};
+
+/**
+ * Evaluate an expression tree against a record
+ */
+function evaluate(node, record) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field': {
+      const value = record.fields ? record.fields[node.name] : undefined;
+      return value === undefined ? null : value;
+    }
+
+    case 'call': {
+      if (node.name === 'RECORD_ID') return record.id;
+      if (node.name === 'CREATED_TIME') return toDate(record.createdTime);
+
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new Error(`Unsupported formula function: ${node.name}()`);
+      return fn(node.args.map(arg => evaluate(arg, record)));
+    }
+
+    case 'binary': {
+      const left = evaluate(node.left, record);
+      const right = evaluate(node.right, record);
+
+      switch (node.op) {
+        case '&': return toText(left) + toText(right);
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(right) === 0 ? null : toNumber(left) / toNumber(right);
+        default: return compare(node.op, left, right);
+      }
+    }
+  }
+
+  throw new Error(`Unknown expression node: ${node.type}`);
+}
+
+/**
+ * Compile a formula (cached)
+ */
+function compileFormula(formula) {
+  if (!compiled.has(formula)) {
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(formula, parse(tokenize(formula)));
+  }
+  return compiled.get(formula);
+}
+
+/**
+ * Evaluate a formula against a record and return the raw result
+ */
+function evaluateFormula(formula, record) {
+  return evaluate(compileFormula(formula), record);
+}
+
+/**
+ * Check whether a record passes a filterByFormula expression
+ */
+function matchesFormula(formula, record) {
+  if (!formula) return true;
+  return isTruthy(evaluateFormula(formula, record));
+}
+
+module.exports = {
+  compileFormula,
+  evaluateFormula,
+  matchesFormula
+};
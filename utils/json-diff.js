@@ -0,0 +1,84 @@
+/**
+ * JSON Diff
+ *
+ * Structural diff of two JSON values. Objects are compared key by key and
+ * arrays index by index; each difference is reported with a JSON Pointer path
+ * (RFC 6901), e.g. "/entity_context/kb_xml" or "/research/reports/0/title".
+ *
+ *   diff({ a: 1, b: [1] }, { a: 2, b: [1, 2] })
+ *   // [{ op: 'change', path: '/a', from: 1, to: 2 },
+ *   //  { op: 'add', path: '/b/1', to: 2 }]
+ */
+
+/**
+ * List the differences between two values ({ op: 'add' | 'remove' | 'change', path, from, to })
+ *
+ * @param {*} from
+ * @param {*} to
+ * @param {Object} options
+ * @param {string[]} options.ignore - JSON Pointer paths to skip (with everything below them)
+ */
+function diff(from, to, options = {}) {
+  const changes = [];
+  const ignore = options.ignore || [];
+  walk(from, to, '', changes, ignore);
+  return changes;
+}
+
+function walk(a, b, pointer, changes, ignore) {
+  if (ignore.includes(pointer)) return;
+
+  if (isObject(a) && isObject(b)) {
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    keys.forEach(key => {
+      const child = `${pointer}/${escapeToken(key)}`;
+      if (ignore.includes(child)) return;
+      if (!(key in b)) changes.push({ op: 'remove', path: child, from: a[key] });
+      else if (!(key in a)) changes.push({ op: 'add', path: child, to: b[key] });
+      else walk(a[key], b[key], child, changes, ignore);
+    });
+    return;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const length = Math.max(a.length, b.length);
+    for (let index = 0; index < length; index++) {
+      const child = `${pointer}/${index}`;
+      if (index >= b.length) changes.push({ op: 'remove', path: child, from: a[index] });
+      else if (index >= a.length) changes.push({ op: 'add', path: child, to: b[index] });
+      else walk(a[index], b[index], child, changes, ignore);
+    }
+    return;
+  }
+
+  if (!Object.is(a, b)) {
+    changes.push({ op: 'change', path: pointer, from: a, to: b });
+  }
+}
+
+/**
+ * JSON with object keys sorted at every level (stable input for hashing)
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports = {
+  diff,
+  canonicalJSON
+};
@@ -0,0 +1,73 @@
+/**
+ * JSON File Store
+ *
+ * Persists a single JSON document to disk for the local services that need
+ * to survive a restart (local data source, logs, stores).
+ *
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated file behind.
+ *
+ * Usage:
+ *   const store = new JsonFileStore('./data/things.json', { items: [] });
+ *   store.update(data => { data.items.push(thing); });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Where the document lives on disk
+   * @param {Object|Function} defaults - Initial document (or factory) used when the file doesn't exist yet
+   */
+  constructor(filePath, defaults = {}) {
+    this.filePath = path.resolve(filePath);
+    this.defaults = defaults;
+    this.data = null;
+  }
+
+  /**
+   * Read the document (loaded from disk once, then kept in memory)
+   */
+  read() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${this.filePath}: ${error.message}`);
+      }
+      this.data = typeof this.defaults === 'function'
+        ? this.defaults()
+        : JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Replace the document and flush it to disk
+   */
+  write(data) {
+    this.data = data;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Mutate the document in place and flush it to disk.
+   * Returns whatever the mutator returns.
+   */
+  update(mutator) {
+    const data = this.read();
+    const result = mutator(data);
+    this.write(data);
+    return result;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,214 @@
+/**
+ * JSON Schema
+ *
+ * A small validator for the subset of JSON Schema (draft 2020-12) used by the
+ * published contracts in schemas/, plus a compatibility check between two
+ * versions of a schema.
+ *
+ * Supported keywords: type (string or list), properties, required,
+ * additionalProperties (boolean or schema), items, enum, const, minimum,
+ * maximum, minLength, pattern, format ("date-time") and $ref to "#/$defs/...".
+ * Anything else is ignored, so only use these in schemas/.
+ *
+ * Errors and changes use JSON Pointer paths into the instance
+ * ("/meta/version", "/lane_plan/0/lane").
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+/**
+ * Validate a value. Returns a list of { path, keyword, message } (empty when valid).
+ */
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '', schema, errors);
+  return errors;
+}
+
+function check(schema, value, pointer, root, errors) {
+  schema = resolve(schema, root);
+  if (!schema || schema === true) return;
+
+  const fail = (keyword, message) => errors.push({ path: pointer || '/', keyword, message });
+
+  if (schema.type) {
+    const types = toList(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+      fail('type', `must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if ('const' in schema && !sameValue(value, schema.const)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => sameValue(value, option))) {
+    fail('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      fail('format', 'must be an ISO 8601 date-time');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) fail('required', `missing required property "${key}"`);
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const child = `${pointer}/${escapeToken(key)}`;
+      if (properties[key]) {
+        check(properties[key], value[key], child, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child, keyword: 'additionalProperties', message: `unexpected property "${key}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[key], child, root, errors);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, `${pointer}/${index}`, root, errors));
+  }
+}
+
+/**
+ * Compare two versions of a schema from a consumer's point of view.
+ * Breaking: a property removed or no longer required, a type or enum widened,
+ * a const changed. Non-breaking: new properties, narrower types or enums.
+ * Returns { compatible, breaking: [...], nonBreaking: [...] } with { path, change, message } entries.
+ */
+function compareSchemas(fromSchema, toSchema, options = {}) {
+  const changes = [];
+  const ignore = options.ignore || [];
+  compareNode(fromSchema, toSchema, '', fromSchema, toSchema, changes, ignore, new Set());
+
+  const breaking = changes.filter(change => change.breaking).map(stripFlag);
+  const nonBreaking = changes.filter(change => !change.breaking).map(stripFlag);
+  return { compatible: breaking.length === 0, breaking, nonBreaking };
+}
+
+function compareNode(a, b, pointer, rootA, rootB, changes, ignore, seen) {
+  a = resolve(a, rootA) || {};
+  b = resolve(b, rootB) || {};
+  if (ignore.includes(pointer) || seen.has(a)) return;
+  seen = new Set(seen).add(a);
+
+  const add = (breaking, change, message) => changes.push({ path: pointer || '/', change, message, breaking });
+
+  const typesA = a.type ? toList(a.type) : null;
+  const typesB = b.type ? toList(b.type) : null;
+  if (typesA && !typesB) add(true, 'type_removed', `type constraint ${typesA.join('|')} removed`);
+  if (typesA && typesB) {
+    const added = typesB.filter(type => !typesA.includes(type) && !(type === 'number' && typesA.includes('integer')));
+    const removed = typesA.filter(type => !typesB.includes(type));
+    if (added.length > 0) add(true, 'type_widened', `now also allows ${added.join(', ')}`);
+    if (removed.length > 0) add(false, 'type_narrowed', `no longer allows ${removed.join(', ')}`);
+  }
+
+  if ('const' in a && !sameValue(a.const, b.const)) {
+    add(true, 'const_changed', `const ${JSON.stringify(a.const)} -> ${'const' in b ? JSON.stringify(b.const) : '(any)'}`);
+  }
+
+  if (a.enum) {
+    const added = b.enum ? b.enum.filter(option => !a.enum.some(old => sameValue(old, option))) : ['(any value)'];
+    const removed = b.enum ? a.enum.filter(option => !b.enum.some(next => sameValue(next, option))) : [];
+    if (added.length > 0) add(true, 'enum_widened', `new values ${added.map(v => JSON.stringify(v)).join(', ')}`);
+    if (removed.length > 0) add(false, 'enum_narrowed', `values removed ${removed.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  const propsA = a.properties || {};
+  const propsB = b.properties || {};
+  const requiredA = a.required || [];
+  const requiredB = b.required || [];
+
+  Object.keys(propsA).forEach(key => {
+    const child = `${pointer}/${escapeToken(key)}`;
+    if (ignore.includes(child)) return;
+    if (!propsB[key]) {
+      changes.push({ path: child, change: 'property_removed', message: `property "${key}" removed`, breaking: true });
+      return;
+    }
+    if (requiredA.includes(key) && !requiredB.includes(key)) {
+      changes.push({ path: child, change: 'no_longer_required', message: `property "${key}" is now optional`, breaking: true });
+    }
+    compareNode(propsA[key], propsB[key], child, rootA, rootB, changes, ignore, seen);
+  });
+
+  Object.keys(propsB).forEach(key => {
+    if (propsA[key]) return;
+    const child = `${pointer}/${escapeToken(key)}`;
+    if (ignore.includes(child)) return;
+    const required = requiredB.includes(key);
+    changes.push({ path: child, change: 'property_added', message: `${required ? 'required' : 'optional'} property "${key}" added`, breaking: false });
+  });
+
+  if (a.additionalProperties === false && b.additionalProperties !== false) {
+    add(true, 'additional_properties_allowed', 'unknown properties are now allowed');
+  }
+
+  if (a.items || b.items) {
+    compareNode(a.items, b.items, `${pointer}/*`, rootA, rootB, changes, ignore, seen);
+  }
+}
+
+function resolve(schema, root) {
+  let current = schema;
+  for (let depth = 0; current && current.$ref && depth < 10; depth++) {
+    const match = /^#\/\$defs\/(.+)$/.exec(current.$ref);
+    if (!match || !root.$defs || !root.$defs[match[1]]) {
+      throw new Error(`Unresolvable $ref: ${current.$ref}`);
+    }
+    current = root.$defs[match[1]];
+  }
+  return current;
+}
+
+function stripFlag({ breaking, ...change }) {
+  return change;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function escapeToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports = {
+  validate,
+  compareSchemas
+};
@@ -0,0 +1,141 @@
+/**
+ * JSONL File
+ *
+ * Append-only log of JSON entries, one per line, for the local stores written
+ * on hot paths (lane events, context snapshots). An append costs one line of
+ * I/O instead of a rewrite of the whole history: lines are queued and written
+ * in the background with fs.appendFile, in order and batched, so an entry is
+ * on disk a moment after append() returns.
+ *
+ * The file is read once at startup (readAll); the stores keep their own
+ * in-memory view and compact the file with rewrite() - on startup, and again
+ * only once enough stale lines have piled up.
+ *
+ * Usage:
+ *   const log = new JsonlFile('./data/things.jsonl');
+ *   const entries = log.readAll();
+ *   log.append({ id: 1, name: 'thing' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonlFile {
+  /**
+   * @param {string} filePath - Where the log lives on disk
+   * @param {Object} options
+   * @param {Function} options.legacy - (document) => entries | null, for a file that
+   *   still holds one JSON document (the stores' format before JSONL)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.legacy = options.legacy || null;
+    this.lines = 0; // lines in the file, stale ones included
+    this.queue = [];
+    this.writing = null;
+  }
+
+  /**
+   * Every entry in the file, oldest first (none when there is no file yet).
+   * A line that doesn't parse - a write cut off by a crash - is skipped.
+   */
+  readAll() {
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${this.filePath}: ${error.message}`);
+      }
+      return [];
+    }
+
+    const converted = this.legacy ? this.readLegacy(text) : null;
+    if (converted) {
+      this.lines = Infinity; // rewritten as JSONL on the first compaction
+      return converted;
+    }
+
+    const entries = [];
+    let skipped = 0;
+    text.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        skipped += 1;
+      }
+    });
+    if (skipped > 0) console.warn(`[JSONL] Skipped ${skipped} unreadable line(s) in ${this.filePath}`);
+
+    this.lines = entries.length + skipped;
+    return entries;
+  }
+
+  readLegacy(text) {
+    try {
+      const document = JSON.parse(text);
+      return Array.isArray(document) ? null : this.legacy(document);
+    } catch (error) {
+      return null; // more than one line of JSON: already JSONL
+    }
+  }
+
+  /**
+   * Add an entry to the end of the file
+   */
+  append(entry) {
+    this.lines += 1;
+    this.enqueue({ append: `${JSON.stringify(entry)}\n` });
+  }
+
+  /**
+   * Replace the file with `entries` (serialized now, written in turn with the appends)
+   */
+  rewrite(entries) {
+    this.lines = entries.length;
+    this.enqueue({ rewrite: entries.map(entry => `${JSON.stringify(entry)}\n`).join('') });
+  }
+
+  /**
+   * Resolves once everything queued so far is on disk
+   */
+  flush() {
+    return this.writing || Promise.resolve();
+  }
+
+  enqueue(operation) {
+    this.queue.push(operation);
+    if (!this.writing) {
+      this.writing = this.drain().finally(() => {
+        this.writing = null;
+      });
+    }
+  }
+
+  async drain() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    while (this.queue.length > 0) {
+      const operation = this.queue.shift();
+      try {
+        if (operation.rewrite !== undefined) {
+          const tempPath = `${this.filePath}.${process.pid}.tmp`;
+          await fs.promises.writeFile(tempPath, operation.rewrite);
+          await fs.promises.rename(tempPath, this.filePath);
+        } else {
+          // Everything appended while the last write was running goes out in one call
+          let text = operation.append;
+          while (this.queue.length > 0 && this.queue[0].append !== undefined) {
+            text += this.queue.shift().append;
+          }
+          await fs.promises.appendFile(this.filePath, text);
+        }
+      } catch (error) {
+        console.error(`[JSONL] Could not write ${this.filePath}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = JsonlFile;
@@ -0,0 +1,240 @@
+/**
+ * Prompt Template
+ *
+ * The template language for Prompt Text in the Prompts table:
+ *
+ *   {{entity.name}}                      value at a dotted path
+ *   {{user_input.tags | join ", "}}      filters: default "x", join ", ", json, upper, lower
+ *   {{#if research.reports}}...{{else}}...{{/if}}
+ *   {{#unless lane.prompt}}...{{/unless}}
+ *   {{#each references}}[{{citation.number}}] {{title}}{{/each}}
+ *   {{! a comment }}
+ *
+ * Inside {{#each}}, names are looked up on the current item first, then
+ * outwards; `this` is the item and `@index`, `@number` (1-based), `@first`,
+ * `@last` and `@key` describe its position. Lists print joined with ", " and
+ * objects as JSON; empty values print nothing.
+ *
+ * `render` never throws for template problems. It returns the text with
+ * diagnostics: syntax `errors` (the text is null then) and `missing` variables
+ * (output tags and {{#each}} lists whose path has no value, unless the tag has
+ * a `default`). {{#if}} and {{#unless}} conditions are never reported missing.
+ */
+
+const TAG = /\{\{(.*?)\}\}/gs;
+const PATH = /^(this|@index|@number|@first|@last|@key|[A-Za-z_][\w-]*)(\.[A-Za-z_0-9][\w-]*)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+const FILTERS = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(stringify).join(separator) : value),
+  json: value => JSON.stringify(value === undefined ? null : value, null, 2),
+  upper: value => stringify(value).toUpperCase(),
+  lower: value => stringify(value).toLowerCase()
+};
+
+/**
+ * Parse a template into { nodes, errors }. Errors are { line, column, message }.
+ */
+function parse(template) {
+  const source = String(template || '');
+  const errors = [];
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  const fail = (offset, message) => errors.push({ ...position(source, offset), message });
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const block = current();
+    return block.type === 'root' ? block.children : (block.inElse ? block.otherwise : block.children);
+  };
+
+  TAG.lastIndex = 0;
+  let match;
+  while ((match = TAG.exec(source)) !== null) {
+    if (match.index > pos) target().push({ type: 'text', value: source.slice(pos, match.index) });
+    pos = match.index + match[0].length;
+
+    const body = match[1].trim();
+    const at = position(source, match.index);
+
+    if (body.startsWith('!')) continue;
+
+    if (body.startsWith('#')) {
+      const [keyword, ...rest] = body.slice(1).trim().split(/\s+/);
+      const path = rest.join(' ');
+      if (!BLOCKS.includes(keyword)) {
+        fail(match.index, `Unknown block {{#${keyword}}} (use ${BLOCKS.map(name => `#${name}`).join(', ')})`);
+        continue;
+      }
+      if (!PATH.test(path)) {
+        fail(match.index, `{{#${keyword}}} needs a variable path, e.g. {{#${keyword} research.reports}}`);
+        continue;
+      }
+      const block = { type: keyword, path, ...at, children: [], otherwise: [], inElse: false };
+      target().push(block);
+      stack.push(block);
+    } else if (body.startsWith('/')) {
+      const keyword = body.slice(1).trim();
+      const open = current();
+      if (open.type === 'root') {
+        fail(match.index, `{{/${keyword}}} without an open block`);
+      } else if (open.type !== keyword) {
+        fail(match.index, `Expected {{/${open.type}}} (opened at line ${open.line}) but found {{/${keyword}}}`);
+      } else {
+        stack.pop();
+      }
+    } else if (body === 'else') {
+      const open = current();
+      if (open.type === 'root' || open.inElse) fail(match.index, '{{else}} outside an {{#if}}, {{#unless}} or {{#each}} block');
+      else open.inElse = true;
+    } else {
+      const variable = parseVariable(body);
+      if (variable.error) {
+        fail(match.index, variable.error);
+        continue;
+      }
+      target().push({ type: 'var', ...variable, ...at });
+    }
+  }
+
+  if (pos < source.length) {
+    const rest = source.slice(pos);
+    const unclosed = rest.indexOf('{{');
+    if (unclosed !== -1) fail(pos + unclosed, 'Unclosed {{ (missing }})');
+    target().push({ type: 'text', value: rest });
+  }
+
+  stack.slice(1).forEach(block => errors.push({ line: block.line, column: block.column, message: `{{#${block.type} ${block.path}}} is never closed` }));
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Render a template against data
+ *
+ * @returns {{ text: string|null, errors: Object[], missing: Object[], variables: string[] }}
+ *   missing: [{ variable, line, column, count }] (first use of each variable)
+ */
+function render(template, data) {
+  const { nodes, errors } = parse(template);
+  const variables = listVariables(nodes);
+  if (errors.length > 0) return { text: null, errors, missing: [], variables };
+
+  const missing = new Map();
+  const report = (node) => {
+    if (missing.has(node.path)) missing.get(node.path).count += 1;
+    else missing.set(node.path, { variable: node.path, line: node.line, column: node.column, count: 1 });
+  };
+
+  const text = renderNodes(nodes, [{ value: data, data: {} }], report);
+  return { text, errors: [], missing: [...missing.values()], variables };
+}
+
+function renderNodes(nodes, scopes, report) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(node.path, scopes);
+    if (node.type === 'var') {
+      if ((value === undefined || value === null) && !node.filters.some(filter => filter.name === 'default')) report(node);
+      const filtered = node.filters.reduce((result, filter) => FILTERS[filter.name](result, ...filter.args), value);
+      return stringify(filtered);
+    }
+
+    if (node.type === 'if' || node.type === 'unless') {
+      const truthy = !isEmpty(value) && value !== false && value !== 0;
+      return renderNodes(truthy === (node.type === 'if') ? node.children : node.otherwise, scopes, report);
+    }
+
+    // each
+    if (value === undefined || value === null) report(node);
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : (value && typeof value === 'object' ? Object.entries(value) : []);
+    if (entries.length === 0) return renderNodes(node.otherwise, scopes, report);
+
+    return entries.map(([key, item], index) => renderNodes(node.children, [...scopes, {
+      value: item,
+      data: { index, number: index + 1, first: index === 0, last: index === entries.length - 1, key }
+    }], report)).join('');
+  }).join('');
+}
+
+/**
+ * Resolve a dotted path, innermost scope first
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  const scope = scopes[scopes.length - 1];
+
+  let value;
+  if (head.startsWith('@')) {
+    value = scope.data[head.slice(1)];
+  } else if (head === 'this') {
+    value = scope.value;
+  } else {
+    const owner = [...scopes].reverse().find(frame => frame.value && typeof frame.value === 'object' && Object.prototype.hasOwnProperty.call(frame.value, head));
+    value = owner ? owner.value[head] : undefined;
+  }
+
+  for (const key of rest) {
+    if (value === undefined || value === null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * "path | filter arg | filter" -> { path, filters: [{ name, args }] } or { error }
+ */
+function parseVariable(body) {
+  const [path, ...filterParts] = body.split('|').map(part => part.trim());
+  if (!PATH.test(path)) return { error: `Invalid variable "{{${body}}}" (use a dotted path like entity.name)` };
+
+  const filters = [];
+  for (const part of filterParts) {
+    const match = /^(\w+)((?:\s+"[^"]*")*)$/.exec(part);
+    if (!match || !FILTERS[match[1]]) {
+      return { error: `Unknown filter "${part}" in {{${body}}} (use ${Object.keys(FILTERS).join(', ')})` };
+    }
+    const args = [...match[2].matchAll(/"([^"]*)"/g)].map(arg => arg[1]);
+    filters.push({ name: match[1], args });
+  }
+  return { path, filters };
+}
+
+/**
+ * Every variable path the template uses, in order of first use
+ */
+function listVariables(nodes, found = new Set()) {
+  nodes.forEach(node => {
+    if (node.type === 'text') return;
+    if (!node.path.startsWith('@') && node.path !== 'this') found.add(node.path);
+    if (node.children) listVariables(node.children, found);
+    if (node.otherwise) listVariables(node.otherwise, found);
+  });
+  return [...found];
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function position(source, offset) {
+  const before = source.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+module.exports = {
+  FILTERS,
+  parse,
+  render
+};
@@ -0,0 +1,63 @@
+/**
+ * Tokenizer
+ *
+ * Exact BPE token counts for OpenAI-style encodings (cl100k_base, o200k_base, ...)
+ * using the vocabularies bundled with the gpt-tokenizer package - nothing is
+ * downloaded at runtime. Encodings are loaded on first use (each takes ~100ms
+ * and a few MB) and kept for the life of the process.
+ *
+ * Models from other providers use cl100k_base as a close approximation.
+ */
+
+const ENCODINGS = ['cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base'];
+
+const loaded = {};
+
+function getEncoding(name = 'cl100k_base') {
+  if (!ENCODINGS.includes(name)) {
+    throw new Error(`Unknown token encoding "${name}" (expected one of: ${ENCODINGS.join(', ')})`);
+  }
+  if (!loaded[name]) {
+    loaded[name] = require(`gpt-tokenizer/encoding/${name}`);
+  }
+  return loaded[name];
+}
+
+/**
+ * Number of tokens in a string (non-strings are counted as their JSON)
+ */
+function countTokens(value, encoding) {
+  const text = toText(value);
+  return text ? getEncoding(encoding).encode(text).length : 0;
+}
+
+/**
+ * First `maxTokens` tokens of a string
+ */
+function headTokens(text, maxTokens, encoding) {
+  const codec = getEncoding(encoding);
+  const tokens = codec.encode(text);
+  return tokens.length <= maxTokens ? text : codec.decode(tokens.slice(0, Math.max(0, maxTokens)));
+}
+
+/**
+ * Last `maxTokens` tokens of a string
+ */
+function tailTokens(text, maxTokens, encoding) {
+  const codec = getEncoding(encoding);
+  const tokens = codec.encode(text);
+  return tokens.length <= maxTokens ? text : codec.decode(maxTokens > 0 ? tokens.slice(-maxTokens) : []);
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+module.exports = {
+  ENCODINGS,
+  getEncoding,
+  countTokens,
+  headTokens,
+  tailTokens
+};
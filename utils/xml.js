@@ -0,0 +1,275 @@
+/**
+ * XML
+ *
+ * A small non-validating XML parser and serializer for the knowledge base
+ * bundles (entity, marketing and audience KBs) sent to the workflow lanes.
+ *
+ * `parse(text)` reads a fragment (any number of top-level elements and text)
+ * and reports well-formedness problems with line and column: unescaped `&` or
+ * `<`, bad names, duplicate attributes, mismatched or unclosed tags, and
+ * namespace prefixes that are not declared, and control characters XML 1.0
+ * doesn't allow (anything below U+0020 except tab, newline and carriage
+ * return), raw or as character references. Comments and processing
+ * instructions (including `<?xml ...?>`) are dropped, CDATA becomes text and
+ * DTDs are rejected.
+ *
+ *   parse('<brand:voice>Calm</brand:voice>', { namespaces: { brand: 'urn:brand' } })
+ *   // { nodes: [{ type: 'element', name: 'brand:voice', ... }], errors: [] }
+ *
+ * `serialize(nodes)` writes parsed nodes back out with everything escaped.
+ * It and `escapeXml` drop the disallowed control characters, which can't be
+ * written in XML 1.0 at all.
+ */
+
+const NAME = /^[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?$/;
+const ENTITY = /^&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/;
+const PREDEFINED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const INVALID_CHAR = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+/**
+ * Escape text for use in element content or a double-quoted attribute
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_CHAR, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse an XML fragment into { nodes, errors }
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {Object} options.namespaces - Prefixes already in scope ({ brand: 'urn:brand' })
+ * @returns {{ nodes: Object[], errors: { line, column, message }[] }}
+ */
+function parse(text, options = {}) {
+  const source = String(text);
+  const errors = [];
+  const root = { type: 'element', name: null, attributes: [], children: [], scope: { xml: true, ...options.namespaces } };
+  const stack = [root];
+  let pos = 0;
+
+  const fail = (offset, message) => errors.push({ ...position(source, offset), message });
+  const current = () => stack[stack.length - 1];
+
+  for (const match of source.matchAll(INVALID_CHAR)) {
+    fail(match.index, `Character ${codePointLabel(match[0].charCodeAt(0))} is not allowed in XML`);
+  }
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    const end = lt === -1 ? source.length : lt;
+    if (end > pos) {
+      current().children.push({ type: 'text', value: decodeText(source, pos, end, fail) });
+      pos = end;
+      continue;
+    }
+
+    if (source.startsWith('<!--', pos)) {
+      const close = source.indexOf('-->', pos + 4);
+      if (close === -1) {
+        fail(pos, 'Unclosed comment');
+        break;
+      }
+      pos = close + 3;
+    } else if (source.startsWith('<![CDATA[', pos)) {
+      const close = source.indexOf(']]>', pos + 9);
+      if (close === -1) {
+        fail(pos, 'Unclosed CDATA section');
+        break;
+      }
+      current().children.push({ type: 'text', value: source.slice(pos + 9, close) });
+      pos = close + 3;
+    } else if (source.startsWith('<?', pos)) {
+      const close = source.indexOf('?>', pos + 2);
+      if (close === -1) {
+        fail(pos, 'Unclosed processing instruction');
+        break;
+      }
+      pos = close + 2;
+    } else if (source.startsWith('<!', pos)) {
+      fail(pos, 'DTDs and <!DOCTYPE> are not supported');
+      const close = source.indexOf('>', pos);
+      pos = close === -1 ? source.length : close + 1;
+    } else if (source.startsWith('</', pos)) {
+      const close = source.indexOf('>', pos);
+      if (close === -1) {
+        fail(pos, 'Unclosed end tag');
+        break;
+      }
+      const name = source.slice(pos + 2, close).trim();
+      const open = current();
+      if (open === root) {
+        fail(pos, `Unexpected </${name}> with no open element`);
+      } else if (name !== open.name) {
+        fail(pos, `Expected </${open.name}> but found </${name}>`);
+        // Close up to the matching element if there is one, so one typo is one error
+        const index = stack.map(element => element.name).lastIndexOf(name);
+        if (index > 0) stack.length = index;
+      } else {
+        stack.pop();
+      }
+      pos = close + 1;
+    } else {
+      const tag = readStartTag(source, pos, fail);
+      if (!tag) {
+        fail(pos, 'Unescaped "<" in text (use &lt;)');
+        current().children.push({ type: 'text', value: '<' });
+        pos += 1;
+        continue;
+      }
+
+      const element = { type: 'element', name: tag.name, attributes: tag.attributes, children: [], scope: { ...current().scope } };
+      tag.attributes.forEach(([name, value]) => {
+        if (name.startsWith('xmlns:')) element.scope[name.slice(6)] = value;
+      });
+      checkPrefix(element.name, element.scope, pos, fail);
+      tag.attributes
+        .filter(([name]) => name !== 'xmlns' && !name.startsWith('xmlns:'))
+        .forEach(([name]) => checkPrefix(name, element.scope, pos, fail));
+
+      current().children.push(element);
+      if (!tag.selfClosing) stack.push(element);
+      pos = tag.end;
+    }
+  }
+
+  stack.slice(1).reverse().forEach(element => fail(source.length, `Unclosed <${element.name}>`));
+  return { nodes: root.children.map(stripScope), errors };
+}
+
+/**
+ * Errors for an XML string (empty when it is well-formed)
+ */
+function validateXml(text, options = {}) {
+  return parse(text, options).errors;
+}
+
+/**
+ * Write nodes back out as XML. `indent` puts each top-level node on its own line.
+ */
+function serialize(nodes, options = {}) {
+  const indent = options.indent || '';
+  return nodes
+    .map(node => indent + serializeNode(node))
+    .join(indent ? '\n' : '');
+}
+
+function serializeNode(node) {
+  if (node.type === 'text') return String(node.value).replace(INVALID_CHAR, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const attributes = node.attributes.map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+  if (node.children.length === 0) return `<${node.name}${attributes}/>`;
+  return `<${node.name}${attributes}>${node.children.map(serializeNode).join('')}</${node.name}>`;
+}
+
+/**
+ * Read `<name attr="value" ...>` at `pos`; null if it isn't a start tag
+ */
+function readStartTag(source, pos, fail) {
+  const nameMatch = /^<([^\s/>]+)/.exec(source.slice(pos, pos + 256));
+  if (!nameMatch || !/^[A-Za-z_]/.test(nameMatch[1])) return null;
+
+  const name = nameMatch[1];
+  if (!NAME.test(name)) fail(pos, `Invalid element name "${name}"`);
+
+  const attributes = [];
+  let cursor = pos + nameMatch[0].length;
+  const attributePattern = /\s+([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/y;
+
+  for (;;) {
+    attributePattern.lastIndex = cursor;
+    const match = attributePattern.exec(source);
+    if (!match) break;
+
+    const [, attributeName, , doubleQuoted, singleQuoted] = match;
+    const raw = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    const valueStart = match.index + match[0].length - raw.length - 1;
+    if (!NAME.test(attributeName)) fail(match.index, `Invalid attribute name "${attributeName}"`);
+    if (attributes.some(([existing]) => existing === attributeName)) fail(match.index, `Duplicate attribute "${attributeName}" on <${name}>`);
+    if (raw.includes('<')) fail(valueStart, `"<" in the value of attribute "${attributeName}"`);
+    attributes.push([attributeName, decodeText(source, valueStart, valueStart + raw.length, fail)]);
+    cursor = match.index + match[0].length;
+  }
+
+  const rest = /^\s*(\/?)>/.exec(source.slice(cursor, cursor + 256));
+  if (!rest) {
+    const close = source.indexOf('>', cursor);
+    fail(cursor, `Malformed start tag <${name}> (attribute values must be quoted)`);
+    return { name, attributes, selfClosing: true, end: close === -1 ? source.length : close + 1 };
+  }
+  return { name, attributes, selfClosing: rest[1] === '/', end: cursor + rest[0].length };
+}
+
+/**
+ * Decode entity references in source[start, end), reporting bare "&"
+ */
+function decodeText(source, start, end, fail) {
+  let result = '';
+  let pos = start;
+  while (pos < end) {
+    const amp = source.indexOf('&', pos);
+    if (amp === -1 || amp >= end) {
+      result += source.slice(pos, end);
+      break;
+    }
+    result += source.slice(pos, amp);
+    const match = ENTITY.exec(source.slice(amp, Math.min(end, amp + 12)));
+    if (!match) {
+      fail(amp, 'Unescaped "&" (use &amp;)');
+      result += '&';
+      pos = amp + 1;
+      continue;
+    }
+    const entity = match[1];
+    const codePoint = entity[0] === '#' ? (entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)) : null;
+    if (PREDEFINED[entity]) {
+      result += PREDEFINED[entity];
+    } else if (codePoint > 0 && codePoint <= 0x10FFFF && !isInvalidChar(codePoint)) {
+      result += String.fromCodePoint(codePoint);
+    } else if (codePoint > 0 && codePoint <= 0x10FFFF) {
+      fail(amp, `Character ${codePointLabel(codePoint)} (${match[0]}) is not allowed in XML`);
+    } else {
+      fail(amp, `Invalid character reference ${match[0]}`);
+    }
+    pos = amp + match[0].length;
+  }
+  return result;
+}
+
+function isInvalidChar(codePoint) {
+  return codePoint < 0x20 && codePoint !== 0x09 && codePoint !== 0x0A && codePoint !== 0x0D;
+}
+
+function codePointLabel(codePoint) {
+  return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function checkPrefix(name, scope, pos, fail) {
+  const colon = name.indexOf(':');
+  if (colon === -1) return;
+  const prefix = name.slice(0, colon);
+  if (!scope[prefix]) fail(pos, `Namespace prefix "${prefix}" is not declared (in <${name}>)`);
+}
+
+function stripScope(node) {
+  if (node.type !== 'element') return node;
+  return { type: 'element', name: node.name, attributes: node.attributes, children: node.children.map(stripScope) };
+}
+
+function position(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+module.exports = {
+  escapeXml,
+  parse,
+  validateXml,
+  serialize
+};
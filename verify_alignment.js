@@ -10,19 +10,31 @@
 const Airtable = require('airtable');
 require('dotenv').config();
 
-const base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY }).base(process.env.AIRTABLE_BASE_ID);
+const TableRegistry = require('./services/table-registry');
+const SchemaService = require('./services/schema-service');
 
-const TABLES = {
-  INITIATOR: 'tblBCiyCEEFJCJ1nO',
-  WORKFLOWS: 'tblwCDWd0pm7f3OK2',
-  ENTITIES: 'tbl9q3pHR5qtALyzm',
-  CONTENT_TYPES: 'tbl1ywo3FVRw8skix'
-};
+// Same base/table IDs as the server (utils/table-registry.json + env overrides)
+const registry = new TableRegistry();
+const TABLES = registry.tables;
+
+const base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY }).base(registry.bases.automation);
 
 async function verifyAlignment() {
   console.log('🔍 Verifying Airtable-Make.com Alignment...\n');
   
   try {
+    // 0. Check every registry table exists in its base
+    console.log('0️⃣  Checking Table Registry...');
+    const report = await registry.validate(new SchemaService(process.env.AIRTABLE_API_KEY));
+    report.tables.forEach(table => {
+      const icon = { ok: '✅', missing: table.required ? '❌' : '⚠️ ', unverified: '⚠️ ', disabled: '⏸️ ' }[table.status];
+      console.log(`      ${icon} ${table.key} (${table.id}) - ${table.status}${table.name ? `: ${table.name}` : ''}`);
+    });
+    if (!report.ok) {
+      report.errors.forEach(error => console.log(`   ❌ ${error}`));
+    }
+    console.log('');
+    
     // 1. Check Initiator table fields
     console.log('1️⃣  Checking Initiator Table Fields...');
     const initiatorRecords = await base(TABLES.INITIATOR).select({ maxRecords: 1 }).firstPage();